@@ -9,6 +9,8 @@
  * Created by Lev Goukassian • ORCID: 0009-0006-5966-1243
  */
 
+const crypto = require('crypto');
+const { Readable } = require('stream');
 const FractionalCore = require('../fractional-core.js');
 const DeFiReserveSystem = require('../examples/defi_fractional_reserves.js');
 const SupplyChainVerification = require('../examples/supply_chain_verification.js');
@@ -62,6 +64,7 @@ class PerformanceBenchmark {
         await this.benchmarkScalability();
         await this.benchmarkMemoryUsage();
         await this.benchmarkConcurrency();
+        await this.benchmarkStreaming();
         
         // Example benchmarks
         await this.benchmarkExamples();
@@ -95,7 +98,7 @@ class PerformanceBenchmark {
         
         for (let i = 0; i < 1000; i++) {
             this.fc.generateExpressions(i);
-            this.fc.encode({ value: i });
+            this.fc.encodeObject({ value: i });
             this.fc.hash(`warmup-${i}`);
         }
         
@@ -182,7 +185,7 @@ class PerformanceBenchmark {
             let encoded;
             
             for (let i = 0; i < test.iterations; i++) {
-                encoded = this.fc.encode(test.data);
+                encoded = this.fc.encodeObject(test.data);
             }
             
             const encodeEnd = process.hrtime.bigint();
@@ -192,7 +195,7 @@ class PerformanceBenchmark {
             const decodeStart = process.hrtime.bigint();
             
             for (let i = 0; i < test.iterations; i++) {
-                this.fc.decode(encoded);
+                this.fc.decodeObject(encoded);
             }
             
             const decodeEnd = process.hrtime.bigint();
@@ -415,7 +418,7 @@ class PerformanceBenchmark {
         for (let i = 0; i < 1000; i++) {
             proofs.push(this.fc.createProof(i));
             expressions.push(this.fc.generateExpressions(i));
-            encoded.push(this.fc.encode({ value: i, data: 'x'.repeat(100) }));
+            encoded.push(this.fc.encodeObject({ value: i, data: 'x'.repeat(100) }));
         }
         
         const afterCreation = process.memoryUsage();
@@ -499,11 +502,70 @@ class PerformanceBenchmark {
         console.log();
     }
 
+    /**
+     * Benchmark streaming encode/decode throughput
+     */
+    async benchmarkStreaming() {
+        console.log('9. Streaming Throughput');
+        console.log('-'.repeat(40));
+
+        const payloadSize = 1024 * 1024;
+        const chunkSize = 64 * 1024;
+        const payload = crypto.randomBytes(payloadSize);
+        const chunks = [];
+        for (let offset = 0; offset < payloadSize; offset += chunkSize) {
+            chunks.push(payload.subarray(offset, offset + chunkSize));
+        }
+
+        const schemes = [
+            { name: 'Binary', options: {} },
+            { name: 'Base 16', options: { base: 16 } },
+            { name: 'Reed-Solomon', options: { ecc: 'reed-solomon' } }
+        ];
+
+        const results = [];
+
+        for (const scheme of schemes) {
+            const rows = [];
+            const encodeStart = process.hrtime.bigint();
+            for await (const row of Readable.from(chunks).pipe(this.fc.createEncodeStream(scheme.options))) {
+                rows.push(row);
+            }
+            const encodeDuration = Number(process.hrtime.bigint() - encodeStart) / 1_000_000;
+
+            let decodedSize = 0;
+            const decodeStart = process.hrtime.bigint();
+            const decoder = Readable.from(rows, { objectMode: true }).pipe(this.fc.createDecodeStream(scheme.options));
+            for await (const bytes of decoder) {
+                decodedSize += bytes.length;
+            }
+            const decodeDuration = Number(process.hrtime.bigint() - decodeStart) / 1_000_000;
+
+            results.push({
+                scheme: scheme.name,
+                rows: rows.length,
+                encodeMBps: (payloadSize / 1024 / 1024 / (encodeDuration / 1000)).toFixed(2),
+                decodeMBps: (decodedSize / 1024 / 1024 / (decodeDuration / 1000)).toFixed(2)
+            });
+
+            console.log(`  ${scheme.name} (${rows.length.toLocaleString()} rows):`);
+            console.log(`    Encode: ${results[results.length - 1].encodeMBps} MB/s`);
+            console.log(`    Decode: ${results[results.length - 1].decodeMBps} MB/s`);
+        }
+
+        this.results.tests.push({
+            category: 'Streaming',
+            results
+        });
+
+        console.log();
+    }
+
     /**
      * Benchmark example implementations
      */
     async benchmarkExamples() {
-        console.log('9. Example Implementation Performance');
+        console.log('10. Example Implementation Performance');
         console.log('-'.repeat(40));
         
         const results = [];
@@ -585,7 +647,7 @@ class PerformanceBenchmark {
      * Compare with traditional methods
      */
     async benchmarkComparison() {
-        console.log('10. Comparison with Traditional Methods');
+        console.log('11. Comparison with Traditional Methods');
         console.log('-'.repeat(40));
         
         const iterations = 10000;
@@ -66,7 +66,7 @@ class DataMarketPricing {
         this.datasets.set(datasetId, {
             metadata,
             provider,
-            proof: this.fc.encode(valueProof),
+            proof: this.fc.encodeObject(valueProof),
             pricing: basePricing,
             qualityScore,
             status: 'active',
@@ -148,7 +148,7 @@ class DataMarketPricing {
 
         return {
             price: adjustedPrice,
-            proof: this.fc.encode(pricingProof),
+            proof: this.fc.encodeObject(pricingProof),
             breakdown: pricingProof.calculations,
             savings: basePrice - adjustedPrice
         };
@@ -182,7 +182,7 @@ class DataMarketPricing {
 
         const transactionId = `TXN-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
         this.transactions.set(transactionId, {
-            proof: this.fc.encode(transactionProof),
+            proof: this.fc.encodeObject(transactionProof),
             datasetId,
             consumerId,
             price: pricing.price,
@@ -392,14 +392,7 @@ class DataMarketPricing {
      * Generate pricing proofs
      */
     _generatePricingProofs(price) {
-        return [
-            `${price}`,
-            `${price.toFixed(2)} units`,
-            `10^(log₁₀(${price}))`,
-            `${price} × 1⁰`,
-            `∑(1) × ${price}`,
-            `∫₀^${price} 1 dx`
-        ];
+        return this.fc.generateExpressions(price, { count: 6 });
     }
 
     /**
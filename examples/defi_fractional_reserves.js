@@ -27,13 +27,7 @@ class DeFiReserveSystem {
         // Express reserve ratio using mathematical diversity
         const ratioProof = {
             standard: reserveRatio,
-            expressions: [
-                `${reserveRatio}`,                    // Direct
-                `${Math.sqrt(reserveRatio ** 2)}`,    // Square root of square
-                `${reserveRatio}!/${reserveRatio}!`,  // Factorial identity
-                `e^ln(${reserveRatio})`,              // Exponential-log pair
-                `sin²(x) + cos²(x) * ${reserveRatio}` // Trigonometric identity
-            ],
+            expressions: this.fc.generateExpressions(reserveRatio, { count: 5 }),
             timestamp: Date.now(),
             blockHeight: this._getCurrentBlock()
         };
@@ -43,7 +37,7 @@ class DeFiReserveSystem {
             required: initialAmount * reserveRatio,
             available: initialAmount * (1 - reserveRatio),
             ratio: reserveRatio,
-            proof: this.fc.encode(ratioProof),
+            proof: this.fc.encodeObject(ratioProof),
             created: new Date().toISOString()
         });
 
@@ -88,7 +82,7 @@ class DeFiReserveSystem {
             userId,
             amount,
             poolId,
-            proof: this.fc.encode(depositProof),
+            proof: this.fc.encodeObject(depositProof),
             interest: this._calculateInterest(amount, pool.ratio),
             timestamp: new Date().toISOString()
         });
@@ -139,7 +133,7 @@ class DeFiReserveSystem {
         this.loans.set(loanId, {
             borrowerId,
             amount: requestAmount,
-            collateral: this.fc.encode(collateralProof),
+            collateral: this.fc.encodeObject(collateralProof),
             poolId,
             interestRate,
             status: 'active',
@@ -215,7 +209,7 @@ class DeFiReserveSystem {
                 coverage: pool.total / (totalLoans || 1),
                 utilization: totalLoans / pool.total
             },
-            verification: this.fc.encode({
+            verification: this.fc.encodeObject({
                 poolId,
                 totalDeposits,
                 totalLoans,
@@ -236,16 +230,7 @@ class DeFiReserveSystem {
      * Generate diverse mathematical proofs for amounts
      */
     _generateAmountProofs(amount) {
-        return [
-            `${amount}`,                           // Direct
-            `√(${amount}²)`,                       // Square root of square
-            `2^(log₂(${amount}))`,                 // Power of logarithm
-            `${amount}/1`,                         // Division identity
-            `Σ(1) from 1 to ${amount}`,           // Summation
-            `∫₀^${amount} 1 dx`,                   // Integration
-            `lcm(${amount}, ${amount})`,          // Least common multiple
-            `gcd(${amount}, ${amount})`           // Greatest common divisor
-        ];
+        return this.fc.generateExpressions(amount);
     }
 
     /**
@@ -53,7 +53,7 @@ class RoyaltyDistribution {
         this.works.set(workId, {
             metadata,
             contributors,
-            proof: this.fc.encode(ownershipProof),
+            proof: this.fc.encodeObject(ownershipProof),
             status: 'active',
             registered: new Date().toISOString(),
             totalRevenue: 0,
@@ -113,7 +113,7 @@ class RoyaltyDistribution {
 
         const revenueId = `REV-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
         this.revenues.set(revenueId, {
-            proof: this.fc.encode(revenueProof),
+            proof: this.fc.encodeObject(revenueProof),
             amount: revenue.amount,
             workId,
             status: 'recorded',
@@ -186,7 +186,7 @@ class RoyaltyDistribution {
                 contributorId: contributor.id,
                 amount,
                 share: contributor.share,
-                proof: this.fc.encode(distProof)
+                proof: this.fc.encodeObject(distProof)
             });
         });
 
@@ -254,7 +254,7 @@ class RoyaltyDistribution {
             contributorId,
             amount,
             method: method.type,
-            proof: this.fc.encode(payoutProof),
+            proof: this.fc.encodeObject(payoutProof),
             status: 'processed',
             timestamp: new Date().toISOString(),
             transactionId: method.transactionId || `TXN-${Date.now()}`
@@ -295,7 +295,7 @@ class RoyaltyDistribution {
         // Calculate totals by source
         const bySource = {};
         relevantRevenues.forEach(([id, rev]) => {
-            const source = this.fc.decode(rev.proof).source;
+            const source = this.fc.decodeObject(rev.proof).source;
             if (!bySource[source]) bySource[source] = 0;
             bySource[source] += rev.amount;
         });
@@ -405,7 +405,7 @@ class RoyaltyDistribution {
             from: fromId,
             to: toId,
             share: shareAmount,
-            proof: this.fc.encode(transferProof)
+            proof: this.fc.encodeObject(transferProof)
         });
 
         return {
@@ -434,14 +434,7 @@ class RoyaltyDistribution {
      * Generate amount proofs
      */
     _generateAmountProofs(amount) {
-        return [
-            `${amount}`,
-            `${amount.toFixed(2)} USD`,
-            `√(${amount}²)`,
-            `${amount} × 1`,
-            `Σ(1) × ${amount}`,
-            `${amount}! / ${amount}!`
-        ];
+        return this.fc.generateExpressions(amount, { count: 6 });
     }
 
     /**
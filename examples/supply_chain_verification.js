@@ -46,7 +46,7 @@ class SupplyChainVerification {
         };
 
         this.products.set(productId, {
-            identity: this.fc.encode(identity),
+            identity: this.fc.encodeObject(identity),
             details,
             created: new Date().toISOString(),
             status: 'registered',
@@ -95,7 +95,7 @@ class SupplyChainVerification {
 
         const locationId = `LOC-${Date.now()}-${productId}`;
         this.locations.set(locationId, {
-            proof: this.fc.encode(locationProof),
+            proof: this.fc.encodeObject(locationProof),
             verified: this._verifyHandler(handler),
             timestamp: new Date().toISOString()
         });
@@ -164,7 +164,7 @@ class SupplyChainVerification {
 
         const shipmentId = `SHIP-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
         this.shipments.set(shipmentId, {
-            proof: this.fc.encode(shipmentProof),
+            proof: this.fc.encodeObject(shipmentProof),
             products,
             route,
             carrier,
@@ -239,7 +239,7 @@ class SupplyChainVerification {
 
         const verificationId = `VER-${Date.now()}-${productId}`;
         this.verifications.set(verificationId, {
-            proof: this.fc.encode(verificationResults),
+            proof: this.fc.encodeObject(verificationResults),
             score: authenticityScore,
             passed: authenticityScore >= 0.8, // 80% threshold
             timestamp: new Date().toISOString()
@@ -155,7 +155,7 @@ class NameEncryption {
 
             return {
                 verified: true,
-                proof: this.fc.encode(proof),
+                proof: this.fc.encodeObject(proof),
                 message: 'Work attributed to original creator'
             };
         }
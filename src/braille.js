@@ -0,0 +1,712 @@
+/**
+ * Braille
+ * Fractional Core (FC) Framework
+ *
+ * Transcribes expressions into Unicode Braille in the Nemeth Code or in
+ * Unified English Braille (UEB) technical notation, and reads such
+ * transcriptions back into FC notation.
+ *
+ *   nemeth - numerals in the lower cells, numeric indicator only at the
+ *            start of an expression or after a space, ⠹…⠌…⠼ fractions
+ *            (⠠-prefixed when complex), ⠜…⠻ radicals, ⠘ superscript and
+ *            ⠐ baseline level indicators
+ *   ueb    - grade 1 throughout, numeric indicator before every number,
+ *            ⠰⠷…⠰⠌…⠰⠾ fractions (⠼3⠌4 when both parts are numbers),
+ *            ⠰⠩…⠰⠬ radicals, ⠔ superscripts grouped with ⠣…⠜
+ *
+ * Expressions are transcribed from their syntax tree, except advanced
+ * notation (∫, lim, sin²θ, matrices), which is transcribed token by token.
+ */
+
+const { tokenize } = require("./expression-parser.js");
+const { EncodingError } = require("./errors.js");
+const { renderOptions, arrange, tryParse, unwrap } = require("./grid-renderers.js");
+
+const BRAILLE_CODES = ["nemeth", "ueb"];
+
+/**
+ * Unicode Braille pattern for a list of dot numbers (1-8)
+ */
+const dots = (...numbers) => String.fromCharCode(0x2800 + numbers.reduce((bits, dot) => bits | 1 << (dot - 1), 0));
+
+// Blank cell; two or more separate the cells of a grid row
+const BLANK = dots();
+const CELL_SEPARATOR = BLANK + BLANK;
+
+const LETTERS = {
+    a: dots(1), b: dots(1, 2), c: dots(1, 4), d: dots(1, 4, 5), e: dots(1, 5),
+    f: dots(1, 2, 4), g: dots(1, 2, 4, 5), h: dots(1, 2, 5), i: dots(2, 4), j: dots(2, 4, 5),
+    k: dots(1, 3), l: dots(1, 2, 3), m: dots(1, 3, 4), n: dots(1, 3, 4, 5), o: dots(1, 3, 5),
+    p: dots(1, 2, 3, 4), q: dots(1, 2, 3, 4, 5), r: dots(1, 2, 3, 5), s: dots(2, 3, 4), t: dots(2, 3, 4, 5),
+    u: dots(1, 3, 6), v: dots(1, 2, 3, 6), w: dots(2, 4, 5, 6), x: dots(1, 3, 4, 6), y: dots(1, 3, 4, 5, 6),
+    z: dots(1, 3, 5, 6)
+};
+
+// Written after the Greek letter indicator
+const GREEK = {
+    "α": LETTERS.a, "β": LETTERS.b, "γ": LETTERS.g, "δ": LETTERS.d, "ε": LETTERS.e,
+    "θ": dots(1, 4, 5, 6), "λ": LETTERS.l, "μ": LETTERS.m, "π": LETTERS.p, "σ": LETTERS.s,
+    "φ": LETTERS.f, "ω": LETTERS.w
+};
+
+const CAPITAL = dots(6);
+const GREEK_INDICATOR = dots(4, 6);
+const NUMERIC_INDICATOR = dots(3, 4, 5, 6);
+
+const NEMETH = {
+    digits: [dots(3, 5, 6), dots(2), dots(2, 3), dots(2, 5), dots(2, 5, 6), dots(2, 6), dots(2, 3, 5), dots(2, 3, 5, 6), dots(2, 3, 6), dots(3, 5)],
+    decimal: dots(4, 6),
+    plus: dots(3, 4, 6),
+    minus: dots(3, 6),
+    times: dots(4) + dots(1, 6),
+    dot: dots(1, 6),
+    slash: dots(4, 5, 6) + dots(3, 4),
+    fractionOpen: dots(1, 4, 5, 6),
+    fractionLine: dots(3, 4),
+    fractionClose: dots(3, 4, 5, 6),
+    fractionLevel: dots(6),
+    radical: dots(3, 4, 5),
+    termination: dots(1, 2, 4, 5, 6),
+    radicalLevel: dots(4, 6),
+    superscript: dots(4, 5),
+    subscript: dots(5, 6),
+    baseline: dots(5),
+    factorial: dots(1, 2, 3, 4, 6),
+    bar: dots(1, 2, 5, 6),
+    open: dots(1, 2, 3, 5, 6),
+    close: dots(2, 3, 4, 5, 6),
+    bracketOpen: dots(4) + dots(1, 2, 3, 5, 6),
+    bracketClose: dots(4) + dots(2, 3, 4, 5, 6),
+    comma: dots(6),
+    integral: dots(2, 3, 4, 6),
+    arrow: dots(1, 2, 4, 6) + dots(1, 3, 5)
+};
+
+const UEB = {
+    digits: [LETTERS.j, LETTERS.a, LETTERS.b, LETTERS.c, LETTERS.d, LETTERS.e, LETTERS.f, LETTERS.g, LETTERS.h, LETTERS.i],
+    decimal: dots(2, 5, 6),
+    plus: dots(5) + dots(2, 3, 5),
+    minus: dots(5) + dots(3, 6),
+    times: dots(5) + dots(2, 3, 6),
+    dot: dots(5) + dots(2, 5, 6),
+    divide: dots(5) + dots(3, 4),
+    slash: dots(4, 5, 6) + dots(3, 4),
+    open: dots(5) + dots(1, 2, 6),
+    close: dots(5) + dots(3, 4, 5),
+    bracketOpen: dots(4, 6) + dots(1, 2, 6),
+    bracketClose: dots(4, 6) + dots(3, 4, 5),
+    fractionOpen: dots(5, 6) + dots(1, 2, 3, 5, 6),
+    fractionLine: dots(5, 6) + dots(3, 4),
+    fractionClose: dots(5, 6) + dots(2, 3, 4, 5, 6),
+    radicalOpen: dots(5, 6) + dots(1, 4, 6),
+    radicalClose: dots(5, 6) + dots(3, 4, 6),
+    superscript: dots(3, 5),
+    subscript: dots(2, 6),
+    groupOpen: dots(1, 2, 6),
+    groupClose: dots(3, 4, 5),
+    factorial: dots(2, 3, 5),
+    bar: dots(4, 5, 6) + dots(1, 2, 5, 6),
+    comma: dots(2),
+    integral: dots(2, 3, 4, 6),
+    arrow: dots(1, 2, 5, 6) + dots(1, 3, 5),
+    grade1: dots(5, 6),
+    passage: dots(5, 6).repeat(3),
+    terminator: dots(5, 6) + dots(3)
+};
+
+/**
+ * Letters of a name with capital and Greek indicators
+ */
+function spell(name) {
+    return [...name].map(char => {
+        if (GREEK[char]) {
+            return GREEK_INDICATOR + GREEK[char];
+        }
+        const lower = char.toLowerCase();
+        if (!LETTERS[lower]) {
+            throw new EncodingError(`Cannot transcribe '${char}' in Braille`);
+        }
+        return (char !== lower ? CAPITAL : "") + LETTERS[lower];
+    }).join("");
+}
+
+function spellNumber(value, code) {
+    return [...value].map(char => (char === "." ? code.decimal : code.digits[Number(char)])).join("");
+}
+
+/**
+ * Nesting depth of fractions within a fraction; Nemeth marks a fraction
+ * of order n with n - 1 ⠠ prefixes
+ */
+function fractionOrder(node) {
+    const children = [node.argument, node.left, node.right, ...(node.args || [])].filter(Boolean);
+    const inner = Math.max(0, ...children.map(fractionOrder));
+    return node.type === "binary" && node.operator === "/" ? inner + 1 : inner;
+}
+
+const isPlainNumber = node => node.type === "number";
+
+class NemethWriter {
+    constructor() {
+        this.cells = [];
+        this.numeric = true;   // a numeral written now takes the numeric indicator
+        this.level = 0;        // superscript level being written
+        this.announced = 0;    // level last announced by an indicator
+        this.radicals = 0;
+    }
+
+    put(cells, { keepsNumeric = false } = {}) {
+        if (this.level !== this.announced) {
+            this.cells.push(this.level === 0 ? NEMETH.baseline : NEMETH.superscript.repeat(this.level));
+            this.announced = this.level;
+        }
+        this.cells.push(cells);
+        this.numeric = this.numeric && keepsNumeric;
+    }
+
+    blank() {
+        this.cells.push(BLANK);
+        this.numeric = true;
+        this.announced = 0;
+    }
+
+    number(value) {
+        this.put((this.numeric ? NUMERIC_INDICATOR : "") + spellNumber(value, NEMETH));
+    }
+
+    name(name) {
+        this.put(spell(name));
+    }
+
+    minus() {
+        // A minus sign opening an expression keeps the numeral after it in
+        // numeric mode: ⠤⠼⠂
+        this.put(NEMETH.minus, { keepsNumeric: true });
+    }
+
+    operator(operator) {
+        this.put({ "+": NEMETH.plus, "-": NEMETH.minus, "*": NEMETH.times, "·": NEMETH.dot, "/": NEMETH.slash }[operator]);
+    }
+
+    mark(symbol) {
+        if (symbol === "→") {
+            this.blank();
+            this.put(NEMETH.arrow);
+            this.blank();
+            return;
+        }
+        this.put({ "(": NEMETH.open, ")": NEMETH.close, "[": NEMETH.bracketOpen, "]": NEMETH.bracketClose, "|": NEMETH.bar, ",": NEMETH.comma, "!": NEMETH.factorial, "∫": NEMETH.integral }[symbol]);
+    }
+
+    radical(writeRadicand) {
+        const level = NEMETH.radicalLevel.repeat(this.radicals);
+        this.put(level + NEMETH.radical);
+        this.radicals++;
+        writeRadicand();
+        this.radicals--;
+        this.put(level + NEMETH.termination);
+    }
+
+    fraction(node, writeNumerator, writeDenominator) {
+        const level = NEMETH.fractionLevel.repeat(fractionOrder(node) - 1);
+        this.put(level + NEMETH.fractionOpen);
+        writeNumerator();
+        this.put(level + NEMETH.fractionLine);
+        writeDenominator();
+        this.put(level + NEMETH.fractionClose);
+    }
+
+    subscript(value) {
+        this.put(NEMETH.subscript + spellNumber(value, NEMETH) + NEMETH.baseline);
+    }
+
+    power(exponent, writeExponent) {
+        this.level++;
+        writeExponent();
+        this.level--;
+    }
+
+    toString() {
+        return this.cells.join("");
+    }
+}
+
+class UebWriter {
+    constructor() {
+        this.cells = [];
+        this.afterNumber = false;
+    }
+
+    put(cells) {
+        // After a number, a-j would read as digits without the grade 1 indicator
+        if (this.afterNumber && UEB.digits.includes(cells[0])) {
+            this.cells.push(UEB.grade1);
+        }
+        this.cells.push(cells);
+        this.afterNumber = false;
+    }
+
+    blank() {
+        this.put(BLANK);
+    }
+
+    number(value) {
+        this.put(NUMERIC_INDICATOR + spellNumber(value, UEB));
+        this.afterNumber = true;
+    }
+
+    name(name) {
+        this.put(spell(name));
+    }
+
+    minus() {
+        this.put(UEB.minus);
+    }
+
+    operator(operator) {
+        this.put({ "+": UEB.plus, "-": UEB.minus, "*": UEB.times, "·": UEB.dot, "/": UEB.slash }[operator]);
+    }
+
+    mark(symbol) {
+        this.put({ "(": UEB.open, ")": UEB.close, "[": UEB.bracketOpen, "]": UEB.bracketClose, "|": UEB.bar, ",": UEB.comma, "!": UEB.factorial, "∫": UEB.integral, "→": UEB.arrow }[symbol]);
+    }
+
+    radical(writeRadicand) {
+        this.put(UEB.radicalOpen);
+        writeRadicand();
+        this.put(UEB.radicalClose);
+    }
+
+    fraction(node, writeNumerator, writeDenominator) {
+        const numerator = unwrap(node.left);
+        const denominator = unwrap(node.right);
+        if (isPlainNumber(numerator) && isPlainNumber(denominator)) {
+            this.put(NUMERIC_INDICATOR + spellNumber(numerator.value, UEB) + dots(3, 4) + spellNumber(denominator.value, UEB));
+            this.afterNumber = true;
+            return;
+        }
+
+        this.put(UEB.fractionOpen);
+        writeNumerator();
+        this.put(UEB.fractionLine);
+        writeDenominator();
+        this.put(UEB.fractionClose);
+    }
+
+    subscript(value) {
+        this.put(UEB.subscript + NUMERIC_INDICATOR + spellNumber(value, UEB));
+        this.afterNumber = true;
+    }
+
+    power(exponent, writeExponent) {
+        this.put(UEB.superscript);
+        if (isPlainNumber(exponent) || (exponent.type === "identifier" && [...exponent.name].length === 1)) {
+            writeExponent();
+            return;
+        }
+        this.put(UEB.groupOpen);
+        writeExponent();
+        this.put(UEB.groupClose);
+    }
+
+    toString() {
+        return this.cells.join("");
+    }
+}
+
+const WRITERS = { nemeth: NemethWriter, ueb: UebWriter };
+
+function writeNode(writer, node) {
+    const write = child => () => writeNode(writer, child);
+
+    switch (node.type) {
+        case "number":
+            return writer.number(node.value);
+        case "identifier":
+            return writer.name(node.name);
+        case "group":
+            writer.mark("(");
+            writeNode(writer, node.argument);
+            return writer.mark(")");
+        case "abs":
+            writer.mark("|");
+            writeNode(writer, node.argument);
+            return writer.mark("|");
+        case "sqrt":
+            return writer.radical(write(unwrap(node.argument)));
+        case "factorial":
+            writeNode(writer, node.argument);
+            return writer.mark("!");
+        case "unary":
+            writer.minus();
+            return writeNode(writer, node.argument);
+        case "call":
+            if (node.name === "sqrt") {
+                return writer.radical(write(unwrap(node.args[0])));
+            }
+            if (node.name === "abs") {
+                return writeNode(writer, { type: "abs", argument: node.args[0] });
+            }
+            writer.name(node.name);
+            writer.mark("(");
+            node.args.forEach((arg, i) => {
+                if (i > 0) {
+                    writer.mark(",");
+                }
+                writeNode(writer, unwrap(arg));
+            });
+            return writer.mark(")");
+        case "binary":
+            if (node.operator === "/") {
+                return writer.fraction(node, write(unwrap(node.left)), write(unwrap(node.right)));
+            }
+            if (node.operator === "^") {
+                writeNode(writer, node.left);
+                return writer.power(unwrap(node.right), write(unwrap(node.right)));
+            }
+            writeNode(writer, node.left);
+            writer.operator(node.operator);
+            return writeNode(writer, node.right);
+        default:
+            throw new EncodingError(`Cannot transcribe '${node.type}' nodes in Braille`);
+    }
+}
+
+/**
+ * Linear transcription for notation the parser does not read
+ */
+function writeTokens(writer, expression) {
+    const tokens = tokenize(expression, { strict: false }).filter(token => token.type !== "eof");
+    const isOperator = token => token && (token.type === "operator" || (token.type === "symbol" && token.value === "→"));
+
+    tokens.forEach((token, i) => {
+        const previous = tokens[i - 1];
+        if (previous && token.start > previous.end && !isOperator(previous) && !isOperator(token)) {
+            writer.blank();
+        }
+
+        switch (token.type) {
+            case "number":
+                return writer.number(token.value);
+            case "superscript":
+                return writer.power({ type: "number", value: token.value }, () => writer.number(token.value));
+            case "subscript":
+                return writer.subscript(token.value);
+            case "identifier":
+                return writer.name(token.value);
+            case "lparen":
+            case "rparen":
+            case "lbracket":
+            case "rbracket":
+            case "bar":
+            case "comma":
+                return writer.mark(token.value);
+            case "operator":
+                if (token.value === "-" && (!previous || isOperator(previous) || previous.type === "lparen")) {
+                    return writer.minus();
+                }
+                if (token.value === "!") {
+                    return writer.mark("!");
+                }
+                if (["+", "-", "*", "/"].includes(token.value)) {
+                    return writer.operator(token.text === "·" ? "·" : token.value);
+                }
+                break;
+            case "symbol":
+                if (token.value === "∫" || token.value === "→") {
+                    return writer.mark(token.value);
+                }
+                break;
+            default:
+                break;
+        }
+        throw new EncodingError(`Cannot transcribe '${token.text || token.value}' in Braille`);
+    });
+}
+
+function checkCode(code) {
+    if (!BRAILLE_CODES.includes(code)) {
+        throw new EncodingError(`Unknown Braille code '${code}'; use one of ${BRAILLE_CODES.join(", ")}`, { code: "INVALID_OPTION" });
+    }
+}
+
+/**
+ * Braille transcription of one expression
+ */
+function expressionToBraille(expression, code = "nemeth") {
+    checkCode(code);
+    const writer = new WRITERS[code]();
+    const ast = tryParse(expression);
+    if (ast) {
+        writeNode(writer, ast);
+    } else {
+        writeTokens(writer, expression);
+    }
+    return writer.toString();
+}
+
+// Cells to FC notation; fractions are fully bracketed so they keep their
+// grouping wherever they appear
+const NEMETH_SEQUENCES = [
+    [NEMETH.bracketOpen, "["], [NEMETH.bracketClose, "]"], [NEMETH.subscript, "_"], [NEMETH.times, "×"], [NEMETH.arrow, "→"], [NEMETH.slash, "/"],
+    [NEMETH.dot, "·"], [NEMETH.plus, "+"], [NEMETH.minus, "−"], [NEMETH.factorial, "!"], [NEMETH.bar, "|"],
+    [NEMETH.open, "("], [NEMETH.close, ")"], [NEMETH.integral, "∫"], [NEMETH.radical, "√("], [NEMETH.termination, ")"],
+    [NEMETH.fractionOpen, "(("], [NEMETH.fractionLine, ")/("], [NEMETH.fractionClose, "))"]
+];
+
+const UEB_SEQUENCES = [
+    [UEB.plus, "+"], [UEB.minus, "−"], [UEB.times, "×"], [UEB.dot, "·"], [UEB.divide, "÷"], [UEB.slash, "/"],
+    [UEB.open, "("], [UEB.close, ")"], [UEB.bracketOpen, "["], [UEB.bracketClose, "]"], [UEB.fractionOpen, "(("], [UEB.fractionLine, ")/("], [UEB.fractionClose, "))"],
+    [UEB.radicalOpen, "√("], [UEB.radicalClose, ")"], [UEB.bar, "|"], [UEB.arrow, "→"],
+    [UEB.superscript, "^"], [UEB.subscript, "_"], [UEB.groupOpen, "("], [UEB.groupClose, ")"], [UEB.factorial, "!"],
+    [UEB.integral, "∫"], [UEB.comma, ","]
+];
+
+const LETTER_BY_CELL = new Map(Object.entries(LETTERS).map(([letter, cell]) => [cell, letter]));
+const GREEK_BY_CELL = new Map(Object.entries(GREEK).map(([letter, cell]) => [cell, letter]));
+
+/**
+ * Letter at cells[i] with an optional capital or Greek indicator:
+ * [text, cells consumed] or null
+ */
+function readLetter(cells, i) {
+    if (cells[i] === CAPITAL && LETTER_BY_CELL.has(cells[i + 1])) {
+        return [LETTER_BY_CELL.get(cells[i + 1]).toUpperCase(), 2];
+    }
+    if (cells[i] === GREEK_INDICATOR && GREEK_BY_CELL.has(cells[i + 1])) {
+        return [GREEK_BY_CELL.get(cells[i + 1]), 2];
+    }
+    if (LETTER_BY_CELL.has(cells[i])) {
+        return [LETTER_BY_CELL.get(cells[i]), 1];
+    }
+    return null;
+}
+
+function matchSequence(cells, i, sequences) {
+    return sequences.find(([sequence]) => [...sequence].every((cell, j) => cells[i + j] === cell)) || null;
+}
+
+const run = (cells, i, cell) => {
+    let count = 0;
+    while (cells[i + count] === cell) {
+        count++;
+    }
+    return count;
+};
+
+function nemethToExpression(braille) {
+    const cells = [...braille];
+    const isDigit = cell => NEMETH.digits.includes(cell);
+    let text = "";
+    let level = 0;
+    let atStart = true;
+
+    const setLevel = target => {
+        text += target > level ? "^(".repeat(target - level) : ")".repeat(level - target);
+        level = target;
+    };
+
+    for (let i = 0; i < cells.length;) {
+        const cell = cells[i];
+
+        if (cell === BLANK) {
+            setLevel(0);
+            text += " ";
+            atStart = true;
+            i++;
+            continue;
+        }
+        if (cell === NEMETH.superscript) {
+            const count = run(cells, i, cell);
+            setLevel(count);
+            i += count;
+            continue;
+        }
+        if (cell === NEMETH.baseline) {
+            setLevel(0);
+            i++;
+            continue;
+        }
+        // ⠼ is the numeric indicator where a numeral may need one, and a
+        // fraction close anywhere else
+        if (cell === NUMERIC_INDICATOR && atStart && (isDigit(cells[i + 1]) || cells[i + 1] === NEMETH.decimal)) {
+            atStart = false;
+            i++;
+            continue;
+        }
+        if (cell === NEMETH.minus) {
+            text += "−";
+            i++;
+            continue;
+        }
+        atStart = false;
+
+        if (isDigit(cell)) {
+            text += NEMETH.digits.indexOf(cell);
+            i++;
+            continue;
+        }
+        if (cell === NEMETH.radicalLevel) {
+            const count = run(cells, i, cell);
+            const next = cells[i + count];
+            if (next === NEMETH.radical || next === NEMETH.termination) {
+                text += next === NEMETH.radical ? "√(" : ")";
+                i += count + 1;
+                continue;
+            }
+            if (isDigit(next)) {
+                text += ".";
+                i++;
+                continue;
+            }
+        }
+        if (cell === NEMETH.fractionLevel) {
+            const count = run(cells, i, cell);
+            const part = [[NEMETH.fractionOpen, "(("], [NEMETH.fractionLine, ")/("], [NEMETH.fractionClose, "))"]]
+                .find(([sequence]) => sequence === cells[i + count]);
+            if (part) {
+                text += part[1];
+                i += count + 1;
+                continue;
+            }
+            if (!LETTER_BY_CELL.has(cells[i + 1])) {
+                text += ",";
+                i++;
+                continue;
+            }
+        }
+
+        const letter = readLetter(cells, i);
+        if (letter) {
+            text += letter[0];
+            i += letter[1];
+            continue;
+        }
+        const sequence = matchSequence(cells, i, NEMETH_SEQUENCES);
+        if (sequence) {
+            text += sequence[1];
+            i += [...sequence[0]].length;
+            continue;
+        }
+
+        // Left in place so the cell reads as invalid
+        text += cell;
+        i++;
+    }
+
+    setLevel(0);
+    return text.trim();
+}
+
+function uebToExpression(braille) {
+    const cells = [...braille.split(UEB.passage).join("").split(UEB.terminator).join("")];
+    let text = "";
+    let numeric = false;
+
+    for (let i = 0; i < cells.length;) {
+        const cell = cells[i];
+
+        if (cell === NUMERIC_INDICATOR) {
+            numeric = true;
+            i++;
+            continue;
+        }
+        if (numeric) {
+            const digit = UEB.digits.indexOf(cell);
+            const symbol = { [UEB.decimal]: ".", [dots(3, 4)]: "/", [UEB.comma]: "," }[cell];
+            if (digit !== -1 || symbol) {
+                text += digit !== -1 ? digit : symbol;
+                i++;
+                continue;
+            }
+            numeric = false;
+        }
+
+        if (cell === BLANK) {
+            text += " ";
+            i++;
+            continue;
+        }
+        if (cell === UEB.grade1 && LETTER_BY_CELL.has(cells[i + 1])) {
+            text += LETTER_BY_CELL.get(cells[i + 1]);
+            i += 2;
+            continue;
+        }
+        const sequence = matchSequence(cells, i, UEB_SEQUENCES);
+        if (sequence) {
+            text += sequence[1];
+            i += [...sequence[0]].length;
+            continue;
+        }
+        const letter = readLetter(cells, i);
+        if (letter) {
+            text += letter[0];
+            i += letter[1];
+            continue;
+        }
+
+        text += cell;
+        i++;
+    }
+
+    return text.trim();
+}
+
+/**
+ * FC notation for one transcribed expression. Transcriptions in `table`
+ * (Braille to expression) are looked up so library expressions come back
+ * verbatim; anything else is back-translated cell by cell.
+ */
+function brailleToExpression(braille, code = "nemeth", table = new Map()) {
+    checkCode(code);
+    const cells = braille.replace(/ /g, BLANK).replace(new RegExp(`^${BLANK}+|${BLANK}+$`, "g"), "");
+    if (table.has(cells)) {
+        return table.get(cells);
+    }
+    return code === "nemeth" ? nemethToExpression(cells) : uebToExpression(cells);
+}
+
+/**
+ * One line per row of `columns` cells, separated by two blank cells. A UEB
+ * transcription is a grade 1 passage, opened and closed on lines of their own.
+ */
+function renderBraille(grid, options) {
+    const { columns, code = "nemeth" } = renderOptions(options);
+    checkCode(code);
+    const lines = arrange(grid, columns).map(row => row.map(cell => expressionToBraille(cell, code)).join(CELL_SEPARATOR));
+    return (code === "ueb" ? [UEB.passage, ...lines, UEB.terminator] : lines).join("\n") + "\n";
+}
+
+/**
+ * Code of a transcription: UEB when the grade 1 passage indicator is
+ * present, Nemeth otherwise
+ */
+function detectBrailleCode(source) {
+    return source.includes(UEB.passage) ? "ueb" : "nemeth";
+}
+
+/**
+ * Grid rows of transcribed cells in FC notation
+ */
+function readBraille(source, code, table) {
+    checkCode(code);
+
+    const rows = source.split(/\r?\n/)
+        .map(line => line.replace(/ /g, BLANK))
+        .filter(line => line !== UEB.passage && line !== UEB.terminator && !new RegExp(`^${BLANK}*$`).test(line))
+        .map(line => line.split(new RegExp(`${BLANK}{2,}`)).filter(cell => cell !== "").map(cell => brailleToExpression(cell, code, table)));
+
+    if (rows.length === 0) {
+        throw new EncodingError("No Braille cells found", { code: "INVALID_DOCUMENT" });
+    }
+    return rows;
+}
+
+module.exports = {
+    BRAILLE_CODES,
+    expressionToBraille,
+    brailleToExpression,
+    detectBrailleCode,
+    renderBraille,
+    readBraille
+};
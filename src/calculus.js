@@ -0,0 +1,234 @@
+/**
+ * Calculus
+ * Fractional Core (FC) Framework
+ *
+ * Syntax-tree helpers behind the advanced fractions: which symbols an
+ * expression depends on, symbolic derivatives (for l'Hôpital's rule in
+ * limits), and the numeric quadrature and limits used in float mode when
+ * no closed form is found. Evaluation itself stays in
+ * expression-evaluator.js.
+ */
+
+const { VARIABLE_NAME } = require("./expression-parser.js");
+const { MathematicalExpressionError } = require("./errors.js");
+
+/**
+ * Direct subexpressions of a node
+ */
+function children(node) {
+    switch (node.type) {
+        case "group":
+        case "abs":
+        case "sqrt":
+        case "factorial":
+        case "unary":
+            return [node.argument];
+        case "call":
+            return node.args;
+        case "binary":
+            return [node.left, node.right];
+        case "matrix":
+            return node.rows.flat();
+        case "integral":
+            return [node.integrand, node.lower, node.upper].filter(Boolean);
+        case "limit":
+            return [node.point, node.body];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Whether `name` occurs free in `node`
+ */
+function dependsOn(node, name) {
+    if (node.type === "identifier") {
+        return node.name === name;
+    }
+    if (node.type === "integral" && node.variable === name) {
+        return [node.lower, node.upper].some(bound => bound && dependsOn(bound, name));
+    }
+    if (node.type === "limit" && node.variable === name) {
+        return dependsOn(node.point, name);
+    }
+    return children(node).some(child => dependsOn(child, name));
+}
+
+/**
+ * Identifier nodes for the single-letter symbols that are neither
+ * constants nor bound by an integral or limit, first occurrence of each
+ */
+function freeSymbols(ast, isConstant) {
+    const found = new Map();
+
+    const visit = (node, bound) => {
+        if (node.type === "identifier") {
+            if (VARIABLE_NAME.test(node.name) && !bound.has(node.name) && !isConstant(node.name) && !found.has(node.name)) {
+                found.set(node.name, node);
+            }
+            return;
+        }
+        if (node.type === "integral" || node.type === "limit") {
+            const inner = new Set(bound).add(node.variable);
+            const body = node.type === "integral" ? node.integrand : node.body;
+            children(node).forEach(child => visit(child, child === body ? inner : bound));
+            return;
+        }
+        children(node).forEach(child => visit(child, bound));
+    };
+
+    visit(ast, new Set());
+    return [...found.values()];
+}
+
+// Builders for derivative trees; positions point back at the source node
+const number = (value, at) => ({ type: "number", value: String(value), start: at.start, end: at.end });
+const binary = (operator, left, right, at) => ({ type: "binary", operator, left, right, start: at.start, end: at.end });
+const negate = (argument, at) => ({ type: "unary", operator: "-", argument, start: at.start, end: at.end });
+const apply = (name, argument, at) => ({ type: "call", name, args: [argument], start: at.start, end: at.end });
+
+/**
+ * Symbolic derivative of `node` with respect to `name`. The result is
+ * unsimplified; it only has to evaluate correctly.
+ */
+function derivative(node, name) {
+    if (!dependsOn(node, name)) {
+        return number(0, node);
+    }
+
+    const d = child => derivative(child, name);
+
+    switch (node.type) {
+        case "identifier":
+            return number(1, node);
+        case "group":
+            return d(node.argument);
+        case "unary":
+            return negate(d(node.argument), node);
+        case "sqrt":
+            // (√u)' = u' / 2√u
+            return binary("/", d(node.argument), binary("*", number(2, node), node, node), node);
+        case "abs":
+            // |u|' = u·u' / |u|
+            return binary("/", binary("*", node.argument, d(node.argument), node), node, node);
+        case "call": {
+            const [u] = node.args;
+            const chain = outer => binary("*", outer, d(u), node);
+            switch (node.name) {
+                case "sin":
+                    return chain(apply("cos", u, node));
+                case "cos":
+                    return chain(negate(apply("sin", u, node), node));
+                case "tan":
+                    return chain(binary("/", number(1, node), binary("^", apply("cos", u, node), number(2, node), node), node));
+                case "exp":
+                    return chain(node);
+                case "ln":
+                    return binary("/", d(u), u, node);
+                case "log":
+                    return binary("/", d(u), binary("*", u, apply("ln", number(10, node), node), node), node);
+                case "sqrt":
+                    return binary("/", d(u), binary("*", number(2, node), node, node), node);
+                case "abs":
+                    return binary("/", binary("*", u, d(u), node), node, node);
+                default:
+                    break;
+            }
+            break;
+        }
+        case "binary": {
+            const { left: u, right: v } = node;
+            switch (node.operator) {
+                case "+":
+                case "-":
+                    return binary(node.operator, d(u), d(v), node);
+                case "*":
+                    return binary("+", binary("*", d(u), v, node), binary("*", u, d(v), node), node);
+                case "/":
+                    return binary("/",
+                        binary("-", binary("*", d(u), v, node), binary("*", u, d(v), node), node),
+                        binary("^", v, number(2, node), node),
+                        node);
+                case "^":
+                    if (u.type === "identifier" && u.name === "e") {
+                        return binary("*", node, d(v), node);
+                    }
+                    if (!dependsOn(v, name)) {
+                        // (uⁿ)' = n·uⁿ⁻¹·u'
+                        return binary("*", binary("*", v, binary("^", u, binary("-", v, number(1, node), node), node), node), d(u), node);
+                    }
+                    // (uᵛ)' = uᵛ·(v'·ln u + v·u'/u)
+                    return binary("*", node, binary("+",
+                        binary("*", d(v), apply("ln", u, node), node),
+                        binary("/", binary("*", v, d(u), node), u, node),
+                        node), node);
+                default:
+                    break;
+            }
+            break;
+        }
+        default:
+            break;
+    }
+
+    throw new MathematicalExpressionError(`Cannot differentiate '${node.type}' nodes`, { code: "UNSUPPORTED" });
+}
+
+// Five-point Gauss–Legendre nodes and weights on [-1, 1]
+const GAUSS_NODES = [0, 0.5384693101056831, -0.5384693101056831, 0.906179845938664, -0.906179845938664];
+const GAUSS_WEIGHTS = [0.5688888888888889, 0.47862867049936647, 0.47862867049936647, 0.23692688505618908, 0.23692688505618908];
+
+function gaussLegendre(f, a, b, panels) {
+    const width = (b - a) / panels;
+    let sum = 0;
+    for (let p = 0; p < panels; p++) {
+        const middle = a + (p + 0.5) * width;
+        GAUSS_NODES.forEach((x, k) => {
+            sum += GAUSS_WEIGHTS[k] * f(middle + x * width / 2);
+        });
+    }
+    return sum * width / 2;
+}
+
+/**
+ * ∫ f over [a, b] by composite Gauss–Legendre quadrature, doubling the
+ * panels until two estimates agree
+ */
+function integrateNumerically(f, a, b) {
+    let previous = gaussLegendre(f, a, b, 8);
+    for (let panels = 16; panels <= 4096; panels *= 2) {
+        const estimate = gaussLegendre(f, a, b, panels);
+        if (Math.abs(estimate - previous) <= 1e-10 * Math.max(1, Math.abs(estimate))) {
+            return estimate;
+        }
+        previous = estimate;
+    }
+    throw new MathematicalExpressionError("Integral does not converge", { code: "NOT_CONVERGENT" });
+}
+
+/**
+ * Two-sided limit of f at `point` from samples approaching it, with one
+ * Richardson step to cancel the first-order error
+ */
+function limitNumerically(f, point) {
+    const side = direction => {
+        const h = 1e-5 * Math.max(1, Math.abs(point));
+        return 2 * f(point + direction * h / 2) - f(point + direction * h);
+    };
+
+    const left = side(-1);
+    const right = side(1);
+    if (!Number.isFinite(left) || !Number.isFinite(right) || Math.abs(left - right) > 1e-6 * Math.max(1, Math.abs(right))) {
+        throw new MathematicalExpressionError("Limit does not exist", { code: "NO_LIMIT" });
+    }
+    return (left + right) / 2;
+}
+
+module.exports = {
+    children,
+    dependsOn,
+    freeSymbols,
+    derivative,
+    integrateNumerically,
+    limitNumerically
+};
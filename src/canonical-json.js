@@ -0,0 +1,83 @@
+/**
+ * Canonical JSON
+ * Fractional Core (FC) Framework
+ *
+ * Deterministic JSON serialization for proofs attached to receipts:
+ * object keys are sorted, no whitespace is emitted and values that JSON
+ * cannot represent faithfully are rejected instead of silently altered.
+ */
+
+const { EncodingError } = require("./errors.js");
+
+/**
+ * Serialize a value to canonical JSON
+ */
+function canonicalStringify(value) {
+    const output = serialize(value, new Set());
+    if (output === undefined) {
+        throw new EncodingError(`Cannot encode a value of type ${typeof value}`);
+    }
+    return output;
+}
+
+function serialize(value, ancestors) {
+    if (value !== null && typeof value === "object" && typeof value.toJSON === "function") {
+        value = value.toJSON();
+    }
+
+    switch (typeof value) {
+        case "string":
+        case "boolean":
+            return JSON.stringify(value);
+
+        case "number":
+            if (!Number.isFinite(value)) {
+                throw new EncodingError(`Cannot encode non-finite number ${value}`);
+            }
+            return JSON.stringify(value);
+
+        case "bigint":
+            throw new EncodingError("Cannot encode a BigInt; convert it to a string first");
+
+        case "undefined":
+        case "function":
+        case "symbol":
+            return undefined;
+
+        default:
+            break;
+    }
+
+    if (value === null) {
+        return "null";
+    }
+
+    if (ancestors.has(value)) {
+        throw new EncodingError("Cannot encode a circular structure");
+    }
+    ancestors.add(value);
+
+    let output;
+    if (Array.isArray(value)) {
+        output = "[" + value.map(item => {
+            const serialized = serialize(item, ancestors);
+            return serialized === undefined ? "null" : serialized;
+        }).join(",") + "]";
+    } else {
+        const members = [];
+        for (const key of Object.keys(value).sort()) {
+            const serialized = serialize(value[key], ancestors);
+            if (serialized !== undefined) {
+                members.push(JSON.stringify(key) + ":" + serialized);
+            }
+        }
+        output = "{" + members.join(",") + "}";
+    }
+
+    ancestors.delete(value);
+    return output;
+}
+
+module.exports = {
+    canonicalStringify
+};
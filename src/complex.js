@@ -0,0 +1,165 @@
+/**
+ * Complex
+ * Fractional Core (FC) Framework
+ *
+ * Complex values for the expression evaluator, so intermediate results
+ * such as e^(iπ) or 3+4i can appear in expressions whose value is real.
+ * Both parts use the evaluator's arithmetic; an operation whose imaginary
+ * part is exactly zero returns a plain real value.
+ */
+
+const { MathematicalExpressionError } = require("./errors.js");
+const { MAX_EXPONENT } = require("./exact-arithmetic.js");
+
+function domainError(message) {
+    return new MathematicalExpressionError(message, { code: "DOMAIN_ERROR" });
+}
+
+class Complex {
+    constructor(re, im, math) {
+        this.re = re;
+        this.im = im;
+        this.math = math;
+    }
+
+    /**
+     * re + im·i, or just re when im is zero
+     */
+    static of(re, im, math) {
+        return math.isZero(im) ? re : new Complex(re, im, math);
+    }
+
+    static unit(math) {
+        return new Complex(math.literal("0"), math.literal("1"), math);
+    }
+
+    static lift(value, math) {
+        return value instanceof Complex ? value : new Complex(value, math.literal("0"), math);
+    }
+
+    add(other) {
+        const z = Complex.lift(other, this.math);
+        return Complex.of(this.math.add(this.re, z.re), this.math.add(this.im, z.im), this.math);
+    }
+
+    sub(other) {
+        const z = Complex.lift(other, this.math);
+        return Complex.of(this.math.sub(this.re, z.re), this.math.sub(this.im, z.im), this.math);
+    }
+
+    neg() {
+        return new Complex(this.math.neg(this.re), this.math.neg(this.im), this.math);
+    }
+
+    mul(other) {
+        const math = this.math;
+        const z = Complex.lift(other, math);
+        return Complex.of(
+            math.sub(math.mul(this.re, z.re), math.mul(this.im, z.im)),
+            math.add(math.mul(this.re, z.im), math.mul(this.im, z.re)),
+            math
+        );
+    }
+
+    div(other) {
+        const math = this.math;
+        const z = Complex.lift(other, math);
+        const norm = math.add(math.mul(z.re, z.re), math.mul(z.im, z.im));
+        return Complex.of(
+            math.div(math.add(math.mul(this.re, z.re), math.mul(this.im, z.im)), norm),
+            math.div(math.sub(math.mul(this.im, z.re), math.mul(this.re, z.im)), norm),
+            math
+        );
+    }
+
+    /**
+     * Modulus |z|
+     */
+    abs() {
+        const math = this.math;
+        return math.sqrt(math.add(math.mul(this.re, this.re), math.mul(this.im, this.im)));
+    }
+
+    /**
+     * Whole-number power by repeated squaring; negative powers take the
+     * reciprocal. Powers of i repeat every four, so any exponent works
+     * for i itself.
+     */
+    pow(exponent) {
+        const math = this.math;
+        let n = math.natural(exponent);
+        let base = this;
+        if (n === null && math.natural(math.neg(exponent)) === null) {
+            throw domainError("Complex numbers can only be raised to whole powers");
+        }
+        if (this.isUnit()) {
+            const whole = x => math.natural(x) !== null || math.natural(math.neg(x)) !== null;
+            const four = math.literal("4");
+            const k = [0, 1, 2, 3].find(r => whole(math.div(math.sub(exponent, math.literal(String(r))), four)));
+            return [math.literal("1"), this, math.neg(math.literal("1")), this.neg()][k];
+        }
+        if (n === null) {
+            n = math.natural(math.neg(exponent));
+            base = Complex.lift(math.literal("1"), math).div(this);
+        }
+        if (n > Number(MAX_EXPONENT)) {
+            throw new MathematicalExpressionError("Exponent too large for a complex power", { code: "OVERFLOW" });
+        }
+
+        const times = (a, b) => a instanceof Complex ? a.mul(b) : b instanceof Complex ? b.mul(a) : math.mul(a, b);
+        let result = math.literal("1");
+        while (n > 0) {
+            if (n % 2 === 1) {
+                result = times(base, result);
+            }
+            base = times(base, base);
+            n = Math.floor(n / 2);
+        }
+        return result;
+    }
+
+    /**
+     * Whether this is i
+     */
+    isUnit() {
+        return this.math.isZero(this.re) && this.math.isZero(this.math.sub(this.im, this.math.literal("1")));
+    }
+
+    /**
+     * e^z = e^re·(cos im + i·sin im)
+     */
+    exp() {
+        const math = this.math;
+        const scale = math.call("exp", [this.re]);
+        return Complex.of(
+            math.mul(scale, math.call("cos", [this.im])),
+            math.mul(scale, math.call("sin", [this.im])),
+            math
+        );
+    }
+
+    toString() {
+        return `${this.re} + ${this.im}i`;
+    }
+}
+
+/**
+ * The real value of `value`: its imaginary part must be exactly zero in
+ * exact mode and negligible in float mode
+ */
+function realPart(value, math) {
+    if (!(value instanceof Complex)) {
+        return value;
+    }
+    const re = math.toNumber(value.re);
+    const im = math.toNumber(value.im);
+    if (math.numeric && Math.abs(im) <= 1e-9 * Math.max(1, Math.abs(re))) {
+        return value.re;
+    }
+    throw new MathematicalExpressionError(`Value has a non-zero imaginary part (${value.im})`, { code: "NOT_REAL" });
+}
+
+module.exports = {
+    Complex,
+    realPart
+};
@@ -0,0 +1,110 @@
+/**
+ * Compression
+ * Fractional Core (FC) Framework
+ *
+ * Optional zlib stage applied to a payload before it is turned into
+ * expressions. A compressed payload carries a 3-byte marker:
+ *
+ *   magic "\xFCZ" (2) | method (1) | compressed bytes
+ *
+ * Grids record their compression in grid.scheme or the frame header, and
+ * decoding goes by that when it is known. Otherwise the marker is used:
+ * UTF-8 text never starts with 0xFC, and binary that only happens to
+ * start with the marker is kept as it is when it does not inflate.
+ */
+
+const zlib = require("zlib");
+const { EncodingError } = require("./errors.js");
+
+const MAGIC = Buffer.from([0xFC, 0x5A]);
+const MARKER_LENGTH = 3;
+
+// Method bytes are written into grids, so values may only ever be added
+const METHODS = {
+    "deflate": 1,
+    "brotli": 2
+};
+
+const COMPRESSION_SCHEMES = ["none", ...Object.keys(METHODS)];
+
+const CODECS = {
+    "deflate": {
+        compress: bytes => zlib.deflateRawSync(bytes, { level: zlib.constants.Z_BEST_COMPRESSION }),
+        decompress: bytes => zlib.inflateRawSync(bytes)
+    },
+    "brotli": {
+        compress: bytes => zlib.brotliCompressSync(bytes, {
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: bytes.length
+            }
+        }),
+        decompress: bytes => zlib.brotliDecompressSync(bytes)
+    }
+};
+
+/**
+ * Payload with the marker and compressed bytes, or unchanged for "none"
+ */
+function compress(bytes, scheme) {
+    if (scheme === "none") {
+        return Buffer.from(bytes);
+    }
+    const header = Buffer.from([...MAGIC, METHODS[scheme]]);
+    return Buffer.concat([header, CODECS[scheme].compress(bytes)]);
+}
+
+/**
+ * Compression scheme named by a payload's marker, or "none". Only
+ * reliable for payloads known to be either compressed or UTF-8 text.
+ */
+function compressionOf(bytes) {
+    if (bytes.length < MARKER_LENGTH || !MAGIC.equals(bytes.subarray(0, MAGIC.length))) {
+        return "none";
+    }
+    const scheme = Object.keys(METHODS).find(name => METHODS[name] === bytes[MAGIC.length]);
+    if (scheme === undefined) {
+        throw new EncodingError(`Unknown compression method ${bytes[MAGIC.length]}`, { code: "DECOMPRESSION_FAILED" });
+    }
+    return scheme;
+}
+
+/**
+ * Original bytes of a payload compressed with `scheme`
+ */
+function decompress(bytes, scheme) {
+    if (scheme === "none") {
+        return bytes;
+    }
+    if (compressionOf(bytes) !== scheme) {
+        throw new EncodingError(`Payload is not marked as ${scheme}-compressed`, { code: "DECOMPRESSION_FAILED" });
+    }
+
+    try {
+        return CODECS[scheme].decompress(bytes.subarray(MARKER_LENGTH));
+    } catch (error) {
+        throw new EncodingError(`Compressed payload is damaged: ${error.message}`, { code: "DECOMPRESSION_FAILED" });
+    }
+}
+
+/**
+ * Original bytes of a payload whose compression was not recorded
+ */
+function decompressDetected(bytes) {
+    try {
+        return decompress(bytes, compressionOf(bytes));
+    } catch (error) {
+        if (error instanceof EncodingError && error.code === "DECOMPRESSION_FAILED") {
+            return bytes;
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    COMPRESSION_SCHEMES,
+    compress,
+    compressionOf,
+    decompress,
+    decompressDetected
+};
@@ -0,0 +1,247 @@
+/**
+ * Document Reader
+ * Fractional Core (FC) Framework
+ *
+ * Recovers grid cells from the documents encoded material is published
+ * in: LaTeX tabular/array environments, HTML tables, Markdown tables and
+ * whitespace-separated plain text. Cells written as LaTeX (the whole
+ * LaTeX format, or `$...$` cells in the others) are mapped back to FC
+ * notation, so the result can go through the normal decode path. The
+ * scheme that renderLaTeX() and renderHTML() record is read back too.
+ */
+
+const { EncodingError } = require("./errors.js");
+
+const FORMATS = ["latex", "html", "markdown", "text"];
+
+// Environment name, then up to two arguments (tabular* width, column spec)
+const LATEX_ENVIRONMENT = /\\begin\{(tabular\*?|array)\}(?:\{(?:[^{}]|\{[^{}]*\})*\}){1,2}([\s\S]*?)\\end\{\1\}/g;
+
+// Table rules and spacing that carry no cell content
+const LATEX_DECORATION = /\\(?:hline|toprule|midrule|bottomrule|cline\{[^}]*\}|noalign\{[^}]*\})/g;
+
+const LATEX_SYMBOLS = {
+    "\\times": "×",
+    "\\cdot": "·",
+    "\\div": "÷",
+    "\\pi": "π",
+    "\\theta": "θ",
+    "\\to": "→",
+    "\\infty": "∞",
+    "\\lvert": "|",
+    "\\rvert": "|",
+    "\\vert": "|"
+};
+
+const LATEX_FUNCTIONS = ["sin", "cos", "tan", "ln", "log", "exp", "det", "lim"];
+
+const HTML_ENTITIES = {
+    amp: "&",
+    lt: "<",
+    gt: ">",
+    quot: "\"",
+    apos: "'",
+    nbsp: " ",
+    minus: "−",
+    times: "×",
+    middot: "·",
+    divide: "÷",
+    radic: "√",
+    pi: "π",
+    theta: "θ",
+    sup2: "²",
+    rarr: "→",
+    int: "∫"
+};
+
+/**
+ * Guess the format of a document from its markup
+ */
+function detectFormat(source) {
+    if (/\\begin\{(tabular\*?|array)\}/.test(source)) {
+        return "latex";
+    }
+    if (/<table[\s>]/i.test(source)) {
+        return "html";
+    }
+    if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/m.test(source)) {
+        return "markdown";
+    }
+    return "text";
+}
+
+/**
+ * Rows of raw cells, each `{ text, latex }` where `latex` marks cells
+ * still written in LaTeX. Blank cells are kept (a renderer may leave zero
+ * cells empty); lines holding nothing at all are dropped.
+ */
+function extractCells(source, format) {
+    const readers = { latex: latexCells, html: htmlCells, markdown: markdownCells, text: textCells };
+    if (!readers[format]) {
+        throw new EncodingError(`Unknown document format '${format}'; use one of ${FORMATS.join(", ")}`, { code: "INVALID_OPTION" });
+    }
+
+    return readers[format](source).filter(row => row.length > 1 || (row.length === 1 && row[0].text !== ""));
+}
+
+/**
+ * Scheme that renderLaTeX() or renderHTML() recorded beside the table, or
+ * null when the document has none
+ */
+function documentScheme(source, format) {
+    const patterns = { latex: /^%\s*fc-scheme:\s*(.*)$/m, html: /<table\b[^>]*\bdata-scheme="([^"]*)"/i };
+    const match = patterns[format] ? patterns[format].exec(source) : null;
+    if (!match) {
+        return null;
+    }
+
+    let scheme;
+    try {
+        scheme = JSON.parse(format === "html" ? decodeEntities(match[1]) : match[1]);
+    } catch (error) {
+        throw new EncodingError(`Grid scheme in the document is not valid JSON: ${error.message}`, { code: "INVALID_DOCUMENT" });
+    }
+    if (!scheme || typeof scheme !== "object" || Array.isArray(scheme)) {
+        throw new EncodingError("Grid scheme in the document is not an object", { code: "INVALID_DOCUMENT" });
+    }
+    return scheme;
+}
+
+function latexCells(source) {
+    const body = source.replace(/(^|[^\\])%.*$/gm, "$1");
+    const rows = [];
+
+    for (const [, , content] of body.matchAll(LATEX_ENVIRONMENT)) {
+        content.replace(LATEX_DECORATION, "")
+            .split(/\\\\(?:\[[^\]]*\])?/)
+            .forEach(line => {
+                rows.push(line.split(/(?<!\\)&/).map(cell => ({ text: stripMathDelimiters(cell.trim()), latex: true })));
+            });
+    }
+
+    if (rows.length === 0) {
+        throw new EncodingError("No tabular or array environment found", { code: "INVALID_DOCUMENT" });
+    }
+    return rows;
+}
+
+function htmlCells(source) {
+    const rows = [];
+    for (const [, row] of source.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)) {
+        // Header cells label rows and columns; only data cells carry the grid
+        rows.push([...row.matchAll(/<td([^>]*)>([\s\S]*?)<\/td>/gi)].map(([, attributes, cell]) => {
+            // Pages from renderHTML() keep the expression beside its MathML
+            const expression = /\bdata-expression="([^"]*)"/i.exec(attributes);
+            if (expression) {
+                return { text: decodeEntities(expression[1]), latex: false };
+            }
+            return inlineCell(decodeEntities(cell.replace(/<[^>]*>/g, "")));
+        }));
+    }
+
+    if (rows.length === 0) {
+        throw new EncodingError("No HTML table rows found", { code: "INVALID_DOCUMENT" });
+    }
+    return rows;
+}
+
+function markdownCells(source) {
+    const lines = source.split(/\r?\n/).filter(line => line.includes("|"));
+    const separator = lines.findIndex(line => /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line));
+    if (separator === -1) {
+        throw new EncodingError("No Markdown table found", { code: "INVALID_DOCUMENT" });
+    }
+
+    // The header row above the separator labels columns and is skipped
+    return lines.slice(separator + 1).map(line => {
+        const cells = line.trim().replace(/^\|/, "").replace(/(?<!\\)\|$/, "").split(/(?<!\\)\|/);
+        return cells.map(cell => inlineCell(cell.replace(/\\\|/g, "|").replace(/^\s*`(.*)`\s*$/, "$1")));
+    });
+}
+
+function textCells(source) {
+    // Tabs or runs of spaces separate cells when expressions contain spaces
+    const separator = /\t| {2,}/.test(source) ? /\t+| {2,}/ : /\s+/;
+    return source.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .map(line => line.split(separator).map(inlineCell));
+}
+
+/**
+ * A cell from HTML, Markdown or text: `$...$` and `\(...\)` mark LaTeX
+ */
+function inlineCell(cell) {
+    const text = cell.trim();
+    const math = /^\$(.*)\$$|^\\\((.*)\\\)$/s.exec(text);
+    return math ? { text: (math[1] ?? math[2]).trim(), latex: true } : { text, latex: false };
+}
+
+function stripMathDelimiters(cell) {
+    const math = /^\$(.*)\$$|^\\\((.*)\\\)$/s.exec(cell);
+    return math ? (math[1] ?? math[2]).trim() : cell;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z0-9]+);/gi, (entity, name) => {
+        if (name[0] === "#") {
+            const code = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Collapse insignificant LaTeX whitespace so table lookups match
+ */
+function normalizeLatex(latex) {
+    return latex.replace(/\\[,;:! ]/g, " ").replace(/\s+/g, " ").replace(/\s*([{}()^_|+\-=&])\s*/g, "$1").trim();
+}
+
+/**
+ * FC notation for a LaTeX cell. Expressions in `table` (normalized LaTeX
+ * to expression) are looked up; anything else is translated command by
+ * command, and commands with no FC equivalent are left in place so the
+ * cell reads as invalid.
+ */
+function latexToExpression(latex, table) {
+    const normalized = normalizeLatex(latex);
+    if (table.has(normalized)) {
+        return table.get(normalized);
+    }
+
+    let expression = normalized
+        .replace(/\\(?:left|right|big|Big|bigg|Bigg)\b\s*/g, "")
+        .replace(/\\(?:mathrm|text|operatorname)\{([^{}]*)\}/g, "$1");
+
+    // Innermost groups first, so nested fractions and radicals unwind
+    let previous;
+    do {
+        previous = expression;
+        expression = expression
+            .replace(/\\[dt]?frac\{([^{}]*)\}\{([^{}]*)\}/g, "($1)/($2)")
+            .replace(/\\sqrt\{([^{}]*)\}/g, "√($1)")
+            .replace(/\^\{([^{}]*)\}/g, "^($1)")
+            .replace(/(?<!\\[dt]?frac|\\sqrt|\})\{([^{}]*)\}/g, "($1)");
+    } while (expression !== previous);
+
+    expression = expression.replace(/\\[A-Za-z]+/g, command => {
+        if (LATEX_SYMBOLS[command]) {
+            return LATEX_SYMBOLS[command];
+        }
+        return LATEX_FUNCTIONS.includes(command.slice(1)) ? command.slice(1) : command;
+    });
+
+    return expression.trim();
+}
+
+module.exports = {
+    FORMATS,
+    decodeEntities,
+    detectFormat,
+    documentScheme,
+    extractCells,
+    latexToExpression,
+    normalizeLatex
+};
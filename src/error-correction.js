@@ -0,0 +1,368 @@
+/**
+ * Error Correction
+ * Fractional Core (FC) Framework
+ *
+ * Forward error correction applied to a payload before it is turned into
+ * expressions, so a mistyped or misread cell can be repaired on decode.
+ *
+ *   hamming      - Hamming(7,4): each nibble becomes 7 bits; corrects one
+ *                  flipped bit per codeword. Suited to binary grids.
+ *   reed-solomon - RS(255,223) over GF(256): 32 parity bytes per block of up
+ *                  to 223 data bytes; corrects up to 16 damaged bytes per
+ *                  block and reports blocks it cannot repair.
+ *
+ * Neither code adds a header: the payload length follows from the coded
+ * length alone.
+ */
+
+const { EncodingError } = require("./errors.js");
+
+const ECC_SCHEMES = ["none", "hamming", "reed-solomon"];
+
+/**
+ * Hamming(7,4) with codeword bits p1 p2 d1 p3 d2 d3 d4
+ */
+class Hamming74 {
+    static encodeNibble(nibble) {
+        const d1 = (nibble >> 3) & 1;
+        const d2 = (nibble >> 2) & 1;
+        const d3 = (nibble >> 1) & 1;
+        const d4 = nibble & 1;
+        return [d1 ^ d2 ^ d4, d1 ^ d3 ^ d4, d1, d2 ^ d3 ^ d4, d2, d3, d4];
+    }
+
+    /**
+     * Correct a 7-bit codeword in place; returns its data nibble
+     */
+    static decodeCodeword(bits) {
+        const syndrome =
+            (bits[0] ^ bits[2] ^ bits[4] ^ bits[6]) |
+            (bits[1] ^ bits[2] ^ bits[5] ^ bits[6]) << 1 |
+            (bits[3] ^ bits[4] ^ bits[5] ^ bits[6]) << 2;
+        if (syndrome !== 0) {
+            bits[syndrome - 1] ^= 1;
+        }
+        return bits[2] << 3 | bits[4] << 2 | bits[5] << 1 | bits[6];
+    }
+
+    codedLength(length) {
+        return Math.ceil(length * 14 / 8);
+    }
+
+    encode(data) {
+        const bits = [];
+        for (const byte of data) {
+            bits.push(...Hamming74.encodeNibble(byte >> 4), ...Hamming74.encodeNibble(byte & 0x0F));
+        }
+        return packBits(bits);
+    }
+
+    /**
+     * @returns {{ data: Buffer, codeword: Buffer }} payload and the corrected coded bytes
+     */
+    decode(coded) {
+        const bits = unpackBits(coded);
+        const data = Buffer.alloc(Math.floor(bits.length / 14));
+
+        for (let i = 0; i < data.length; i++) {
+            const high = Hamming74.decodeCodeword(bits.subarray(i * 14, i * 14 + 7));
+            const low = Hamming74.decodeCodeword(bits.subarray(i * 14 + 7, i * 14 + 14));
+            data[i] = high << 4 | low;
+        }
+
+        return { data, codeword: packBits(bits) };
+    }
+}
+
+function packBits(bits) {
+    const bytes = Buffer.alloc(Math.ceil(bits.length / 8));
+    for (let i = 0; i < bits.length; i++) {
+        if (bits[i]) {
+            bytes[i >> 3] |= 0x80 >> (i & 7);
+        }
+    }
+    return bytes;
+}
+
+function unpackBits(bytes) {
+    const bits = new Uint8Array(bytes.length * 8);
+    for (let i = 0; i < bits.length; i++) {
+        bits[i] = (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+    }
+    return bits;
+}
+
+// GF(256) with primitive polynomial x^8 + x^4 + x^3 + x^2 + 1
+const GF_EXP = new Array(512);
+const GF_LOG = new Array(256);
+(() => {
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = x;
+        GF_LOG[x] = i;
+        x <<= 1;
+        if (x & 0x100) {
+            x ^= 0x11D;
+        }
+    }
+    for (let i = 255; i < 512; i++) {
+        GF_EXP[i] = GF_EXP[i - 255];
+    }
+})();
+
+const gf = {
+    mul: (x, y) => (x === 0 || y === 0 ? 0 : GF_EXP[GF_LOG[x] + GF_LOG[y]]),
+    div: (x, y) => (x === 0 ? 0 : GF_EXP[(GF_LOG[x] + 255 - GF_LOG[y]) % 255]),
+    pow: (x, power) => GF_EXP[(((GF_LOG[x] * power) % 255) + 255) % 255],
+    inverse: x => GF_EXP[255 - GF_LOG[x]]
+};
+
+// Polynomials are coefficient arrays, highest degree first
+const poly = {
+    scale: (p, x) => p.map(coefficient => gf.mul(coefficient, x)),
+
+    add(p, q) {
+        const result = new Array(Math.max(p.length, q.length)).fill(0);
+        p.forEach((c, i) => { result[i + result.length - p.length] = c; });
+        q.forEach((c, i) => { result[i + result.length - q.length] ^= c; });
+        return result;
+    },
+
+    mul(p, q) {
+        const result = new Array(p.length + q.length - 1).fill(0);
+        for (let j = 0; j < q.length; j++) {
+            for (let i = 0; i < p.length; i++) {
+                result[i + j] ^= gf.mul(p[i], q[j]);
+            }
+        }
+        return result;
+    },
+
+    evaluate(p, x) {
+        let y = p[0];
+        for (let i = 1; i < p.length; i++) {
+            y = gf.mul(y, x) ^ p[i];
+        }
+        return y;
+    },
+
+    /**
+     * Remainder of p / divisor for a monic divisor
+     */
+    remainder(p, divisor) {
+        const out = p.slice();
+        for (let i = 0; i < p.length - (divisor.length - 1); i++) {
+            const coefficient = out[i];
+            if (coefficient !== 0) {
+                for (let j = 1; j < divisor.length; j++) {
+                    out[i + j] ^= gf.mul(divisor[j], coefficient);
+                }
+            }
+        }
+        return out.slice(out.length - (divisor.length - 1));
+    }
+};
+
+class ReedSolomon {
+    constructor(paritySymbols = 32) {
+        this.paritySymbols = paritySymbols;
+        this.blockData = 255 - paritySymbols;
+
+        this.generator = [1];
+        for (let i = 0; i < paritySymbols; i++) {
+            this.generator = poly.mul(this.generator, [1, gf.pow(2, i)]);
+        }
+    }
+
+    codedLength(length) {
+        return length + Math.ceil(length / this.blockData) * this.paritySymbols;
+    }
+
+    encode(data) {
+        const blocks = [];
+        for (let offset = 0; offset < data.length; offset += this.blockData) {
+            const message = [...data.subarray(offset, offset + this.blockData)];
+            const parity = poly.remainder([...message, ...new Array(this.paritySymbols).fill(0)], this.generator);
+            blocks.push(Buffer.from([...message, ...parity]));
+        }
+        return Buffer.concat(blocks);
+    }
+
+    /**
+     * @returns {{ data: Buffer, codeword: Buffer }} payload and the corrected coded bytes
+     */
+    decode(coded) {
+        const dataBlocks = [];
+        const codeBlocks = [];
+
+        for (let offset = 0, index = 0; offset < coded.length; offset += 255, index++) {
+            const block = [...coded.subarray(offset, offset + 255)];
+            if (block.length <= this.paritySymbols) {
+                throw new EncodingError(`Reed-Solomon block ${index} is truncated`, { code: "UNCORRECTABLE" });
+            }
+            const corrected = this.correctBlock(block, index);
+            codeBlocks.push(Buffer.from(corrected));
+            dataBlocks.push(Buffer.from(corrected.slice(0, corrected.length - this.paritySymbols)));
+        }
+
+        return { data: Buffer.concat(dataBlocks), codeword: Buffer.concat(codeBlocks) };
+    }
+
+    syndromes(block) {
+        // Leading zero keeps indices aligned with the Berlekamp-Massey shift
+        const syndromes = [0];
+        for (let i = 0; i < this.paritySymbols; i++) {
+            syndromes.push(poly.evaluate(block, gf.pow(2, i)));
+        }
+        return syndromes;
+    }
+
+    correctBlock(block, index) {
+        const syndromes = this.syndromes(block);
+        if (syndromes.every(s => s === 0)) {
+            return block;
+        }
+
+        const uncorrectable = () => new EncodingError(
+            `Reed-Solomon block ${index} has more damage than it can repair`,
+            { code: "UNCORRECTABLE" }
+        );
+
+        const locator = this.errorLocator(syndromes);
+        if (locator === null) {
+            throw uncorrectable();
+        }
+        const positions = this.errorPositions(locator.slice().reverse(), block.length);
+        if (positions === null) {
+            throw uncorrectable();
+        }
+
+        const corrected = this.correctErrata(block, syndromes, positions);
+        if (this.syndromes(corrected).some(s => s !== 0)) {
+            throw uncorrectable();
+        }
+        return corrected;
+    }
+
+    // Berlekamp-Massey
+    errorLocator(syndromes) {
+        let locator = [1];
+        let previous = [1];
+        const shift = syndromes.length - this.paritySymbols;
+
+        for (let i = 0; i < this.paritySymbols; i++) {
+            const k = i + shift;
+            let delta = syndromes[k];
+            for (let j = 1; j < locator.length; j++) {
+                delta ^= gf.mul(locator[locator.length - 1 - j], syndromes[k - j]);
+            }
+            previous = [...previous, 0];
+            if (delta !== 0) {
+                if (previous.length > locator.length) {
+                    const next = poly.scale(previous, delta);
+                    previous = poly.scale(locator, gf.inverse(delta));
+                    locator = next;
+                }
+                locator = poly.add(locator, poly.scale(previous, delta));
+            }
+        }
+
+        while (locator.length > 0 && locator[0] === 0) {
+            locator.shift();
+        }
+        return (locator.length - 1) * 2 > this.paritySymbols ? null : locator;
+    }
+
+    // Chien search
+    errorPositions(locator, length) {
+        const positions = [];
+        for (let i = 0; i < length; i++) {
+            if (poly.evaluate(locator, gf.pow(2, i)) === 0) {
+                positions.push(length - 1 - i);
+            }
+        }
+        return positions.length === locator.length - 1 ? positions : null;
+    }
+
+    // Forney
+    correctErrata(block, syndromes, positions) {
+        const coefficientPositions = positions.map(p => block.length - 1 - p);
+
+        let errataLocator = [1];
+        for (const position of coefficientPositions) {
+            errataLocator = poly.mul(errataLocator, poly.add([1], [gf.pow(2, position), 0]));
+        }
+
+        const evaluatorDivisor = [1, ...new Array(errataLocator.length).fill(0)];
+        const evaluator = poly.remainder(poly.mul(syndromes.slice().reverse(), errataLocator), evaluatorDivisor);
+
+        const X = coefficientPositions.map(position => gf.pow(2, position));
+        const errors = new Array(block.length).fill(0);
+
+        X.forEach((Xi, i) => {
+            const XiInverse = gf.inverse(Xi);
+            let locatorPrime = 1;
+            X.forEach((Xj, j) => {
+                if (j !== i) {
+                    locatorPrime = gf.mul(locatorPrime, 1 ^ gf.mul(XiInverse, Xj));
+                }
+            });
+            const y = gf.mul(Xi, poly.evaluate(evaluator, XiInverse));
+            errors[positions[i]] = gf.div(y, locatorPrime);
+        });
+
+        return poly.add(block, errors);
+    }
+}
+
+const CODES = {
+    "hamming": new Hamming74(),
+    "reed-solomon": new ReedSolomon(32)
+};
+
+/**
+ * Smallest run of payload bytes that codes independently of its
+ * neighbours, and its coded size, so long payloads can be streamed
+ */
+function blockSizes(scheme) {
+    if (scheme === "hamming") {
+        return { data: 4, coded: 7 };
+    }
+    if (scheme === "reed-solomon") {
+        return { data: CODES[scheme].blockData, coded: 255 };
+    }
+    return { data: 1, coded: 1 };
+}
+
+/**
+ * Size in bytes of a `length`-byte payload once coded
+ */
+function codedLength(length, scheme) {
+    return scheme === "none" ? length : CODES[scheme].codedLength(length);
+}
+
+/**
+ * Add redundancy to a payload
+ */
+function eccEncode(data, scheme) {
+    return scheme === "none" ? Buffer.from(data) : CODES[scheme].encode(data);
+}
+
+/**
+ * Recover a payload, repairing what the code allows
+ *
+ * @returns {{ data: Buffer, codeword: Buffer }} payload and the corrected coded bytes
+ */
+function eccDecode(coded, scheme) {
+    return scheme === "none" ? { data: coded, codeword: coded } : CODES[scheme].decode(coded);
+}
+
+module.exports = {
+    ECC_SCHEMES,
+    Hamming74,
+    ReedSolomon,
+    blockSizes,
+    codedLength,
+    eccEncode,
+    eccDecode
+};
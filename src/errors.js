@@ -0,0 +1,85 @@
+/**
+ * Fractional Core Errors
+ *
+ * Typed errors raised by the expression engine and the encoder so callers
+ * can tell a malformed expression from a covenant or encoding failure.
+ */
+
+/**
+ * Raised when an expression cannot be tokenized, parsed or evaluated.
+ * `position` is the zero-based character offset of the offending input,
+ * or null when the failure is not tied to a single location.
+ */
+class MathematicalExpressionError extends Error {
+    constructor(message, { expression = null, position = null, length = 1, code = "INVALID_EXPRESSION" } = {}) {
+        super(position === null ? message : `${message} at position ${position}`);
+        this.name = "MathematicalExpressionError";
+        this.reason = message;
+        this.expression = expression;
+        this.position = position;
+        this.length = length;
+        this.code = code;
+    }
+
+    /**
+     * Structured form suitable for reporting back to a user interface
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code,
+            message: this.reason,
+            expression: this.expression,
+            position: this.position,
+            length: this.length
+        };
+    }
+}
+
+/**
+ * Raised when data cannot be encoded into, or recovered from, a grid
+ */
+class EncodingError extends Error {
+    constructor(message, { code = "ENCODING_FAILED" } = {}) {
+        super(message);
+        this.name = "EncodingError";
+        this.code = code;
+    }
+}
+
+/**
+ * Raised when grid cells are not valid digits: by decodeDetailed() in
+ * strict mode, or when a base-N grid without an error-correcting code
+ * has unreadable cells. `cells` holds the report for each bad cell.
+ */
+class InvalidCellsError extends EncodingError {
+    constructor(cells) {
+        const listed = cells.slice(0, 5).map(cell => `row ${cell.row} column ${cell.column} ('${cell.expression}'): ${cell.error}`);
+        const more = cells.length > 5 ? `; and ${cells.length - 5} more` : "";
+        super(`${cells.length} unreadable ${cells.length === 1 ? "cell" : "cells"}: ${listed.join("; ")}${more}`, { code: "INVALID_CELL" });
+        this.name = "InvalidCellsError";
+        this.cells = cells;
+    }
+}
+
+/**
+ * Raised when an expression set is registered with entries that do not
+ * parse, do not equal 1 or repeat. `problems` gives the index,
+ * expression, code and message of each rejected entry.
+ */
+class InvalidExpressionSetError extends EncodingError {
+    constructor(id, problems) {
+        const listed = problems.slice(0, 5).map(problem => `entry ${problem.index} ('${problem.expression}'): ${problem.error}`);
+        const more = problems.length > 5 ? `; and ${problems.length - 5} more` : "";
+        super(`Expression set '${id}' has ${problems.length} invalid ${problems.length === 1 ? "entry" : "entries"}: ${listed.join("; ")}${more}`, { code: "INVALID_EXPRESSION_SET" });
+        this.name = "InvalidExpressionSetError";
+        this.problems = problems;
+    }
+}
+
+module.exports = {
+    MathematicalExpressionError,
+    EncodingError,
+    InvalidCellsError,
+    InvalidExpressionSetError
+};
@@ -0,0 +1,545 @@
+/**
+ * Exact Arithmetic
+ * Fractional Core (FC) Framework
+ *
+ * BigInt rationals and exact surds so that verification can answer
+ * "is this exactly 1" instead of "is this within 0.0001 of 1".
+ *
+ * An ExactNumber is a finite sum  q₁√r₁ + q₂√r₂ + …  with rational q and
+ * distinct square-free integers r (r = 1 is the rational part). Square
+ * roots of distinct square-free integers are linearly independent over
+ * the rationals, so this form is canonical and equality is structural.
+ */
+
+const { MathematicalExpressionError } = require("./errors.js");
+
+// Trial division bound for square-free decomposition. Any cofactor left
+// below TRIAL_LIMIT² without a factor up to TRIAL_LIMIT is square-free.
+const TRIAL_LIMIT = 10000n;
+const MAX_EXPONENT = 4096n;
+const MAX_FACTORIAL = 1000n;
+
+function notExact(message) {
+    return new MathematicalExpressionError(message, { code: "NOT_EXACT" });
+}
+
+function gcd(a, b) {
+    a = a < 0n ? -a : a;
+    b = b < 0n ? -b : b;
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * Integer square root (floor) of a non-negative BigInt
+ */
+function isqrt(n) {
+    if (n < 2n) {
+        return n;
+    }
+    // Newton's method from a power of two above the root; the steps
+    // decrease until they reach the floor
+    let x = 1n << BigInt((n.toString(2).length >> 1) + 1);
+    for (;;) {
+        const y = (x + n / x) >> 1n;
+        if (y >= x) {
+            break;
+        }
+        x = y;
+    }
+    return x;
+}
+
+/**
+ * Integer k-th root (floor) of a non-negative BigInt
+ */
+function iroot(n, k) {
+    if (n < 2n || k === 1n) {
+        return n;
+    }
+    let low = 0n;
+    let high = 1n << (BigInt(n.toString(2).length) / k + 1n);
+    while (low < high) {
+        const mid = (low + high + 1n) >> 1n;
+        if (mid ** k <= n) {
+            low = mid;
+        } else {
+            high = mid - 1n;
+        }
+    }
+    return low;
+}
+
+/**
+ * Split a positive BigInt n into [s, r] with n = s²·r and r square-free
+ */
+function squareFreeDecompose(n) {
+    let square = 1n;
+    let rest = n;
+
+    for (let p = 2n; p <= TRIAL_LIMIT && p * p <= rest; p += (p === 2n ? 1n : 2n)) {
+        while (rest % (p * p) === 0n) {
+            rest /= p * p;
+            square *= p;
+        }
+        if (rest % p === 0n) {
+            // p now appears exactly once; keep it in the square-free part
+            const reduced = rest / p;
+            const [s, r] = squareFreeDecompose(reduced);
+            return [square * s, p * r];
+        }
+    }
+
+    const root = isqrt(rest);
+    if (root * root === rest) {
+        return [square * root, 1n];
+    }
+    if (rest >= TRIAL_LIMIT * TRIAL_LIMIT) {
+        throw notExact("Radicand too large for exact evaluation");
+    }
+    return [square, rest];
+}
+
+/**
+ * Prime factors of a square-free BigInt
+ */
+function primeFactors(n) {
+    const factors = [];
+    let rest = n;
+    for (let p = 2n; p <= TRIAL_LIMIT && p * p <= rest; p += (p === 2n ? 1n : 2n)) {
+        if (rest % p === 0n) {
+            factors.push(p);
+            rest /= p;
+        }
+    }
+    if (rest > 1n) {
+        factors.push(rest);
+    }
+    return factors;
+}
+
+/**
+ * Rational number with BigInt numerator and positive BigInt denominator
+ */
+class Rational {
+    constructor(numerator, denominator = 1n) {
+        if (denominator === 0n) {
+            throw new MathematicalExpressionError("Division by zero", { code: "DIVISION_BY_ZERO" });
+        }
+        if (denominator < 0n) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+        const divisor = gcd(numerator, denominator) || 1n;
+        this.n = numerator / divisor;
+        this.d = denominator / divisor;
+    }
+
+    /**
+     * Exact value of a decimal literal such as "0.25" or "1e-7"
+     */
+    static fromString(text) {
+        const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text.trim());
+        if (!match || (match[2] === "" && !match[3])) {
+            throw new MathematicalExpressionError(`Not a decimal number: '${text}'`, { code: "INVALID_NUMBER" });
+        }
+        const [, sign, whole, fraction = "", exponent = "0"] = match;
+        let numerator = BigInt((whole || "0") + fraction);
+        let denominator = 10n ** BigInt(fraction.length);
+        const shift = BigInt(exponent);
+        if (shift > 0n) {
+            numerator *= 10n ** shift;
+        } else if (shift < 0n) {
+            denominator *= 10n ** -shift;
+        }
+        return new Rational(sign === "-" ? -numerator : numerator, denominator);
+    }
+
+    /**
+     * Exact value of a JavaScript number as written (its shortest decimal form)
+     */
+    static fromNumber(value) {
+        if (typeof value === "bigint") {
+            return new Rational(value);
+        }
+        if (!Number.isFinite(value)) {
+            throw new MathematicalExpressionError("Expected a finite number", { code: "INVALID_NUMBER" });
+        }
+        return Rational.fromString(String(value));
+    }
+
+    add(other) {
+        return new Rational(this.n * other.d + other.n * this.d, this.d * other.d);
+    }
+
+    sub(other) {
+        return this.add(other.neg());
+    }
+
+    mul(other) {
+        return new Rational(this.n * other.n, this.d * other.d);
+    }
+
+    div(other) {
+        return new Rational(this.n * other.d, this.d * other.n);
+    }
+
+    neg() {
+        return new Rational(-this.n, this.d);
+    }
+
+    sign() {
+        return this.n > 0n ? 1 : this.n < 0n ? -1 : 0;
+    }
+
+    isZero() {
+        return this.n === 0n;
+    }
+
+    isInteger() {
+        return this.d === 1n;
+    }
+
+    equals(other) {
+        return this.n === other.n && this.d === other.d;
+    }
+
+    toNumber() {
+        return Number(this.n) / Number(this.d);
+    }
+
+    toString() {
+        return this.d === 1n ? this.n.toString() : `${this.n}/${this.d}`;
+    }
+}
+
+const ZERO = new Rational(0n);
+const ONE = new Rational(1n);
+
+/**
+ * Exact sum of rational multiples of square roots of square-free integers
+ */
+class ExactNumber {
+    /**
+     * @param {Map<bigint, Rational>} terms - radicand → coefficient, zero terms omitted
+     */
+    constructor(terms = new Map()) {
+        this.terms = terms;
+    }
+
+    static fromRational(rational) {
+        const terms = new Map();
+        if (!rational.isZero()) {
+            terms.set(1n, rational);
+        }
+        return new ExactNumber(terms);
+    }
+
+    static from(value) {
+        if (value instanceof ExactNumber) {
+            return value;
+        }
+        if (value instanceof Rational) {
+            return ExactNumber.fromRational(value);
+        }
+        if (typeof value === "string") {
+            return ExactNumber.fromRational(Rational.fromString(value));
+        }
+        return ExactNumber.fromRational(Rational.fromNumber(value));
+    }
+
+    /**
+     * q·√r for a rational q and any positive integer r
+     */
+    static surd(coefficient, radicand) {
+        if (coefficient.isZero() || radicand === 0n) {
+            return new ExactNumber();
+        }
+        const [square, rest] = squareFreeDecompose(radicand);
+        return new ExactNumber(new Map([[rest, coefficient.mul(new Rational(square))]]));
+    }
+
+    add(other) {
+        const terms = new Map(this.terms);
+        for (const [radicand, coefficient] of other.terms) {
+            const sum = (terms.get(radicand) || ZERO).add(coefficient);
+            if (sum.isZero()) {
+                terms.delete(radicand);
+            } else {
+                terms.set(radicand, sum);
+            }
+        }
+        return new ExactNumber(terms);
+    }
+
+    sub(other) {
+        return this.add(other.neg());
+    }
+
+    neg() {
+        const terms = new Map();
+        for (const [radicand, coefficient] of this.terms) {
+            terms.set(radicand, coefficient.neg());
+        }
+        return new ExactNumber(terms);
+    }
+
+    mul(other) {
+        let result = new ExactNumber();
+        for (const [r1, q1] of this.terms) {
+            for (const [r2, q2] of other.terms) {
+                // √r1·√r2 = g·√(r1·r2/g²) with g = gcd(r1, r2)
+                const g = gcd(r1, r2);
+                const coefficient = q1.mul(q2).mul(new Rational(g));
+                result = result.add(new ExactNumber(new Map([[(r1 / g) * (r2 / g), coefficient]])));
+            }
+        }
+        return result;
+    }
+
+    div(other) {
+        if (other.isZero()) {
+            throw new MathematicalExpressionError("Division by zero", { code: "DIVISION_BY_ZERO" });
+        }
+
+        // Rationalize the denominator one prime at a time: multiplying by the
+        // conjugate that flips √p leaves a denominator free of √p
+        let numerator = this;
+        let denominator = other;
+        for (;;) {
+            const prime = denominator.firstRadicalPrime();
+            if (prime === null) {
+                break;
+            }
+            const conjugate = denominator.conjugate(prime);
+            numerator = numerator.mul(conjugate);
+            denominator = denominator.mul(conjugate);
+        }
+
+        const divisor = denominator.rationalPart();
+        const terms = new Map();
+        for (const [radicand, coefficient] of numerator.terms) {
+            terms.set(radicand, coefficient.div(divisor));
+        }
+        return new ExactNumber(terms);
+    }
+
+    /**
+     * Square root, including denesting of √(a + b√r) where possible
+     */
+    sqrt() {
+        if (this.sign() < 0) {
+            throw new MathematicalExpressionError("Square root of a negative number", { code: "DOMAIN_ERROR" });
+        }
+        if (this.isRational()) {
+            const q = this.rationalPart();
+            // √(n/d) = √(n·d)/d
+            return ExactNumber.surd(new Rational(1n, q.d), q.n * q.d);
+        }
+        if (this.terms.size === 2 && this.terms.has(1n)) {
+            const a = this.terms.get(1n);
+            const [r, b] = [...this.terms].find(([radicand]) => radicand !== 1n);
+            const discriminant = ExactNumber.fromRational(a.mul(a).sub(b.mul(b).mul(new Rational(r))));
+            if (discriminant.sign() >= 0) {
+                const c = discriminant.sqrt();
+                if (c.isRational()) {
+                    const half = new Rational(1n, 2n);
+                    const x = ExactNumber.fromRational(a.add(c.rationalPart()).mul(half)).sqrt();
+                    const y = ExactNumber.fromRational(a.sub(c.rationalPart()).mul(half)).sqrt();
+                    return b.sign() > 0 ? x.add(y) : x.sub(y);
+                }
+            }
+        }
+        throw notExact("Nested radical has no exact square-root form");
+    }
+
+    /**
+     * Power with a rational exponent
+     */
+    pow(exponent) {
+        if (!exponent.isRational()) {
+            if (this.equals(ExactNumber.from(1))) {
+                return this;
+            }
+            if (this.isZero() && exponent.sign() > 0) {
+                return this;
+            }
+            throw notExact("Irrational exponent");
+        }
+
+        const q = exponent.rationalPart();
+        if (this.isZero()) {
+            if (q.sign() < 0) {
+                throw new MathematicalExpressionError("Division by zero", { code: "DIVISION_BY_ZERO" });
+            }
+            return q.isZero() ? ExactNumber.from(1) : this;
+        }
+
+        let base = this;
+        if (q.d === 2n) {
+            base = base.sqrt();
+        } else if (q.d !== 1n) {
+            base = base.rationalRoot(q.d);
+        }
+        return base.integerPow(q.n);
+    }
+
+    integerPow(k) {
+        if (k < 0n) {
+            return ExactNumber.from(1).div(this.integerPow(-k));
+        }
+        if (k > MAX_EXPONENT) {
+            throw new MathematicalExpressionError("Exponent too large for exact evaluation", { code: "OVERFLOW" });
+        }
+        let result = ExactNumber.from(1);
+        let base = this;
+        while (k > 0n) {
+            if (k & 1n) {
+                result = result.mul(base);
+            }
+            base = base.mul(base);
+            k >>= 1n;
+        }
+        return result;
+    }
+
+    rationalRoot(k) {
+        if (!this.isRational()) {
+            throw notExact("Root of an irrational number");
+        }
+        const q = this.rationalPart();
+        if (q.sign() < 0) {
+            if (k % 2n === 0n) {
+                throw new MathematicalExpressionError("Even root of a negative number", { code: "DOMAIN_ERROR" });
+            }
+            return ExactNumber.fromRational(q.neg()).rationalRoot(k).neg();
+        }
+        const n = iroot(q.n, k);
+        const d = iroot(q.d, k);
+        if (n ** k !== q.n || d ** k !== q.d) {
+            throw notExact("Root has no exact rational form");
+        }
+        return ExactNumber.fromRational(new Rational(n, d));
+    }
+
+    factorial() {
+        if (!this.isRational() || !this.rationalPart().isInteger() || this.sign() < 0) {
+            throw new MathematicalExpressionError("Factorial requires a non-negative integer", { code: "DOMAIN_ERROR" });
+        }
+        const n = this.rationalPart().n;
+        if (n > MAX_FACTORIAL) {
+            throw new MathematicalExpressionError("Factorial argument too large", { code: "OVERFLOW" });
+        }
+        let result = 1n;
+        for (let k = 2n; k <= n; k++) {
+            result *= k;
+        }
+        return ExactNumber.fromRational(new Rational(result));
+    }
+
+    abs() {
+        return this.sign() < 0 ? this.neg() : this;
+    }
+
+    /**
+     * Exact sign, using fixed-point approximations of increasing precision
+     */
+    sign() {
+        if (this.isZero()) {
+            return 0;
+        }
+        if (this.isRational()) {
+            return this.rationalPart().sign();
+        }
+        for (let digits = 20n; ; digits *= 2n) {
+            const scale = 10n ** digits;
+            let sum = 0n;
+            for (const [radicand, coefficient] of this.terms) {
+                // floor(√r·scale)·n / d, off by at most |n/d| + 1 units
+                const root = isqrt(radicand * scale * scale);
+                sum += (root * coefficient.n) / coefficient.d;
+            }
+            let error = 0n;
+            for (const coefficient of this.terms.values()) {
+                const magnitude = coefficient.n < 0n ? -coefficient.n : coefficient.n;
+                error += magnitude / coefficient.d + 2n;
+            }
+            if (sum > error) {
+                return 1;
+            }
+            if (sum < -error) {
+                return -1;
+            }
+        }
+    }
+
+    isZero() {
+        return this.terms.size === 0;
+    }
+
+    isRational() {
+        return this.terms.size === 0 || (this.terms.size === 1 && this.terms.has(1n));
+    }
+
+    rationalPart() {
+        return this.terms.get(1n) || ZERO;
+    }
+
+    equals(other) {
+        return this.sub(ExactNumber.from(other)).isZero();
+    }
+
+    firstRadicalPrime() {
+        for (const radicand of this.terms.keys()) {
+            if (radicand !== 1n) {
+                return primeFactors(radicand)[0];
+            }
+        }
+        return null;
+    }
+
+    conjugate(prime) {
+        const terms = new Map();
+        for (const [radicand, coefficient] of this.terms) {
+            terms.set(radicand, radicand % prime === 0n ? coefficient.neg() : coefficient);
+        }
+        return new ExactNumber(terms);
+    }
+
+    toNumber() {
+        let sum = 0;
+        for (const [radicand, coefficient] of this.terms) {
+            sum += coefficient.toNumber() * Math.sqrt(Number(radicand));
+        }
+        return sum;
+    }
+
+    toString() {
+        if (this.isZero()) {
+            return "0";
+        }
+        const parts = [...this.terms]
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+            .map(([radicand, coefficient]) => {
+                if (radicand === 1n) {
+                    return coefficient.toString();
+                }
+                const magnitude = coefficient.sign() < 0 ? coefficient.neg() : coefficient;
+                const sign = coefficient.sign() < 0 ? "-" : "";
+                const numerator = magnitude.n === 1n ? `√${radicand}` : `${magnitude.n}√${radicand}`;
+                return sign + (magnitude.d === 1n ? numerator : `${numerator}/${magnitude.d}`);
+            });
+        return parts.join(" + ").replace(/\+ -/g, "- ");
+    }
+}
+
+module.exports = {
+    MAX_EXPONENT,
+    iroot,
+    Rational,
+    ExactNumber,
+    ONE,
+    ZERO
+};
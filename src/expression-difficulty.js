@@ -0,0 +1,221 @@
+/**
+ * Expression Difficulty
+ * Fractional Core (FC) Framework
+ *
+ * Difficulty profiles for classroom use: the concepts an expression
+ * requires, how many operators it applies and how deeply they nest, the
+ * grade at which its hardest concept is usually taught, and an overall
+ * difficulty from 1 to 10. encode() filters its library with them and
+ * difficultyReport() summarizes a worksheet.
+ *
+ * Grades follow the US school years 1-12; 13 stands for university.
+ */
+
+const { parse } = require("./expression-parser.js");
+const { isConstant } = require("./expression-evaluator.js");
+const { children, freeSymbols } = require("./calculus.js");
+const { EncodingError } = require("./errors.js");
+
+const UNIVERSITY = 13;
+
+// Concepts by name: the grade they are usually taught in and their
+// weight in the difficulty score
+const CONCEPTS = {
+    "addition": { grade: 1, weight: 1 },
+    "subtraction": { grade: 1, weight: 1 },
+    "multiplication": { grade: 3, weight: 1.5 },
+    "division": { grade: 4, weight: 2 },
+    "decimals": { grade: 5, weight: 2 },
+    "negative numbers": { grade: 6, weight: 2.5 },
+    "absolute value": { grade: 6, weight: 3 },
+    "exponents": { grade: 6, weight: 3 },
+    "pi": { grade: 7, weight: 3 },
+    "zero and negative exponents": { grade: 8, weight: 3.5 },
+    "roots": { grade: 8, weight: 4 },
+    "factorials": { grade: 10, weight: 5 },
+    "trigonometry": { grade: 10, weight: 6 },
+    "identities": { grade: 10, weight: 7 },
+    "logarithms": { grade: 11, weight: 6.5 },
+    "complex numbers": { grade: 11, weight: 7.5 },
+    "matrices": { grade: 12, weight: 8 },
+    "limits": { grade: UNIVERSITY, weight: 9 },
+    "integrals": { grade: UNIVERSITY, weight: 9.5 }
+};
+
+// Highest grade of each band, in order
+const GRADE_BANDS = [
+    { band: "elementary", upTo: 5 },
+    { band: "middle school", upTo: 8 },
+    { band: "high school", upTo: 12 },
+    { band: "university", upTo: UNIVERSITY }
+];
+
+// The concept each operator of expression-generator.js introduces
+const OPERATOR_CONCEPTS = {
+    "+": "addition",
+    "-": "subtraction",
+    "×": "multiplication",
+    "/": "division",
+    "^": "exponents",
+    "|x|": "absolute value",
+    "√": "roots",
+    "!": "factorials"
+};
+
+const FUNCTION_CONCEPTS = {
+    sin: "trigonometry",
+    cos: "trigonometry",
+    tan: "trigonometry",
+    ln: "logarithms",
+    log: "logarithms",
+    exp: "logarithms",
+    sqrt: "roots",
+    abs: "absolute value",
+    det: "matrices",
+    tr: "matrices",
+    rank: "matrices",
+    inv: "matrices"
+};
+
+const BINARY_CONCEPTS = {
+    "+": "addition",
+    "-": "subtraction",
+    "*": "multiplication",
+    "/": "division",
+    "^": "exponents"
+};
+
+/**
+ * Band containing `grade`
+ */
+function gradeBand(grade) {
+    return GRADE_BANDS.find(({ upTo }) => grade <= upTo).band;
+}
+
+/**
+ * A grade option as a number: 1-12, or 'university'
+ */
+function gradeLevel(grade) {
+    const level = grade === "university" ? UNIVERSITY : grade;
+    if (!Number.isInteger(level) || level < 1 || level > UNIVERSITY) {
+        throw new EncodingError(`Grade must be 1 to 12 or 'university', not '${grade}'`, { code: "INVALID_OPTION" });
+    }
+    return level;
+}
+
+/**
+ * Concepts required by one node, apart from its children
+ */
+function nodeConcepts(node) {
+    switch (node.type) {
+        case "number":
+            return node.value.includes(".") ? ["decimals"] : [];
+        case "unary":
+            return ["negative numbers"];
+        case "abs":
+            return ["absolute value"];
+        case "sqrt":
+            return ["roots"];
+        case "factorial":
+            return ["factorials"];
+        case "call":
+            return FUNCTION_CONCEPTS[node.name] ? [FUNCTION_CONCEPTS[node.name]] : [];
+        case "binary": {
+            if (node.operator !== "^") {
+                return [BINARY_CONCEPTS[node.operator]];
+            }
+            const base = node.left.type === "group" ? node.left.argument : node.left;
+            if (base.type === "identifier" && base.name === "e") {
+                return ["logarithms"];
+            }
+            const power = node.right.type === "group" ? node.right.argument : node.right;
+            if (power.type === "unary" || (power.type === "number" && Number(power.value) === 0)) {
+                return ["zero and negative exponents"];
+            }
+            return ["exponents"];
+        }
+        case "identifier":
+            if (node.name === "π" || node.name === "pi") {
+                return ["pi"];
+            }
+            if (node.name === "e") {
+                return ["logarithms"];
+            }
+            if (node.name === "i") {
+                return ["complex numbers"];
+            }
+            return node.name === "I" ? ["matrices"] : [];
+        case "matrix":
+        case "identity":
+            return ["matrices"];
+        case "limit":
+            return ["limits"];
+        case "integral":
+            return ["integrals"];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Difficulty profile of an expression:
+ * `{ expression, concepts, operators, depth, grade, band, difficulty }`.
+ * `concepts` are ordered by grade; `operators` counts operators and
+ * functions applied, `depth` how deeply they nest. `grade` is that of the
+ * hardest concept, and `difficulty` (1-10) adds half a point for each
+ * operator and level of nesting beyond the first to its weight.
+ * Throws MathematicalExpressionError when the expression does not parse.
+ */
+function difficultyProfile(expression) {
+    const ast = parse(expression);
+    const concepts = new Set();
+    let operators = 0;
+
+    // Nesting depth of operators below `node`; groups do not count
+    const visit = node => {
+        nodeConcepts(node).forEach(concept => concepts.add(concept));
+        const below = children(node).reduce((deepest, child) => Math.max(deepest, visit(child)), 0);
+        if (node.type === "group" || node.type === "number" || node.type === "identifier" || node.type === "identity") {
+            return below;
+        }
+        operators++;
+        return below + 1;
+    };
+    const depth = visit(ast);
+    if (freeSymbols(ast, isConstant).length > 0) {
+        concepts.add("identities");
+    }
+
+    const ordered = [...concepts].sort((a, b) => CONCEPTS[a].grade - CONCEPTS[b].grade || CONCEPTS[a].weight - CONCEPTS[b].weight);
+    const grade = Math.max(1, ...ordered.map(concept => CONCEPTS[concept].grade));
+    const weight = Math.max(1, ...ordered.map(concept => CONCEPTS[concept].weight));
+    const score = weight + 0.5 * Math.max(0, operators - 1) + 0.5 * Math.max(0, depth - 1);
+
+    return {
+        expression,
+        concepts: ordered,
+        operators,
+        depth,
+        grade,
+        band: gradeBand(grade),
+        difficulty: Math.min(10, score)
+    };
+}
+
+/**
+ * Whether a profile suits a class: at or below `grade` and `maxDifficulty`
+ * where given
+ */
+function withinLevel(profile, { grade = null, maxDifficulty = null }) {
+    return (grade === null || profile.grade <= grade) && (maxDifficulty === null || profile.difficulty <= maxDifficulty);
+}
+
+module.exports = {
+    CONCEPTS,
+    GRADE_BANDS,
+    OPERATOR_CONCEPTS,
+    gradeBand,
+    gradeLevel,
+    difficultyProfile,
+    withinLevel
+};
@@ -0,0 +1,954 @@
+/**
+ * Expression Evaluator
+ * Fractional Core (FC) Framework
+ *
+ * Walks the syntax tree produced by expression-parser.js and computes its
+ * value, either as a double or exactly (BigInt rationals and surds, see
+ * exact-arithmetic.js). Every failure is reported as a
+ * MathematicalExpressionError pointing at the node that caused it.
+ *
+ * Integrals of polynomials and limits that substitution or l'Hôpital's
+ * rule settle are exact; other integrals and limits are computed
+ * numerically in float mode only. An expression in free symbols, such as
+ * sin²θ + cos²θ, has a value only if it does not depend on them.
+ * Subexpressions may be matrices (see matrix.js) or complex numbers (see
+ * complex.js), but the value of the whole expression is always a real
+ * number. In exact mode sin, cos, tan and e^(iθ) are exact at multiples
+ * of π/4 and π/6, so e^(iπ) is exactly −1.
+ */
+
+const { parse } = require("./expression-parser.js");
+const { ExactNumber } = require("./exact-arithmetic.js");
+const { MathematicalExpressionError } = require("./errors.js");
+const { dependsOn, freeSymbols, derivative, integrateNumerically, limitNumerically } = require("./calculus.js");
+const { Matrix, MATRIX_FUNCTIONS } = require("./matrix.js");
+const { Complex, realPart } = require("./complex.js");
+const { proveConstant } = require("./identity-prover.js");
+
+// Largest n for which n! is still a finite double
+const MAX_FACTORIAL = 170;
+
+// Highest power expanded when integrating a polynomial
+const MAX_DEGREE = 64;
+
+// Times l'Hôpital's rule is applied to one limit
+const MAX_LHOPITAL_STEPS = 4;
+
+// Values tried for free symbols: scattered ones for checking that the
+// value does not depend on them, simple ones for computing it in float mode
+const SAMPLE_POINTS = [0.3, 1.7, -2.2, 0.9, 2.6, -0.6, 4.1];
+const SIMPLE_POINTS = [0, 1, 2, 0.5, -1];
+
+const TRIGONOMETRIC_FUNCTIONS = new Set(["sin", "cos", "tan"]);
+
+function domainError(message) {
+    return new MathematicalExpressionError(message, { code: "DOMAIN_ERROR" });
+}
+
+function divisionByZero() {
+    return new MathematicalExpressionError("Division by zero", { code: "DIVISION_BY_ZERO" });
+}
+
+function unknownSymbol(name) {
+    return new MathematicalExpressionError(`Unknown symbol '${name}'`, { code: "UNKNOWN_SYMBOL" });
+}
+
+function notExact(message) {
+    return new MathematicalExpressionError(message, { code: "NOT_EXACT" });
+}
+
+/**
+ * Look up a one-argument function and check its arity
+ */
+function unaryFunction(table, name, args) {
+    const fn = table[name];
+    if (!fn) {
+        throw new MathematicalExpressionError(`Unknown function '${name}'`, { code: "UNKNOWN_FUNCTION" });
+    }
+    if (args.length !== 1) {
+        throw new MathematicalExpressionError(`${name}() takes exactly one argument`, { code: "ARITY" });
+    }
+    return fn(args[0]);
+}
+
+const FLOAT_CONSTANTS = {
+    "π": Math.PI,
+    "pi": Math.PI,
+    "e": Math.E
+};
+
+const FLOAT_FUNCTIONS = {
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    exp: Math.exp,
+    ln: x => {
+        if (x <= 0) {
+            throw domainError("Logarithm of a non-positive number");
+        }
+        return Math.log(x);
+    },
+    log: x => {
+        if (x <= 0) {
+            throw domainError("Logarithm of a non-positive number");
+        }
+        return Math.log10(x);
+    },
+    sqrt: x => FLOAT_ARITHMETIC.sqrt(x),
+    abs: Math.abs
+};
+
+/**
+ * Exact values of the elementary functions at the points where they are
+ * rational; anything else has no exact form in this arithmetic
+ */
+const EXACT_FUNCTIONS = {
+    sin: x => {
+        if (x.isZero()) {
+            return x;
+        }
+        throw notExact("sin() is only exact at 0");
+    },
+    cos: x => {
+        if (x.isZero()) {
+            return ExactNumber.from(1);
+        }
+        throw notExact("cos() is only exact at 0");
+    },
+    tan: x => {
+        if (x.isZero()) {
+            return x;
+        }
+        throw notExact("tan() is only exact at 0");
+    },
+    exp: x => {
+        if (x.isZero()) {
+            return ExactNumber.from(1);
+        }
+        throw notExact("exp() is only exact at 0");
+    },
+    ln: x => {
+        if (x.sign() <= 0) {
+            throw domainError("Logarithm of a non-positive number");
+        }
+        if (x.equals(1)) {
+            return new ExactNumber();
+        }
+        throw notExact("ln() is only exact at 1");
+    },
+    log: x => {
+        if (x.sign() <= 0) {
+            throw domainError("Logarithm of a non-positive number");
+        }
+        // log₁₀ is rational exactly at integer powers of ten
+        if (x.isRational()) {
+            const q = x.rationalPart();
+            for (let k = 0n; k <= 64n; k++) {
+                if (q.n === 10n ** k && q.d === 1n) {
+                    return ExactNumber.from(k);
+                }
+                if (q.n === 1n && q.d === 10n ** k) {
+                    return ExactNumber.from(-k);
+                }
+            }
+        }
+        throw notExact("log() is only exact at powers of ten");
+    },
+    sqrt: x => x.sqrt(),
+    abs: x => x.abs()
+};
+
+/**
+ * Double precision arithmetic
+ */
+const FLOAT_ARITHMETIC = {
+    literal: text => Number(text),
+    add: (a, b) => a + b,
+    sub: (a, b) => a - b,
+    mul: (a, b) => a * b,
+    div: (a, b) => {
+        if (b === 0) {
+            throw divisionByZero();
+        }
+        return a / b;
+    },
+    neg: a => -a,
+    abs: a => Math.abs(a),
+    sqrt: a => {
+        if (a < 0) {
+            throw domainError("Square root of a negative number");
+        }
+        return Math.sqrt(a);
+    },
+    pow: (a, b) => {
+        if (a === 0 && b < 0) {
+            throw divisionByZero();
+        }
+        const result = Math.pow(a, b);
+        if (Number.isNaN(result)) {
+            throw domainError("Power is not a real number");
+        }
+        return result;
+    },
+    factorial: a => {
+        if (!Number.isInteger(a) || a < 0) {
+            throw domainError("Factorial requires a non-negative integer");
+        }
+        if (a > MAX_FACTORIAL) {
+            throw new MathematicalExpressionError("Factorial argument too large", { code: "OVERFLOW" });
+        }
+        let result = 1;
+        for (let k = 2; k <= a; k++) {
+            result *= k;
+        }
+        return result;
+    },
+    constant: name => {
+        if (!(name in FLOAT_CONSTANTS)) {
+            throw unknownSymbol(name);
+        }
+        return FLOAT_CONSTANTS[name];
+    },
+    call: (name, args) => unaryFunction(FLOAT_FUNCTIONS, name, args),
+    isFinite: a => Number.isFinite(a),
+    isZero: a => a === 0,
+    natural: a => Number.isInteger(a) && a >= 0 ? a : null,
+    toNumber: a => a,
+    numeric: true
+};
+
+/**
+ * Exact arithmetic over rationals extended by square roots
+ */
+const EXACT_ARITHMETIC = {
+    literal: text => ExactNumber.from(text),
+    add: (a, b) => a.add(b),
+    sub: (a, b) => a.sub(b),
+    mul: (a, b) => a.mul(b),
+    div: (a, b) => a.div(b),
+    neg: a => a.neg(),
+    abs: a => a.abs(),
+    sqrt: a => a.sqrt(),
+    pow: (a, b) => a.pow(b),
+    factorial: a => a.factorial(),
+    constant: name => {
+        if (!(name in FLOAT_CONSTANTS)) {
+            throw unknownSymbol(name);
+        }
+        throw notExact(`'${name}' is irrational`);
+    },
+    call: (name, args) => unaryFunction(EXACT_FUNCTIONS, name, args),
+    isFinite: () => true,
+    isZero: a => a.isZero(),
+    natural: a => a.isRational() && a.rationalPart().isInteger() && a.sign() >= 0 ? Number(a.rationalPart().n) : null,
+    toNumber: a => a.toNumber(),
+    numeric: false
+};
+
+// cos(kπ/12) for the k in 0…6 where it is a surd; other angles follow by symmetry
+const COS_TWELFTHS = {
+    0: () => ExactNumber.from(1),
+    2: () => ExactNumber.from(3).sqrt().div(ExactNumber.from(2)),
+    3: () => ExactNumber.from(2).sqrt().div(ExactNumber.from(2)),
+    4: () => ExactNumber.from("0.5"),
+    6: () => new ExactNumber()
+};
+
+function cosTwelfths(k) {
+    const angle = ((k % 24) + 24) % 24;
+    if (angle > 12) {
+        return cosTwelfths(24 - angle);
+    }
+    if (angle > 6) {
+        return cosTwelfths(12 - angle).neg();
+    }
+    return COS_TWELFTHS[angle]();
+}
+
+/**
+ * Exact cos and sin of q·π when q is a multiple of 1/4 or 1/6, else null
+ */
+function exactAngle(q) {
+    if (!q.isRational()) {
+        return null;
+    }
+    const { n, d } = q.rationalPart();
+    if ((n * 12n) % d !== 0n) {
+        return null;
+    }
+    const k = Number((n * 12n / d) % 24n);
+    if (k % 2 !== 0 && k % 3 !== 0) {
+        return null;
+    }
+    return { cos: cosTwelfths(k), sin: cosTwelfths(6 - k) };
+}
+
+/**
+ * |a − b| for float values that may be complex
+ */
+function distance(a, b) {
+    const x = Complex.lift(a, FLOAT_ARITHMETIC);
+    const y = Complex.lift(b, FLOAT_ARITHMETIC);
+    return Math.hypot(x.re - y.re, x.im - y.im);
+}
+
+/**
+ * Whether a symbol is a constant rather than a free variable
+ */
+const isConstant = name => name in FLOAT_CONSTANTS || name === "I" || name === "i";
+
+const unwrap = node => node.type === "group" ? unwrap(node.argument) : node;
+
+/**
+ * Evaluation of a parsed expression over a given arithmetic
+ */
+class ExpressionEvaluator {
+    constructor(expression, arithmetic = FLOAT_ARITHMETIC, scope = new Map()) {
+        this.expression = expression;
+        this.arithmetic = arithmetic;
+        this.scope = scope;
+    }
+
+    /**
+     * Evaluator for the same expression with `name` bound to `value`
+     */
+    within(name, value, arithmetic = this.arithmetic) {
+        return new ExpressionEvaluator(this.expression, arithmetic, new Map(this.scope).set(name, value));
+    }
+
+    evaluate(node) {
+        const math = this.arithmetic;
+
+        switch (node.type) {
+            case "number":
+                return math.literal(node.value);
+
+            case "group":
+                return this.evaluate(node.argument);
+
+            case "unary": {
+                const value = this.evaluate(node.argument);
+                return value instanceof Matrix || value instanceof Complex ? this.apply(node, v => v.neg(), value) : math.neg(value);
+            }
+
+            case "abs": {
+                const value = this.scalar(node.argument);
+                return value instanceof Complex ? this.apply(node, z => z.abs(), value) : this.apply(node, math.abs, value);
+            }
+
+            case "sqrt":
+                return this.apply(node, math.sqrt, this.real(node.argument));
+
+            case "factorial":
+                return this.apply(node, math.factorial, this.real(node.argument));
+
+            case "binary":
+                return this.evaluateBinary(node);
+
+            case "identifier":
+                if (this.scope.has(node.name)) {
+                    return this.scope.get(node.name);
+                }
+                if (node.name === "I") {
+                    return Matrix.identity(null, math);
+                }
+                if (node.name === "i") {
+                    return Complex.unit(math);
+                }
+                return this.apply(node, math.constant, node.name);
+
+            case "identity":
+                return Matrix.identity(node.size, math);
+
+            case "matrix":
+                return new Matrix(node.rows.map(row => row.map(entry => this.real(entry))), math);
+
+            case "call":
+                if (MATRIX_FUNCTIONS[node.name]) {
+                    return this.evaluateMatrixFunction(node);
+                }
+                return this.evaluateCall(node);
+
+            case "integral":
+                return this.evaluateIntegral(node);
+
+            case "limit":
+                return this.evaluateLimit(node);
+
+            default:
+                throw this.error(`Unsupported syntax '${node.type}'`, node, "UNSUPPORTED");
+        }
+    }
+
+    /**
+     * Value of a node that must be a number rather than a matrix
+     */
+    scalar(node) {
+        const value = this.evaluate(node);
+        if (value instanceof Matrix) {
+            throw this.error("Expected a number, not a matrix", node, "NOT_A_NUMBER");
+        }
+        return value;
+    }
+
+    /**
+     * Value of a node that must be a real number
+     */
+    real(node) {
+        const value = this.scalar(node);
+        if (value instanceof Complex) {
+            throw this.error("Expected a real number, not a complex one", node, "NOT_REAL");
+        }
+        return value;
+    }
+
+    /**
+     * Function call; abs() and exp() also take complex arguments
+     */
+    evaluateCall(node) {
+        const math = this.arithmetic;
+        if (node.args.length === 1) {
+            const [argument] = node.args;
+            if (node.name === "exp") {
+                return this.exponential(node, argument);
+            }
+            if (!math.numeric && TRIGONOMETRIC_FUNCTIONS.has(node.name)) {
+                const angle = this.angleOf(argument);
+                if (angle) {
+                    return node.name === "tan" ? this.apply(node, math.div, angle.sin, angle.cos) : angle[node.name];
+                }
+            }
+            if (node.name === "abs") {
+                const value = this.scalar(argument);
+                return value instanceof Complex ? this.apply(node, z => z.abs(), value) : this.apply(node, math.abs, value);
+            }
+        }
+        return this.apply(node, math.call, node.name, node.args.map(arg => this.real(arg)));
+    }
+
+    /**
+     * e^u, exact where exp() is and, for u = iθ, where cos θ and sin θ are
+     */
+    exponential(node, argument) {
+        const math = this.arithmetic;
+        if (!math.numeric) {
+            const x = this.linearInPi(argument);
+            const angle = x && x.a.isZero() && x.b.isZero() && x.c.isZero() ? exactAngle(x.d) : null;
+            if (angle) {
+                return Complex.of(angle.cos, angle.sin, math);
+            }
+        }
+
+        const value = this.scalar(argument);
+        if (value instanceof Complex) {
+            return this.apply(node, z => z.exp(), value);
+        }
+        return this.apply(node, math.call, "exp", [value]);
+    }
+
+    /**
+     * Exact cos and sin of a real argument that is a rational multiple
+     * of π with a table value, or null
+     */
+    angleOf(argument) {
+        const x = this.linearInPi(argument);
+        if (!x || !x.a.isZero() || !x.c.isZero() || !x.d.isZero()) {
+            return null;
+        }
+        return exactAngle(x.b);
+    }
+
+    /**
+     * `node` in exact mode as (a + bπ) + (c + dπ)·i with exact a, b, c and
+     * d, or null if it is not of that form
+     */
+    linearInPi(node) {
+        const zero = new ExactNumber();
+        const one = ExactNumber.from(1);
+        const map = (x, fn) => ({ a: fn(x.a), b: fn(x.b), c: fn(x.c), d: fn(x.d) });
+        const isConstant = x => x.b.isZero() && x.d.isZero();
+
+        switch (node.type) {
+            case "group":
+                return this.linearInPi(node.argument);
+            case "identifier":
+                if (!this.scope.has(node.name) && (node.name === "π" || node.name === "pi")) {
+                    return { a: zero, b: one, c: zero, d: zero };
+                }
+                break;
+            case "unary": {
+                const x = this.linearInPi(node.argument);
+                return x && map(x, v => v.neg());
+            }
+            case "binary": {
+                if (node.operator === "^") {
+                    break;
+                }
+                const left = this.linearInPi(node.left);
+                const right = left && this.linearInPi(node.right);
+                if (!right) {
+                    return null;
+                }
+                switch (node.operator) {
+                    case "+":
+                        return { a: left.a.add(right.a), b: left.b.add(right.b), c: left.c.add(right.c), d: left.d.add(right.d) };
+                    case "-":
+                        return { a: left.a.sub(right.a), b: left.b.sub(right.b), c: left.c.sub(right.c), d: left.d.sub(right.d) };
+                    case "*": {
+                        if (!isConstant(left) && !isConstant(right)) {
+                            return null;
+                        }
+                        // (a + bπ + (c + dπ)i)·(p + qi)
+                        const [x, { a: p, c: q }] = isConstant(right) ? [left, right] : [right, left];
+                        return {
+                            a: x.a.mul(p).sub(x.c.mul(q)),
+                            b: x.b.mul(p).sub(x.d.mul(q)),
+                            c: x.a.mul(q).add(x.c.mul(p)),
+                            d: x.b.mul(q).add(x.d.mul(p))
+                        };
+                    }
+                    case "/":
+                        if (!isConstant(right) || !right.c.isZero() || right.a.isZero()) {
+                            return null;
+                        }
+                        return map(left, v => v.div(right.a));
+                    default:
+                        return null;
+                }
+            }
+            default:
+                break;
+        }
+
+        // Anything else is a constant, if it has an exact value at all
+        try {
+            const value = Complex.lift(this.scalar(node), this.arithmetic);
+            return { a: value.re, b: zero, c: value.im, d: zero };
+        } catch (error) {
+            if (error instanceof MathematicalExpressionError) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    evaluateBinary(node) {
+        // e^u is exp(u)
+        const base = unwrap(node.left);
+        if (node.operator === "^" && base.type === "identifier" && base.name === "e" && !this.scope.has("e")) {
+            return this.exponential(node, node.right);
+        }
+
+        const math = this.arithmetic;
+        const left = this.evaluate(node.left);
+        const right = this.evaluate(node.right);
+        if (left instanceof Matrix || right instanceof Matrix) {
+            return this.evaluateMatrixBinary(node, left, right);
+        }
+        if (left instanceof Complex || right instanceof Complex) {
+            return this.evaluateComplexBinary(node, left, right);
+        }
+
+        switch (node.operator) {
+            case "+":
+                return this.apply(node, math.add, left, right);
+            case "-":
+                return this.apply(node, math.sub, left, right);
+            case "*":
+                return this.apply(node, math.mul, left, right);
+            case "/":
+                return this.apply(node.right, math.div, left, right);
+            case "^":
+                return this.apply(node, math.pow, left, right);
+            default:
+                throw this.error(`Unknown operator '${node.operator}'`, node, "UNSUPPORTED");
+        }
+    }
+
+    /**
+     * Arithmetic with a complex operand; only whole powers of complex
+     * numbers are defined
+     */
+    evaluateComplexBinary(node, left, right) {
+        const z = Complex.lift(left, this.arithmetic);
+
+        switch (node.operator) {
+            case "+":
+                return this.apply(node, () => z.add(right));
+            case "-":
+                return this.apply(node, () => z.sub(right));
+            case "*":
+                return this.apply(node, () => z.mul(right));
+            case "/":
+                return this.apply(node.right, () => z.div(right));
+            case "^":
+                if (right instanceof Complex) {
+                    throw this.error("Only e can be raised to a complex power", node.right, "DOMAIN_ERROR");
+                }
+                return this.apply(node, () => z.pow(right));
+            default:
+                throw this.error(`Unknown operator '${node.operator}'`, node, "UNSUPPORTED");
+        }
+    }
+
+    /**
+     * Sums and products of matrices, multiples of a matrix by a number,
+     * and whole-number powers
+     */
+    evaluateMatrixBinary(node, left, right) {
+        const math = this.arithmetic;
+        const bothMatrices = left instanceof Matrix && right instanceof Matrix;
+        if (left instanceof Complex || right instanceof Complex) {
+            throw this.error("Matrices of complex numbers are not supported", node, "NOT_REAL");
+        }
+
+        switch (node.operator) {
+            case "+":
+            case "-":
+                if (!bothMatrices) {
+                    throw this.error("Cannot add or subtract a number and a matrix", node, "SHAPE_MISMATCH");
+                }
+                return this.apply(node, (a, b) => (node.operator === "+" ? a.add(b) : a.sub(b)), left, right);
+            case "*":
+                if (bothMatrices) {
+                    return this.apply(node, (a, b) => a.mul(b), left, right);
+                }
+                return left instanceof Matrix
+                    ? this.apply(node, (m, k) => m.scale(k), left, right)
+                    : this.apply(node, (k, m) => m.scale(k), left, right);
+            case "/":
+                if (right instanceof Matrix) {
+                    throw this.error("Cannot divide by a matrix; multiply by its inv() instead", node.right, "NOT_A_NUMBER");
+                }
+                return this.apply(node.right, (m, k) => m.scale(math.div(math.literal("1"), k)), left, right);
+            case "^":
+                if (right instanceof Matrix) {
+                    throw this.error("A power cannot be a matrix", node.right, "NOT_A_NUMBER");
+                }
+                return this.apply(node, (m, n) => m.pow(n), left, right);
+            default:
+                throw this.error(`Unknown operator '${node.operator}'`, node, "UNSUPPORTED");
+        }
+    }
+
+    /**
+     * det(), tr(), rank() and inv() of a matrix
+     */
+    evaluateMatrixFunction(node) {
+        if (node.args.length !== 1) {
+            throw this.error(`${node.name}() takes exactly one argument`, node, "ARITY");
+        }
+
+        const argument = this.evaluate(node.args[0]);
+        if (!(argument instanceof Matrix)) {
+            throw this.error(`${node.name}() needs a matrix such as [[2,1],[1,1]]`, unwrap(node.args[0]), "NOT_A_MATRIX");
+        }
+        return this.apply(node, MATRIX_FUNCTIONS[node.name], argument);
+    }
+
+    /**
+     * Definite integral: by the power rule when the integrand is a
+     * polynomial in its variable, otherwise numerically in float mode
+     */
+    evaluateIntegral(node) {
+        const math = this.arithmetic;
+        const lower = node.lower ? this.real(node.lower) : math.literal("0");
+        const upper = node.upper ? this.real(node.upper) : math.literal("1");
+
+        const coefficients = this.polynomial(node.integrand, node.variable);
+        if (coefficients) {
+            return coefficients.reduce((sum, coefficient, k) => {
+                const power = math.literal(String(k + 1));
+                const span = math.sub(math.pow(upper, power), math.pow(lower, power));
+                return math.add(sum, math.div(math.mul(coefficient, span), power));
+            }, math.literal("0"));
+        }
+
+        if (!math.numeric) {
+            throw this.error("Integral has no exact value in closed form", node, "NOT_EXACT");
+        }
+        const integrand = x => this.within(node.variable, x).real(node.integrand);
+        return this.apply(node, integrateNumerically, integrand, lower, upper);
+    }
+
+    /**
+     * Coefficients of `node` as a polynomial in `name`, lowest power
+     * first, or null if it is not one
+     */
+    polynomial(node, name) {
+        const math = this.arithmetic;
+        if (!dependsOn(node, name)) {
+            return [this.real(node)];
+        }
+
+        const zero = math.literal("0");
+        const combine = (a, b, operation) => Array.from({ length: Math.max(a.length, b.length) }, (_, k) =>
+            operation(a[k] === undefined ? zero : a[k], b[k] === undefined ? zero : b[k]));
+        const multiply = (a, b) => {
+            const product = new Array(a.length + b.length - 1).fill(zero);
+            a.forEach((x, i) => b.forEach((y, j) => {
+                product[i + j] = math.add(product[i + j], math.mul(x, y));
+            }));
+            return product;
+        };
+
+        switch (node.type) {
+            case "identifier":
+                return [zero, math.literal("1")];
+            case "group":
+                return this.polynomial(node.argument, name);
+            case "unary": {
+                const p = this.polynomial(node.argument, name);
+                return p && p.map(math.neg);
+            }
+            case "binary": {
+                if (node.operator === "/" || node.operator === "^") {
+                    if (dependsOn(node.right, name)) {
+                        return null;
+                    }
+                    const p = this.polynomial(node.left, name);
+                    const right = this.real(node.right);
+                    if (!p) {
+                        return null;
+                    }
+                    if (node.operator === "/") {
+                        return p.map(c => this.apply(node.right, math.div, c, right));
+                    }
+                    const n = math.natural(right);
+                    if (n === null || n > MAX_DEGREE) {
+                        return null;
+                    }
+                    let result = [math.literal("1")];
+                    for (let k = 0; k < n; k++) {
+                        result = multiply(result, p);
+                    }
+                    return result;
+                }
+                const left = this.polynomial(node.left, name);
+                const right = left && this.polynomial(node.right, name);
+                if (!right) {
+                    return null;
+                }
+                if (node.operator === "*") {
+                    return multiply(left, right);
+                }
+                return combine(left, right, node.operator === "+" ? math.add : math.sub);
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Limit by substitution, then l'Hôpital's rule on 0/0 quotients, then
+     * (float mode only) numerically from both sides
+     */
+    evaluateLimit(node) {
+        const math = this.arithmetic;
+        const point = this.real(node.point);
+        const inner = this.within(node.variable, point);
+        let body = node.body;
+
+        for (let step = 0; ; step++) {
+            try {
+                return inner.scalar(body);
+            } catch (error) {
+                if (!(error instanceof MathematicalExpressionError) || error.code !== "DIVISION_BY_ZERO") {
+                    throw error;
+                }
+            }
+
+            const quotient = step < MAX_LHOPITAL_STEPS ? indeterminate(unwrap(body), inner) : null;
+            if (quotient) {
+                body = {
+                    ...quotient,
+                    left: derivative(quotient.left, node.variable),
+                    right: derivative(quotient.right, node.variable)
+                };
+                continue;
+            }
+
+            if (!math.numeric) {
+                throw this.error("Limit has no exact value by substitution or l'Hôpital's rule", node, "NOT_EXACT");
+            }
+            const f = x => this.within(node.variable, x).real(node.body);
+            return this.apply(node, limitNumerically, f, point);
+        }
+    }
+
+    /**
+     * Value of an expression without free symbols. In exact mode, one
+     * with no exact value term by term, such as sin²(0.7) + cos²(0.7), can
+     * still be shown to be constant by identity-prover.js.
+     */
+    constant(ast) {
+        try {
+            return this.scalar(ast);
+        } catch (error) {
+            if (this.arithmetic.numeric || !(error instanceof MathematicalExpressionError) || error.code !== "NOT_EXACT") {
+                throw error;
+            }
+            // The expression must still have a value
+            new ExpressionEvaluator(this.expression).scalar(ast);
+            return this.proveConstant(ast, error);
+        }
+    }
+
+    /**
+     * Value of an expression in free symbols. It is computed at scattered
+     * values of each symbol in turn and must not change. In float mode the
+     * result is then taken at the simplest values that reproduce it, so
+     * that sin²θ + cos²θ is 1 (at θ = 0) rather than 0.9999999999999999;
+     * in exact mode it must be proven constant by identity-prover.js.
+     */
+    evaluateIdentity(ast, symbols) {
+        const math = this.arithmetic;
+        const names = symbols.map(symbol => symbol.name);
+        const at = values => names.reduce(
+            (evaluator, name, i) => evaluator.within(name, values[i], FLOAT_ARITHMETIC),
+            new ExpressionEvaluator(this.expression, FLOAT_ARITHMETIC, this.scope)
+        ).scalar(ast);
+
+        let reference = null;
+        let firstError = null;
+        let samples = 0;
+        symbols.forEach((symbol, i) => {
+            SAMPLE_POINTS.forEach(point => {
+                const values = names.map((_, j) => j === i ? point : SAMPLE_POINTS[0]);
+                let value;
+                try {
+                    value = at(values);
+                } catch (error) {
+                    if (!(error instanceof MathematicalExpressionError)) {
+                        throw error;
+                    }
+                    firstError = firstError || error;
+                    return;
+                }
+                samples++;
+                if (reference === null) {
+                    reference = value;
+                } else if (!(distance(value, reference) <= 1e-9 * Math.max(1, distance(reference, 0)))) {
+                    throw this.error(`Value depends on '${symbol.name}'`, symbol, "NOT_CONSTANT");
+                }
+            });
+        });
+
+        if (samples === 0) {
+            throw firstError;
+        }
+        if (samples < 3) {
+            throw this.error(`Cannot check that the value does not depend on '${names[0]}'`, symbols[0], "NOT_CONSTANT");
+        }
+
+        if (!math.numeric) {
+            return this.proveConstant(ast, null);
+        }
+        for (const point of SIMPLE_POINTS) {
+            try {
+                const value = at(names.map(() => point));
+                if (distance(value, reference) <= 1e-9 * Math.max(1, distance(reference, 0))) {
+                    return value;
+                }
+            } catch (error) {
+                if (!(error instanceof MathematicalExpressionError)) {
+                    throw error;
+                }
+            }
+        }
+        return reference;
+    }
+
+    /**
+     * Exact value of an expression shown to be constant; `cause` is the
+     * error to report if it cannot be
+     */
+    proveConstant(ast, cause) {
+        try {
+            return proveConstant(ast, {
+                math: this.arithmetic,
+                constantOf: node => this.scalar(node),
+                isConstant: name => isConstant(name) || this.scope.has(name)
+            });
+        } catch (error) {
+            if (!(error instanceof MathematicalExpressionError) || error.code !== "NOT_EXACT") {
+                throw error;
+            }
+            throw cause || this.error(error.reason, ast, "NOT_EXACT");
+        }
+    }
+
+    /**
+     * Run an arithmetic operation, attributing any failure to `node`
+     */
+    apply(node, operation, ...operands) {
+        try {
+            return operation(...operands);
+        } catch (error) {
+            if (error instanceof MathematicalExpressionError && error.position === null) {
+                throw this.error(error.reason, node, error.code);
+            }
+            throw error;
+        }
+    }
+
+    error(message, node, code) {
+        return new MathematicalExpressionError(message, {
+            expression: this.expression,
+            position: node.start,
+            length: Math.max(1, node.end - node.start),
+            code
+        });
+    }
+}
+
+/**
+ * A quotient whose numerator and denominator both vanish, or null
+ */
+function indeterminate(node, evaluator) {
+    if (node.type !== "binary" || node.operator !== "/") {
+        return null;
+    }
+    try {
+        const math = evaluator.arithmetic;
+        return math.isZero(evaluator.real(node.left)) && math.isZero(evaluator.real(node.right)) ? node : null;
+    } catch (error) {
+        if (error instanceof MathematicalExpressionError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Parse and evaluate an expression string.
+ *
+ * @param {string} expression
+ * @param {Object} [options]
+ * @param {boolean} [options.exact=false] - return an ExactNumber instead of a double
+ */
+function evaluate(expression, { exact = false } = {}) {
+    const arithmetic = exact ? EXACT_ARITHMETIC : FLOAT_ARITHMETIC;
+    const ast = parse(expression);
+    const evaluator = new ExpressionEvaluator(expression, arithmetic);
+    const symbols = freeSymbols(ast, isConstant);
+    const result = symbols.length > 0 ? evaluator.evaluateIdentity(ast, symbols) : evaluator.constant(ast);
+    const value = evaluator.apply(ast, realPart, result, arithmetic);
+
+    if (!arithmetic.isFinite(value)) {
+        throw new MathematicalExpressionError("Expression does not evaluate to a finite number", {
+            expression,
+            code: "OVERFLOW"
+        });
+    }
+
+    return value;
+}
+
+module.exports = {
+    evaluate,
+    isConstant,
+    ExpressionEvaluator,
+    FLOAT_ARITHMETIC,
+    EXACT_ARITHMETIC
+};
@@ -0,0 +1,408 @@
+/**
+ * Expression Generator
+ * Fractional Core (FC) Framework
+ *
+ * Produces diverse expressions equal to any integer, rational or finite
+ * decimal by repeatedly rewriting the target with small identities
+ * (t = (t−k)+k, t = √(t²), t = k·(t/k), …). Every candidate is evaluated
+ * exactly before it is returned, so a rule that misfires can only cost
+ * diversity, never correctness.
+ */
+
+const { evaluate } = require("./expression-evaluator.js");
+const { iroot, Rational, ExactNumber } = require("./exact-arithmetic.js");
+const { MathematicalExpressionError } = require("./errors.js");
+
+const ALL_OPERATORS = ["+", "-", "×", "/", "^", "√", "!", "|x|"];
+
+// Operators used only when requested: det writes 2×2 determinants, i
+// complex intermediates such as |3+4i| and e^(iπ)
+const OPTIONAL_OPERATORS = ["det", "i"];
+
+const OPERATOR_ALIASES = {
+    "*": "×",
+    "·": "×",
+    "÷": "/",
+    "−": "-",
+    "abs": "|x|",
+    "||": "|x|"
+};
+
+// Binding strength of a generated fragment, loosest first
+const ADDITIVE = 1;
+const MULTIPLICATIVE = 2;
+const NEGATED = 3;
+const POWER = 4;
+const ATOM = 5;
+
+// Factorials small enough to appear literally in generated expressions
+const FACTORIALS = [1n, 1n, 2n, 6n, 24n, 120n, 720n, 5040n];
+
+// Pythagorean triples, for complex numbers of rational modulus
+const TRIPLES = [[3, 4, 5], [5, 12, 13], [8, 15, 17], [7, 24, 25]];
+
+/**
+ * Small deterministic PRNG (mulberry32) so output is reproducible per value
+ */
+function createRandom(seedText) {
+    let seed = 2166136261;
+    for (let i = 0; i < seedText.length; i++) {
+        seed = Math.imul(seed ^ seedText.charCodeAt(i), 16777619);
+    }
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Exact rational value of a generation target
+ */
+function toRational(value) {
+    if (value instanceof Rational) {
+        return value;
+    }
+    if (typeof value === "string") {
+        const exact = evaluate(value, { exact: true });
+        if (!exact.isRational()) {
+            throw new MathematicalExpressionError("Generation target must be rational", { expression: value, code: "NOT_RATIONAL" });
+        }
+        return exact.rationalPart();
+    }
+    return Rational.fromNumber(value);
+}
+
+/**
+ * Decimal digits of a rational whose denominator only has factors 2 and 5
+ */
+function toDecimal(q) {
+    let denominator = q.d;
+    let twos = 0;
+    let fives = 0;
+    while (denominator % 2n === 0n) {
+        denominator /= 2n;
+        twos++;
+    }
+    while (denominator % 5n === 0n) {
+        denominator /= 5n;
+        fives++;
+    }
+    if (denominator !== 1n) {
+        return null;
+    }
+
+    const places = Math.max(twos, fives);
+    const scaled = (q.n < 0n ? -q.n : q.n) * (10n ** BigInt(places)) / q.d;
+    let digits = scaled.toString();
+    if (places > 0) {
+        digits = digits.padStart(places + 1, "0");
+        digits = `${digits.slice(0, -places)}.${digits.slice(-places)}`;
+    }
+    return (q.n < 0n ? "-" : "") + digits;
+}
+
+class ExpressionGenerator {
+    constructor(target, { operators = ALL_OPERATORS, maxDepth = 2, seed = "" } = {}) {
+        this.target = target;
+        this.operators = new Set(operators.map(op => OPERATOR_ALIASES[op] || op));
+        this.maxDepth = Math.max(1, maxDepth);
+        this.random = createRandom(`${target}:${seed}`);
+
+        for (const op of this.operators) {
+            if (!ALL_OPERATORS.includes(op) && !OPTIONAL_OPERATORS.includes(op)) {
+                throw new MathematicalExpressionError(`Unknown operator '${op}'`, { code: "INVALID_OPTION" });
+            }
+        }
+
+        this.rules = RULES.filter(rule => rule.uses.every(op => this.operators.has(op)));
+    }
+
+    /**
+     * One expression for the target, rewritten at least once when any rule applies
+     */
+    next() {
+        return this.rewrite(this.target, this.maxDepth - 1) || this.literal(this.target);
+    }
+
+    /**
+     * Expression for `t`, either a literal or a further rewrite
+     */
+    sub(t, depth) {
+        if (depth < 0 || this.random() < 0.35) {
+            return this.literal(t);
+        }
+        return this.rewrite(t, depth) || this.literal(t);
+    }
+
+    rewrite(t, depth) {
+        const applicable = this.rules.filter(rule => !rule.when || rule.when(t));
+        if (applicable.length === 0) {
+            return null;
+        }
+        const rule = applicable[Math.floor(this.random() * applicable.length)];
+        return rule.build(t, this, depth - 1);
+    }
+
+    literal(t) {
+        const decimal = toDecimal(t);
+        if (decimal !== null) {
+            return { text: decimal, level: decimal.startsWith("-") ? NEGATED : ATOM };
+        }
+        return { text: `${t.n}/${t.d}`, level: MULTIPLICATIVE };
+    }
+
+    /**
+     * Random integer in [low, high]
+     */
+    pick(low, high) {
+        return low + Math.floor(this.random() * (high - low + 1));
+    }
+}
+
+/**
+ * Parenthesize a fragment that binds more loosely than `level`
+ */
+function wrap(fragment, level) {
+    return fragment.level < level ? `(${fragment.text})` : fragment.text;
+}
+
+const q = value => new Rational(BigInt(value));
+
+/**
+ * Rewrite rules. `uses` lists the operators a rule introduces, `when`
+ * restricts the targets it applies to and `build` returns a fragment.
+ */
+const RULES = [
+    {
+        uses: ["+"],
+        build: (t, g, depth) => {
+            const k = g.pick(1, 9);
+            return { text: `${wrap(g.sub(t.sub(q(k)), depth), ADDITIVE)}+${k}`, level: ADDITIVE };
+        }
+    },
+    {
+        uses: ["-"],
+        build: (t, g, depth) => {
+            const k = g.pick(1, 9);
+            return { text: `${wrap(g.sub(t.add(q(k)), depth), ADDITIVE)}-${k}`, level: ADDITIVE };
+        }
+    },
+    {
+        uses: ["×"],
+        build: (t, g, depth) => {
+            const k = g.pick(2, 9);
+            return { text: `${k}×${wrap(g.sub(t.div(q(k)), depth), POWER)}`, level: MULTIPLICATIVE };
+        }
+    },
+    {
+        uses: ["/"],
+        build: (t, g, depth) => {
+            const k = g.pick(2, 9);
+            return { text: `${wrap(g.sub(t.mul(q(k)), depth), MULTIPLICATIVE)}/${k}`, level: MULTIPLICATIVE };
+        }
+    },
+    {
+        // Integer targets with a small divisor: 42 = 6×7
+        uses: ["×"],
+        when: t => t.isInteger() && smallDivisors(t.n).length > 0,
+        build: (t, g, depth) => {
+            const divisors = smallDivisors(t.n);
+            const k = divisors[Math.floor(g.random() * divisors.length)];
+            const rest = new Rational(t.n / k);
+            return { text: `${wrap(g.sub(rest, depth), MULTIPLICATIVE)}×${k}`, level: MULTIPLICATIVE };
+        }
+    },
+    {
+        uses: ["^"],
+        when: t => t.equals(q(1)),
+        build: (t, g) => ({ text: `${g.pick(2, 99)}^0`, level: POWER })
+    },
+    {
+        // Perfect squares and cubes: 100 = 10^2
+        uses: ["^"],
+        when: t => perfectPower(t) !== null,
+        build: t => {
+            const [base, exponent] = perfectPower(t);
+            const text = base < 0n ? `(${base})` : base.toString();
+            return { text: `${text}^${exponent}`, level: POWER };
+        }
+    },
+    {
+        uses: ["×", "^"],
+        build: (t, g, depth) => {
+            const k = g.pick(2, 9);
+            return { text: `${wrap(g.sub(t.mul(q(k)), depth), MULTIPLICATIVE)}×${k}^-1`, level: MULTIPLICATIVE };
+        }
+    },
+    {
+        uses: ["√"],
+        when: t => t.sign() >= 0,
+        build: (t, g, depth) => ({ text: `√${wrap(g.sub(t.mul(t), depth), ATOM)}`, level: ATOM })
+    },
+    {
+        uses: ["√", "/"],
+        when: t => t.sign() > 0,
+        build: (t, g, depth) => {
+            // t = √(t²·k²)/k
+            const k = g.pick(2, 9);
+            const radicand = t.mul(t).mul(q(k * k));
+            return { text: `√${wrap(g.sub(radicand, depth), ATOM)}/${k}`, level: MULTIPLICATIVE };
+        }
+    },
+    {
+        uses: ["!"],
+        when: t => FACTORIALS.some((f, n) => n >= 2 && t.equals(new Rational(f))) || t.equals(q(1)),
+        build: (t, g) => {
+            if (t.equals(q(1))) {
+                return { text: g.random() < 0.5 ? "0!" : "1!", level: ATOM };
+            }
+            const n = FACTORIALS.findIndex((f, index) => index >= 2 && t.equals(new Rational(f)));
+            return { text: `${n}!`, level: ATOM };
+        }
+    },
+    {
+        // n = n!/(n−1)! for small positive integers
+        uses: ["!", "/"],
+        when: t => t.isInteger() && t.n >= 1n && t.n <= 20n,
+        build: t => ({ text: `${t.n}!/${t.n - 1n}!`, level: MULTIPLICATIVE })
+    },
+    {
+        uses: ["!", "/"],
+        build: (t, g, depth) => {
+            const k = g.pick(2, 4);
+            const scaled = t.mul(new Rational(FACTORIALS[k]));
+            return { text: `${wrap(g.sub(scaled, depth), MULTIPLICATIVE)}/${k}!`, level: MULTIPLICATIVE };
+        }
+    },
+    {
+        uses: ["|x|"],
+        when: t => t.sign() >= 0,
+        build: (t, g, depth) => {
+            const inner = g.sub(t.neg(), depth);
+            const text = inner.text.startsWith("-") ? `−${inner.text.slice(1)}` : inner.text;
+            return { text: `|${text}|`, level: ATOM };
+        }
+    },
+    {
+        // t = det([[t+bc, b], [c, 1]])
+        uses: ["det"],
+        build: (t, g, depth) => {
+            const b = g.pick(1, 5);
+            const c = g.pick(1, 5);
+            return { text: `det([[${g.sub(t.add(q(b * c)), depth).text},${b}],[${c},1]])`, level: ATOM };
+        }
+    },
+    {
+        // t = det([[k, c], [0, t/k]])
+        uses: ["det"],
+        build: (t, g, depth) => {
+            const k = g.pick(2, 5);
+            return { text: `det([[${k},${g.pick(0, 5)}],[0,${g.sub(t.div(q(k)), depth).text}]])`, level: ATOM };
+        }
+    },
+    {
+        // t = |t·a/c + t·b/c·i| for a Pythagorean triple (a, b, c)
+        uses: ["i"],
+        when: t => t.sign() > 0,
+        build: (t, g, depth) => {
+            const [a, b, c] = TRIPLES[Math.floor(g.random() * TRIPLES.length)];
+            const re = g.sub(t.mul(new Rational(BigInt(a), BigInt(c))), depth);
+            const im = g.sub(t.mul(new Rational(BigInt(b), BigInt(c))), depth);
+            return { text: `|${re.text}+${wrap(im, ATOM)}i|`, level: ATOM };
+        }
+    },
+    {
+        // t = −e^(iπ)·t
+        uses: ["i"],
+        build: (t, g, depth) => ({ text: `-e^(iπ)×${wrap(g.sub(t, depth), POWER)}`, level: NEGATED })
+    },
+    {
+        // t = (−t)·i² or (−t)·i⁶
+        uses: ["i"],
+        build: (t, g, depth) => {
+            const exponent = g.random() < 0.5 ? 2 : 6;
+            return { text: `${wrap(g.sub(t.neg(), depth), MULTIPLICATIVE)}×i^${exponent}`, level: MULTIPLICATIVE };
+        }
+    }
+];
+
+function smallDivisors(n) {
+    const magnitude = n < 0n ? -n : n;
+    const divisors = [];
+    for (let k = 2n; k <= 12n; k++) {
+        if (magnitude % k === 0n && magnitude !== k) {
+            divisors.push(k);
+        }
+    }
+    return divisors;
+}
+
+/**
+ * [base, exponent] with t = base^exponent for exponent 2 or 3, else null
+ */
+function perfectPower(t) {
+    if (!t.isInteger()) {
+        return null;
+    }
+    const magnitude = t.n < 0n ? -t.n : t.n;
+    if (magnitude < 4n) {
+        return null;
+    }
+    for (const exponent of [3n, 2n]) {
+        if (t.n < 0n && exponent === 2n) {
+            continue;
+        }
+        const root = iroot(magnitude, exponent);
+        if (root ** exponent === magnitude) {
+            return [t.n < 0n ? -root : root, exponent];
+        }
+    }
+    return null;
+}
+
+/**
+ * Generate `count` distinct expressions equal to `value`.
+ *
+ * @param {number|bigint|string} value - integer, finite decimal or rational expression such as "22/7"
+ * @param {Object} [options]
+ * @param {number} [options.count=8] - number of expressions to return
+ * @param {string[]} [options.operators] - subset of + - × / ^ √ ! |x| (the
+ *   default), plus det for determinants and i for complex numbers
+ * @param {number} [options.maxDepth=2] - how many rewrites may be nested
+ * @param {string} [options.seed] - vary the selection for the same value
+ * @returns {string[]} expressions, each verified to equal `value` exactly
+ */
+function generateExpressions(value, options = {}) {
+    const { count = 8 } = options;
+    const target = toRational(value);
+    const expected = ExactNumber.fromRational(target);
+    const generator = new ExpressionGenerator(target, options);
+
+    const expressions = new Set();
+    for (let attempt = 0; attempt < count * 25 && expressions.size < count; attempt++) {
+        const { text } = generator.next();
+        if (expressions.has(text)) {
+            continue;
+        }
+        try {
+            if (evaluate(text, { exact: true }).equals(expected)) {
+                expressions.add(text);
+            }
+        } catch (error) {
+            if (!(error instanceof MathematicalExpressionError)) {
+                throw error;
+            }
+        }
+    }
+
+    return [...expressions];
+}
+
+module.exports = {
+    generateExpressions,
+    ExpressionGenerator,
+    ALL_OPERATORS,
+    OPTIONAL_OPERATORS
+};
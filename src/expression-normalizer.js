@@ -0,0 +1,293 @@
+/**
+ * Expression Normalizer
+ * Fractional Core (FC) Framework
+ *
+ * Rewrites hand-typed or OCR'd expressions into library notation before
+ * they are evaluated or looked up: `sqrt(4)/2` becomes `√4/2`, `7**0`
+ * becomes `7^0`, `|-1|` becomes `|−1|`. Each rewrite is a named rule with
+ * the strictness level that enables it, and the result reports the rules
+ * that changed the input.
+ *
+ *   strict  - only changes that cannot alter the value: whitespace and
+ *             Unicode lookalikes of the same symbol
+ *   lenient - also ASCII spellings (**, sqrt(), pi, ->, 2 x 3), decimal
+ *             commas and redundant parentheses
+ *   ocr     - also characters OCR commonly misreads in numbers
+ *             (O for 0, l for 1, V for √)
+ */
+
+const { FUNCTION_NAMES, tokenize, parse } = require("./expression-parser.js");
+const { MathematicalExpressionError } = require("./errors.js");
+
+const NORMALIZATION_LEVELS = ["strict", "lenient", "ocr"];
+
+const LOOKALIKES = {
+    "‐": "-", // hyphen
+    "‑": "-", // non-breaking hyphen
+    "‒": "-", // figure dash
+    "–": "-", // en dash
+    "—": "-", // em dash
+    "﹣": "-", // small hyphen-minus
+    "∗": "*", // asterisk operator
+    "✕": "×",
+    "⨯": "×",
+    "∕": "/", // division slash
+    "⁄": "/", // fraction slash
+    "∣": "|" // divides
+};
+
+// Names are matched next to digits too, since whitespace() has already
+// joined `2 pi` into `2pi`
+const ASCII_ALIASES = [
+    [/\*\*/g, "^"],
+    [/->/g, "→"],
+    [/(?<![A-Za-z])pi(?![A-Za-z])/g, "π"],
+    [/(?<![A-Za-z])theta(?![A-Za-z])/g, "θ"]
+];
+
+// Letters OCR returns for digits; only replaced next to a digit
+const OCR_DIGITS = { O: "0", o: "0", D: "0", I: "1", l: "1", S: "5", s: "5", B: "8", Z: "2", z: "2", g: "9" };
+
+const SUPERSCRIPTS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+/**
+ * Token sequence of an expression as a string, equal for spellings the
+ * parser cannot tell apart (spacing, − or -, × or *); null if it does
+ * not tokenize
+ */
+function tokenKey(expression) {
+    try {
+        return tokenize(expression, { strict: false })
+            .map(token => `${token.type}:${token.value}`)
+            .join(" ");
+    } catch (error) {
+        if (error instanceof MathematicalExpressionError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Syntax tree without positions or parentheses, for checking that a
+ * rewrite left the structure alone
+ */
+function structure(expression) {
+    const strip = node => {
+        if (node.type === "group") {
+            return strip(node.argument);
+        }
+        const { start, end, superscript, ...rest } = node;
+        return Object.fromEntries(Object.entries(rest).map(([field, value]) => [
+            field,
+            Array.isArray(value) ? value.map(strip) : value && typeof value === "object" ? strip(value) : value
+        ]));
+    };
+
+    try {
+        return JSON.stringify(strip(parse(expression)));
+    } catch (error) {
+        if (error instanceof MathematicalExpressionError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+function lookalikes(text) {
+    return text
+        // Full-width forms (１／２) to ASCII
+        .replace(/[！-～]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+        .replace(/./gu, char => LOOKALIKES[char] || char);
+}
+
+/**
+ * Spaces only matter where they keep two numbers or two names apart
+ */
+function whitespace(text) {
+    const trimmed = text.trim();
+    return trimmed.replace(/\s+/g, (space, offset) => {
+        const before = trimmed[offset - 1];
+        const after = trimmed[offset + space.length];
+        const joins = pattern => pattern.test(before) && pattern.test(after);
+        return joins(/[0-9.]/) || joins(/[A-Za-z]/) ? " " : "";
+    });
+}
+
+function asciiAliases(text) {
+    let result = ASCII_ALIASES.reduce((current, [pattern, replacement]) => current.replace(pattern, replacement), text);
+
+    // Last call first, so inner calls are rewritten before the ones around
+    // them and sqrt(abs(x)) or sqrt(sqrt(16)) unwinds
+    [...result.matchAll(/\b(sqrt|abs)\(/g)].reverse().forEach(match => {
+        const open = match.index + match[0].length - 1;
+        const close = closingParenthesis(result, open);
+        if (close === -1) {
+            return;
+        }
+        const argument = result.slice(open + 1, close);
+        const replacement = match[1] === "sqrt" ? `√(${argument})` : `|${argument}|`;
+        result = result.slice(0, match.index) + replacement + result.slice(close + 1);
+    });
+
+    return result;
+}
+
+/**
+ * Index of the parenthesis closing the one at `open`, or -1
+ */
+function closingParenthesis(text, open) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === "(") {
+            depth++;
+        } else if (text[i] === ")" && --depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * `2 x 3` and `2x3`: a letter x between two operands
+ */
+function timesLetter(text) {
+    return text.replace(new RegExp(`([0-9)!${SUPERSCRIPTS}]) ?[xX] ?(?=[0-9.(√])`, "g"), "$1*");
+}
+
+/**
+ * `1,5` is 1.5, except where commas separate items: in a matrix
+ * [[2,1],[1,1]] or the bounds of an integral ∫(x dx, 0, 2)
+ */
+function decimalComma(text) {
+    const openers = [];
+    return [...text].map((char, i) => {
+        if (char === "(" || char === "[") {
+            openers.push(char === "[" || text[i - 1] === "∫");
+        } else if (char === ")" || char === "]") {
+            openers.pop();
+        } else if (char === "," && !openers[openers.length - 1] && /\d/.test(text[i - 1] || "") && /\d/.test(text[i + 1] || "")) {
+            return ".";
+        }
+        return char;
+    }).join("");
+}
+
+/**
+ * Drop parentheses that do not change the syntax tree. Parentheses after
+ * a name are a call and stay; so does everything in a library expression.
+ */
+function redundantParentheses(text, { library }) {
+    if (library.has(tokenKey(text)) || structure(text) === null) {
+        return text;
+    }
+
+    const shape = structure(text);
+    let result = text;
+    let removed = true;
+
+    while (removed) {
+        removed = false;
+        const stack = [];
+        const pairs = [];
+        [...result].forEach((char, i) => {
+            if (char === "(") {
+                stack.push(i);
+            } else if (char === ")" && stack.length > 0) {
+                pairs.push([stack.pop(), i]);
+            }
+        });
+
+        for (const [open, close] of pairs.sort((a, b) => a[0] - b[0])) {
+            if (/[A-Za-z]/.test(result[open - 1] || "")) {
+                continue;
+            }
+            const candidate = result.slice(0, open) + result.slice(open + 1, close) + result.slice(close + 1);
+            if (structure(candidate) === shape) {
+                result = candidate;
+                removed = true;
+                break;
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Digits misread as letters: a word made only of such letters that
+ * touches a digit, or is two letters or more (a lone I or O may be a
+ * symbol); and √ misread as V
+ */
+function ocrConfusables(text) {
+    return text
+        .replace(/[A-Za-z]+/g, (word, offset) => {
+            const before = text[offset - 1] || "";
+            const after = text[offset + word.length] || "";
+            const confusable = !FUNCTION_NAMES.has(word) && [...word].every(char => OCR_DIGITS[char]);
+            return confusable && (word.length > 1 || /[0-9.]/.test(before) || /[0-9.]/.test(after))
+                ? [...word].map(char => OCR_DIGITS[char]).join("")
+                : word;
+        })
+        .replace(/(^|[^A-Za-z])[Vv](?=[0-9(])/g, "$1√");
+}
+
+// Applied in this order; each runs at its level and above
+const RULES = [
+    { name: "lookalikes", level: "strict", apply: lookalikes },
+    { name: "whitespace", level: "strict", apply: whitespace },
+    { name: "ascii-aliases", level: "lenient", apply: asciiAliases },
+    { name: "times-letter", level: "lenient", apply: timesLetter },
+    { name: "decimal-comma", level: "lenient", apply: decimalComma },
+    { name: "ocr-confusables", level: "ocr", apply: ocrConfusables },
+    { name: "redundant-parentheses", level: "lenient", apply: redundantParentheses }
+];
+
+/**
+ * Normalize an expression at `level` ("strict", "lenient" or "ocr").
+ * Expressions in `library` are the canonical spellings: a result that
+ * tokenizes like one of them is replaced by it.
+ *
+ * Returns `{ expression, original, level, applied }`, where `applied`
+ * names the rules that changed the input, in order.
+ */
+function normalizeExpression(expression, { level = "lenient", library = [] } = {}) {
+    if (typeof expression !== "string") {
+        throw new MathematicalExpressionError("Expression must be a string", { expression });
+    }
+    if (!NORMALIZATION_LEVELS.includes(level)) {
+        throw new MathematicalExpressionError(`Unknown normalization level '${level}'; use one of ${NORMALIZATION_LEVELS.join(", ")}`, { code: "INVALID_OPTION" });
+    }
+
+    const spellings = new Map([...library].map(expr => [tokenKey(expr), expr]));
+    const rank = NORMALIZATION_LEVELS.indexOf(level);
+    const applied = [];
+    let result = expression;
+
+    RULES.filter(rule => NORMALIZATION_LEVELS.indexOf(rule.level) <= rank).forEach(rule => {
+        const next = rule.apply(result, { library: spellings });
+        if (next !== result) {
+            applied.push(rule.name);
+            result = next;
+        }
+    });
+
+    const spelling = spellings.get(tokenKey(result));
+    if (spelling !== undefined && spelling !== result) {
+        applied.push("library-spelling");
+        result = spelling;
+    }
+
+    return {
+        expression: result,
+        original: expression,
+        level,
+        applied: result === expression ? [] : applied
+    };
+}
+
+module.exports = {
+    NORMALIZATION_LEVELS,
+    tokenKey,
+    normalizeExpression
+};
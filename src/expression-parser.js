@@ -0,0 +1,597 @@
+/**
+ * Expression Parser
+ * Fractional Core (FC) Framework
+ *
+ * Tokenizer and recursive-descent parser for the notation the library
+ * itself emits: √, !, |x|, ^, ×, ÷, Unicode minus, parentheses,
+ * decimals, functions such as sin(0) and ln(1), and constants like π;
+ * and for the advanced forms: integrals ∫(2x dx) and ∫(f dx, a, b),
+ * limits lim(x→0) sin(x)/x, powers of functions sin²θ, and matrices:
+ * literals [[2,1],[1,1]], identities I and I₃, and det(), tr(), rank()
+ * and inv().
+ * The parser only builds a syntax tree - evaluation lives in
+ * expression-evaluator.js so no input is ever handed to `eval`.
+ */
+
+const { MathematicalExpressionError } = require("./errors.js");
+
+const OPERATOR_ALIASES = {
+    "+": "+",
+    "-": "-",
+    "−": "-",
+    "*": "*",
+    "×": "*",
+    "·": "*",
+    "⋅": "*",
+    "/": "/",
+    "÷": "/",
+    "^": "^",
+    "!": "!",
+    "√": "√"
+};
+
+const SUPERSCRIPT_DIGITS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+const SUBSCRIPT_DIGITS = "₀₁₂₃₄₅₆₇₈₉";
+
+// Names the parser treats as functions; any other identifier is a symbol
+// (π, e, …) resolved by the evaluator
+const FUNCTION_NAMES = new Set(["sin", "cos", "tan", "ln", "log", "exp", "sqrt", "abs", "det", "tr", "rank", "inv"]);
+
+// Characters of the advanced notation, tokenized as `symbol`
+const CALCULUS_SYMBOLS = new Set(["∫", "→"]);
+
+// Largest matrix, in rows or columns, that a literal or I₍ₙ₎ may have
+const MAX_MATRIX_SIZE = 16;
+
+// Limits that keep the parser, the evaluator and the other tree walkers
+// within the call stack: nesting levels, where each parenthesis, sign or
+// radical counts one or two, and tokens, which bound how long a chain
+// such as 1+1+…+1 can grow
+const MAX_DEPTH = 200;
+const MAX_TOKENS = 2000;
+
+const GREEK_LETTERS = /[α-ωΑ-Ω]/;
+
+// Names that can be bound by an integral or a limit
+const VARIABLE_NAME = /^[A-Za-zα-ωΑ-Ω]$/;
+
+/**
+ * Split an expression into tokens with their source positions. ∫ and →
+ * are `symbol` tokens; with `{ strict: false }` so is any other
+ * character outside the grammar instead of an error, for tools that
+ * transcribe notation without evaluating it.
+ */
+function tokenize(expression, { strict = true } = {}) {
+    if (typeof expression !== "string") {
+        throw new MathematicalExpressionError("Expression must be a string", { expression });
+    }
+
+    const tokens = [];
+    let i = 0;
+
+    while (i < expression.length) {
+        const char = expression[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (/[0-9.]/.test(char)) {
+            const match = /^(\d+(\.\d+)?|\.\d+)/.exec(expression.slice(i));
+            if (!match) {
+                throw new MathematicalExpressionError("Malformed number", { expression, position: i });
+            }
+            tokens.push({ type: "number", value: match[0], start: i, end: i + match[0].length });
+            i += match[0].length;
+            continue;
+        }
+
+        if (SUPERSCRIPT_DIGITS.includes(char)) {
+            let digits = "";
+            const start = i;
+            while (i < expression.length && SUPERSCRIPT_DIGITS.includes(expression[i])) {
+                digits += SUPERSCRIPT_DIGITS.indexOf(expression[i]);
+                i++;
+            }
+            tokens.push({ type: "superscript", value: digits, start, end: i });
+            continue;
+        }
+
+        // Subscripts, as in the identity matrix I₃ (or I_3)
+        if (SUBSCRIPT_DIGITS.includes(char) || (char === "_" && /[0-9]/.test(expression[i + 1] || ""))) {
+            const start = i;
+            let digits = "";
+            if (char === "_") {
+                digits = /^\d+/.exec(expression.slice(i + 1))[0];
+                i += 1 + digits.length;
+            } else {
+                while (i < expression.length && SUBSCRIPT_DIGITS.includes(expression[i])) {
+                    digits += SUBSCRIPT_DIGITS.indexOf(expression[i]);
+                    i++;
+                }
+            }
+            tokens.push({ type: "subscript", value: digits, text: expression.slice(start, i), start, end: i });
+            continue;
+        }
+
+        if (/[A-Za-z]/.test(char)) {
+            const name = /^[A-Za-z]+/.exec(expression.slice(i))[0];
+            tokens.push({ type: "identifier", value: name, start: i, end: i + name.length });
+            i += name.length;
+            continue;
+        }
+
+        if (GREEK_LETTERS.test(char)) {
+            tokens.push({ type: "identifier", value: char, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        if ("()[]|,".includes(char)) {
+            const type = { "(": "lparen", ")": "rparen", "[": "lbracket", "]": "rbracket", "|": "bar", ",": "comma" }[char];
+            tokens.push({ type, value: char, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        if (OPERATOR_ALIASES[char]) {
+            tokens.push({ type: "operator", value: OPERATOR_ALIASES[char], text: char, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        if (CALCULUS_SYMBOLS.has(char) || !strict) {
+            tokens.push({ type: "symbol", value: char, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        throw new MathematicalExpressionError(`Unexpected character '${char}'`, {
+            expression,
+            position: i,
+            code: "UNEXPECTED_CHARACTER"
+        });
+    }
+
+    tokens.push({ type: "eof", value: null, start: expression.length, end: expression.length });
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a plain-object syntax tree.
+ *
+ * Precedence, loosest first: + -, then × ÷ (and implicit products such
+ * as `2(3)`), then unary minus, then ^ (right associative), then √ and
+ * the postfix ! and superscript powers.
+ */
+class ExpressionParser {
+    constructor(expression) {
+        this.expression = expression;
+        this.tokens = tokenize(expression);
+        this.index = 0;
+        this.depth = 0;
+
+        if (this.tokens.length > MAX_TOKENS) {
+            throw this.error(`Expressions are limited to ${MAX_TOKENS} tokens`, this.tokens[MAX_TOKENS], "TOO_LONG");
+        }
+    }
+
+    parse() {
+        if (this.peek().type === "eof") {
+            throw this.error("Empty expression", this.peek());
+        }
+
+        const ast = this.parseAdditive();
+        const next = this.peek();
+        if (next.type !== "eof") {
+            throw this.error(`Unexpected '${this.describe(next)}'`, next);
+        }
+        return ast;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+
+        while (this.isOperator("+") || this.isOperator("-")) {
+            const operator = this.next().value;
+            const right = this.parseMultiplicative();
+            left = { type: "binary", operator, left, right, start: left.start, end: right.end };
+        }
+
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+
+        for (;;) {
+            let operator;
+            if (this.isOperator("*") || this.isOperator("/")) {
+                operator = this.next().value;
+            } else if (this.startsImplicitProduct()) {
+                operator = "*";
+            } else {
+                break;
+            }
+
+            const right = this.parseUnary();
+            left = { type: "binary", operator, left, right, start: left.start, end: right.end };
+        }
+
+        return left;
+    }
+
+    parseUnary() {
+        return this.nested(() => {
+            if (this.isOperator("-") || this.isOperator("+")) {
+                const token = this.next();
+                const argument = this.parseUnary();
+                if (token.value === "+") {
+                    return { ...argument, start: token.start };
+                }
+                return { type: "unary", operator: "-", argument, start: token.start, end: argument.end };
+            }
+
+            return this.parsePower();
+        });
+    }
+
+    parsePower() {
+        const base = this.parsePostfix();
+
+        if (this.isOperator("^")) {
+            this.next();
+            const exponent = this.parseUnary();
+            return { type: "binary", operator: "^", left: base, right: exponent, start: base.start, end: exponent.end };
+        }
+
+        return base;
+    }
+
+    parsePostfix() {
+        let node = this.parseRadical();
+
+        for (;;) {
+            const token = this.peek();
+            if (token.type === "operator" && token.value === "!") {
+                this.next();
+                node = { type: "factorial", argument: node, start: node.start, end: token.end };
+            } else if (token.type === "superscript") {
+                this.next();
+                const exponent = { type: "number", value: token.value, start: token.start, end: token.end };
+                node = { type: "binary", operator: "^", left: node, right: exponent, superscript: true, start: node.start, end: token.end };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    parseRadical() {
+        if (this.isOperator("√")) {
+            const token = this.next();
+            const argument = this.parseRadicand();
+            return { type: "sqrt", argument, start: token.start, end: argument.end };
+        }
+
+        return this.parsePrimary();
+    }
+
+    // A radicand may carry its own sign (√−1) so the evaluator can report
+    // a domain error instead of a syntax error
+    parseRadicand() {
+        return this.nested(() => {
+            if (this.isOperator("-")) {
+                const token = this.next();
+                const argument = this.parseRadicand();
+                return { type: "unary", operator: "-", argument, start: token.start, end: argument.end };
+            }
+
+            return this.parseRadical();
+        });
+    }
+
+    parsePrimary() {
+        return this.nested(() => {
+            const token = this.next();
+
+            switch (token.type) {
+                case "number":
+                    return { type: "number", value: token.value, start: token.start, end: token.end };
+
+                case "lparen": {
+                    const argument = this.parseAdditive();
+                    const closing = this.expect("rparen", "')'");
+                    return { type: "group", argument, start: token.start, end: closing.end };
+                }
+
+                case "bar": {
+                    const argument = this.parseAdditive();
+                    const closing = this.expect("bar", "'|'");
+                    return { type: "abs", argument, start: token.start, end: closing.end };
+                }
+
+                case "lbracket":
+                    return this.parseMatrix(token);
+
+                case "symbol":
+                    if (token.value === "∫") {
+                        return this.parseIntegral(token);
+                    }
+                    throw this.error(`Unexpected '${this.describe(token)}'`, token);
+
+                case "identifier":
+                    return this.parseIdentifier(token);
+
+                case "eof":
+                    throw this.error("Unexpected end of expression", token, "UNEXPECTED_END");
+
+                default:
+                    throw this.error(`Unexpected '${this.describe(token)}'`, token);
+            }
+        });
+    }
+
+    /**
+     * Function call `sin(0)`, juxtaposed application `ln1`, power of a
+     * function `sin²θ` or `sin^2 θ`, limit `lim(x→1) x`, identity matrix
+     * `I₃`, or a symbol `π`
+     */
+    parseIdentifier(token) {
+        const name = token.value;
+
+        if (name === "lim" && this.peek().type === "lparen") {
+            return this.parseLimit(token);
+        }
+
+        if (name === "I" && this.peek().type === "subscript") {
+            const size = this.next();
+            if (Number(size.value) < 1) {
+                throw this.error("An identity matrix needs at least one row", size, "INVALID_MATRIX");
+            }
+            if (Number(size.value) > MAX_MATRIX_SIZE) {
+                throw this.error(`Matrices are limited to ${MAX_MATRIX_SIZE}×${MAX_MATRIX_SIZE}`, size, "INVALID_MATRIX");
+            }
+            return { type: "identity", size: Number(size.value), start: token.start, end: size.end };
+        }
+
+        if (!FUNCTION_NAMES.has(name)) {
+            if (this.peek().type === "lparen") {
+                throw this.error(`Unknown function '${name}'`, token, "UNKNOWN_FUNCTION");
+            }
+            return { type: "identifier", name, start: token.start, end: token.end };
+        }
+
+        // sin²θ and sin^2 θ are (sin θ)²; only whole powers, as sin^(-1)
+        // would usually mean arcsin
+        if (this.peek().type === "superscript") {
+            const power = this.next();
+            const call = this.parseCall(token);
+            const exponent = { type: "number", value: power.value, start: power.start, end: power.end };
+            return { type: "binary", operator: "^", left: call, right: exponent, superscript: true, functionPower: true, start: token.start, end: call.end };
+        }
+        if (this.isOperator("^")) {
+            this.next();
+            const exponent = this.parsePostfix();
+            const power = exponent.type === "group" ? exponent.argument : exponent;
+            if (power.type !== "number" || !/^\d+$/.test(power.value)) {
+                throw this.error(`Power of ${name}() must be a whole number`, exponent);
+            }
+            const call = this.parseCall(token);
+            return { type: "binary", operator: "^", left: call, right: exponent, functionPower: true, start: token.start, end: call.end };
+        }
+
+        return this.parseCall(token);
+    }
+
+    parseCall(token) {
+        const name = token.value;
+
+        if (this.peek().type === "lparen") {
+            this.next();
+            const args = [this.parseAdditive()];
+            while (this.peek().type === "comma") {
+                this.next();
+                args.push(this.parseAdditive());
+            }
+            const closing = this.expect("rparen", "')'");
+            return { type: "call", name, args, start: token.start, end: closing.end };
+        }
+
+        const argument = this.parseRadicand();
+        return { type: "call", name, args: [argument], start: token.start, end: argument.end };
+    }
+
+    /**
+     * `lim(x→a) f`, where f extends over the following product or quotient
+     */
+    parseLimit(token) {
+        this.expect("lparen", "'('");
+        const variable = this.expect("identifier", "a variable");
+        if (!VARIABLE_NAME.test(variable.value)) {
+            throw this.error(`'${variable.value}' cannot be a limit variable`, variable);
+        }
+        const arrow = this.peek();
+        if (arrow.type !== "symbol" || arrow.value !== "→") {
+            throw this.error(`Expected '→' but found '${this.describe(arrow)}'`, arrow, arrow.type === "eof" ? "UNEXPECTED_END" : "UNEXPECTED_TOKEN");
+        }
+        this.next();
+        const point = this.parseAdditive();
+        this.expect("rparen", "')'");
+        const body = this.parseMultiplicative();
+        return { type: "limit", variable: variable.value, point, body, start: token.start, end: body.end };
+    }
+
+    /**
+     * `∫(f dx)` over [0, 1], or `∫(f dx, a, b)`
+     */
+    parseIntegral(token) {
+        this.expect("lparen", "'('");
+        const body = this.parseAdditive();
+        const bounds = [];
+        while (this.peek().type === "comma" && bounds.length < 2) {
+            this.next();
+            bounds.push(this.parseAdditive());
+        }
+        if (bounds.length === 1) {
+            throw this.error("An integral needs both bounds or neither", bounds[0]);
+        }
+        const closing = this.expect("rparen", "')'");
+
+        const split = splitDifferential(body);
+        if (!split) {
+            throw this.error("Integral has no differential such as dx", body, "MISSING_DIFFERENTIAL");
+        }
+        return {
+            type: "integral",
+            integrand: split.integrand,
+            variable: split.variable,
+            lower: bounds[0] || null,
+            upper: bounds[1] || null,
+            start: token.start,
+            end: closing.end
+        };
+    }
+
+    /**
+     * `[[a, b], [c, d]]`: rows of equal length
+     */
+    parseMatrix(token) {
+        const rows = [this.parseMatrixRow()];
+        while (this.peek().type === "comma") {
+            this.next();
+            rows.push(this.parseMatrixRow());
+        }
+        const closing = this.expect("rbracket", "']'");
+
+        if (rows.some(row => row.length !== rows[0].length)) {
+            throw this.error("Matrix rows differ in length", { start: token.start, end: closing.end }, "INVALID_MATRIX");
+        }
+        if (rows.length > MAX_MATRIX_SIZE || rows[0].length > MAX_MATRIX_SIZE) {
+            throw this.error(`Matrices are limited to ${MAX_MATRIX_SIZE}×${MAX_MATRIX_SIZE}`, { start: token.start, end: closing.end }, "INVALID_MATRIX");
+        }
+        return { type: "matrix", rows, start: token.start, end: closing.end };
+    }
+
+    parseMatrixRow() {
+        this.expect("lbracket", "'['");
+        const row = [this.parseAdditive()];
+        while (this.peek().type === "comma") {
+            this.next();
+            row.push(this.parseAdditive());
+        }
+        this.expect("rbracket", "']'");
+        return row;
+    }
+
+    // Parser helpers
+    nested(parse) {
+        if (++this.depth > MAX_DEPTH) {
+            throw this.error("Expression is nested too deeply", this.peek(), "TOO_DEEP");
+        }
+        const node = parse();
+        this.depth--;
+        return node;
+    }
+
+    startsImplicitProduct() {
+        const token = this.peek();
+        return token.type === "lparen" ||
+            token.type === "lbracket" ||
+            token.type === "identifier" ||
+            (token.type === "operator" && token.value === "√");
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isOperator(value) {
+        const token = this.peek();
+        return token.type === "operator" && token.value === value;
+    }
+
+    expect(type, description) {
+        const token = this.peek();
+        if (token.type !== type) {
+            const code = token.type === "eof" ? "UNEXPECTED_END" : "UNEXPECTED_TOKEN";
+            throw this.error(`Expected ${description} but found '${this.describe(token)}'`, token, code);
+        }
+        return this.next();
+    }
+
+    describe(token) {
+        return token.type === "eof" ? "end of expression" : (token.text || token.value);
+    }
+
+    error(message, token, code = "UNEXPECTED_TOKEN") {
+        return new MathematicalExpressionError(message, {
+            expression: this.expression,
+            position: token.start,
+            length: Math.max(1, token.end - token.start),
+            code
+        });
+    }
+}
+
+const unit = node => ({ type: "number", value: "1", start: node.start, end: node.end });
+const isVariable = node => node.type === "identifier" && VARIABLE_NAME.test(node.name);
+
+/**
+ * Take the trailing differential off an integral's body: `2x dx` is the
+ * integrand 2x in x, `dx` alone is 1, `f dθ` reads as f·d·θ. In a sum the
+ * differential belongs to the whole sum, as in ∫(x + 1 dx).
+ * Returns `{ integrand, variable }` or null.
+ */
+function splitDifferential(node) {
+    if (node.type === "identifier" && /^d[A-Za-z]$/.test(node.name)) {
+        return { integrand: unit(node), variable: node.name[1] };
+    }
+    if (node.type !== "binary") {
+        return null;
+    }
+
+    const { left, right } = node;
+    if (node.operator === "*") {
+        if (right.type === "identifier" && /^d[A-Za-z]$/.test(right.name)) {
+            return { integrand: left, variable: right.name[1] };
+        }
+        // d·θ: the tokenizer keeps Greek letters apart from Latin names
+        if (isVariable(right) && left.type === "identifier" && left.name === "d") {
+            return { integrand: unit(left), variable: right.name };
+        }
+        if (isVariable(right) && left.type === "binary" && left.operator === "*" &&
+            left.right.type === "identifier" && left.right.name === "d") {
+            return { integrand: left.left, variable: right.name };
+        }
+    }
+    if (node.operator === "+" || node.operator === "-") {
+        const split = splitDifferential(right);
+        if (split) {
+            return { integrand: { ...node, right: split.integrand, end: split.integrand.end }, variable: split.variable };
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse an expression into a syntax tree
+ */
+function parse(expression) {
+    return new ExpressionParser(expression).parse();
+}
+
+module.exports = {
+    FUNCTION_NAMES,
+    MAX_DEPTH,
+    MAX_MATRIX_SIZE,
+    MAX_TOKENS,
+    VARIABLE_NAME,
+    tokenize,
+    parse,
+    ExpressionParser
+};
@@ -0,0 +1,176 @@
+/**
+ * Expression Sets
+ * Fractional Core (FC) Framework
+ *
+ * Named, versioned libraries of expressions equal to 1, so an institution
+ * can encode with its own curriculum instead of the built-in fraction
+ * tables. Every entry is parsed and evaluated exactly when the set is
+ * created, so any grid encoded from a registered set decodes.
+ *
+ * A set is identified as `name@version`; the bare name selects its
+ * highest registered version.
+ */
+
+const fs = require("fs");
+const { evaluate } = require("./expression-evaluator.js");
+const { tokenKey } = require("./expression-normalizer.js");
+const { MathematicalExpressionError, EncodingError, InvalidExpressionSetError } = require("./errors.js");
+
+// Sets provided by FractionalCore itself; their names cannot be registered
+const BUILT_IN_SETS = ["standard", "advanced"];
+
+const SET_NAME = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+const SET_VERSION = /^\d+(\.\d+)*$/;
+
+function invalidSet(message) {
+    return new EncodingError(message, { code: "INVALID_EXPRESSION_SET" });
+}
+
+/**
+ * Order of two dotted version strings: 1.10 comes after 1.9
+ */
+function compareVersions(a, b) {
+    const x = a.split(".").map(Number);
+    const y = b.split(".").map(Number);
+    for (let i = 0; i < Math.max(x.length, y.length); i++) {
+        const difference = (x[i] || 0) - (y[i] || 0);
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Validate and freeze an expression set. `entries` are expression
+ * strings or `{ expr, latex, note }` objects; each must equal 1 exactly
+ * and appear only once, however it is spelled (`2-1` and `2 − 1` are the
+ * same entry).
+ *
+ * @param {string} name - letters, digits, '.', '-' and '_'
+ * @param {Array<string|Object>} entries
+ * @param {Object} [options]
+ * @param {string} [options.version="1"] - dotted numbers such as "2.1"
+ * @param {string} [options.description=""]
+ * @returns {{ id, name, version, description, entries }}
+ */
+function createExpressionSet(name, entries, { version = "1", description = "" } = {}) {
+    version = String(version);
+    if (typeof name !== "string" || !SET_NAME.test(name)) {
+        throw invalidSet(`Expression set name '${name}' must be letters, digits, '.', '-' or '_'`);
+    }
+    if (!SET_VERSION.test(version)) {
+        throw invalidSet(`Expression set version '${version}' must be numbers separated by dots`);
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw invalidSet(`Expression set '${name}' needs at least one entry`);
+    }
+
+    const id = `${name}@${version}`;
+    const problems = [];
+    const seen = new Map();
+    const validated = entries.map((entry, index) => {
+        const fields = typeof entry === "string" ? { expr: entry } : entry;
+        if (fields === null || typeof fields !== "object" || typeof fields.expr !== "string") {
+            problems.push({ index, expression: String(entry), code: "INVALID_ENTRY", error: "Entry must be an expression or { expr, latex, note }" });
+            return null;
+        }
+
+        const { expr, latex = null, note = null } = fields;
+        const key = tokenKey(expr) || expr.replace(/\s+/g, "");
+        if (seen.has(key)) {
+            problems.push({ index, expression: expr, code: "DUPLICATE", error: `Repeats entry ${seen.get(key)}` });
+            return null;
+        }
+        seen.set(key, index);
+
+        try {
+            const value = evaluate(expr, { exact: true });
+            if (!value.equals(1)) {
+                problems.push({ index, expression: expr, code: "NOT_UNITY", error: `Evaluates to ${value}, not 1` });
+            }
+        } catch (error) {
+            if (!(error instanceof MathematicalExpressionError)) {
+                throw error;
+            }
+            problems.push({ index, expression: expr, code: error.code, error: error.message });
+        }
+        return Object.freeze({ expr, latex, note });
+    });
+
+    if (problems.length > 0) {
+        throw new InvalidExpressionSetError(id, problems);
+    }
+    return Object.freeze({ id, name, version, description, entries: Object.freeze(validated) });
+}
+
+/**
+ * Read an expression set from a JSON file of the form
+ * `{ "name", "version", "description", "entries": [...] }`
+ */
+function readExpressionSetFile(path) {
+    let definition;
+    try {
+        definition = JSON.parse(fs.readFileSync(path, "utf8"));
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            throw invalidSet(`${path} is not valid JSON: ${error.message}`);
+        }
+        throw error;
+    }
+
+    if (definition === null || typeof definition !== "object" || Array.isArray(definition)) {
+        throw invalidSet(`${path} must contain an object with "name" and "entries"`);
+    }
+    const { name, entries, version, description } = definition;
+    return createExpressionSet(name, entries, { version, description });
+}
+
+/**
+ * Registered sets by name and version
+ */
+class ExpressionSetRegistry {
+    constructor() {
+        this.sets = new Map();
+    }
+
+    add(set) {
+        if (BUILT_IN_SETS.includes(set.name)) {
+            throw new EncodingError(`'${set.name}' is a built-in expression set`, { code: "DUPLICATE_EXPRESSION_SET" });
+        }
+        const versions = this.sets.get(set.name) || new Map();
+        // "1" and "1.0" are the same version
+        const existing = [...versions.values()].find(other => compareVersions(other.version, set.version) === 0);
+        if (existing) {
+            throw new EncodingError(`Expression set '${set.id}' is already registered as '${existing.id}'`, { code: "DUPLICATE_EXPRESSION_SET" });
+        }
+        this.sets.set(set.name, versions.set(set.version, set));
+        return set;
+    }
+
+    /**
+     * The set `name@version`, or the highest version of `name`
+     */
+    get(id) {
+        const [name, version] = String(id).split("@");
+        const versions = this.sets.get(name);
+        const latest = versions && [...versions.keys()].sort(compareVersions).pop();
+        const set = versions && versions.get(version === undefined ? latest : version);
+        if (!set) {
+            throw new EncodingError(`Unknown expression set '${id}'`, { code: "UNKNOWN_EXPRESSION_SET" });
+        }
+        return set;
+    }
+
+    list() {
+        return [...this.sets.values()].flatMap(versions =>
+            [...versions.values()].sort((a, b) => compareVersions(a.version, b.version)));
+    }
+}
+
+module.exports = {
+    BUILT_IN_SETS,
+    createExpressionSet,
+    readExpressionSetFile,
+    ExpressionSetRegistry
+};
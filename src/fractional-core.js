@@ -8,14 +8,133 @@
  * supporting research to eliminate cancer and human suffering.
  */
 
+const crypto = require("crypto");
+const { parse } = require("./expression-parser.js");
+const { evaluate } = require("./expression-evaluator.js");
+const { generateExpressions, ALL_OPERATORS } = require("./expression-generator.js");
+const { normalizeExpression } = require("./expression-normalizer.js");
+const { BUILT_IN_SETS, createExpressionSet, readExpressionSetFile, ExpressionSetRegistry } = require("./expression-sets.js");
+const { CONCEPTS, GRADE_BANDS, OPERATOR_CONCEPTS, gradeBand, gradeLevel, difficultyProfile, withinLevel } = require("./expression-difficulty.js");
+const { ExactNumber } = require("./exact-arithmetic.js");
+const { canonicalStringify } = require("./canonical-json.js");
+const { HmacDrbg } = require("./keyed-random.js");
+const { seal, open } = require("./passphrase-cipher.js");
+const { ECC_SCHEMES, blockSizes, codedLength, eccEncode, eccDecode } = require("./error-correction.js");
+const { GridEncodeStream, GridDecodeStream } = require("./grid-streams.js");
+const { COMPRESSION_SCHEMES, compress, compressionOf, decompress, decompressDetected } = require("./compression.js");
+const { detectFormat, documentScheme, extractCells, latexToExpression, normalizeLatex } = require("./document-reader.js");
+const { renderLatex, renderMathML, renderHTML } = require("./grid-renderers.js");
+const { renderSvg, readSvg } = require("./svg-renderer.js");
+const { expressionToBraille, detectBrailleCode, renderBraille, readBraille } = require("./braille.js");
+const { expressionToSpeech, renderSsml } = require("./speech.js");
+const { HEADER_LENGTH: FRAME_HEADER_LENGTH, packHeader, hasMagic, unpackHeader, verifyPayload } = require("./frame.js");
+const { MathematicalExpressionError, EncodingError, InvalidCellsError } = require("./errors.js");
+
+// Strict decoder: grids from before UTF-8 support carry Latin-1 bytes,
+// which are rarely valid UTF-8 and are decoded as Latin-1 instead
+const UTF8_DECODER = new TextDecoder("utf-8", { fatal: true });
+
+const DEFAULT_HASH_ALGORITHM = "sha256";
+const HASH_ALGORITHMS = new Set(crypto.getHashes());
+
+// How zero bits are written: the literal '0', or expressions equal to 0
+const ZERO_SCHEMES = ["literal", "expressions"];
+
+// Bases a grid may use; base 2 is the original one-bit-per-cell encoding
+const SUPPORTED_BASES = [2, 4, 8, 10, 16];
+
+// Generated expressions per nonzero digit in base-N grids
+const DIGIT_EXPRESSION_COUNT = 8;
+
+// Candidates generated per expression kept when a grade or difficulty
+// limit filters them
+const LEVEL_OVERSAMPLING = 4;
+
 const FC_ORIGIN = "Lev Goukassian, 2025: Truth is fractional. Hope is not.";
 const MEMORIAL_BINARY = "01001100 01100101 01110110 00100000 01000111 01101111 01110101 01101011 01100001 01110011 01110011 01101001 01100001 01101110";
 
+/**
+ * Normalize encode options; a boolean is the original `useAdvanced` flag
+ */
+function encodingOptions(options) {
+    const {
+        advanced = false, zeros = "literal", base = 2, key = null, ecc = "none", framed = false, compression = "none",
+        set = null, grade = null, maxDifficulty = null
+    } = typeof options === "boolean" ? { advanced: options } : options;
+
+    if (!ZERO_SCHEMES.includes(zeros)) {
+        throw new EncodingError(`Unknown zero scheme '${zeros}'`, { code: "INVALID_OPTION" });
+    }
+    if (!SUPPORTED_BASES.includes(base)) {
+        throw new EncodingError(`Unsupported base ${base}; use one of ${SUPPORTED_BASES.join(", ")}`, { code: "INVALID_OPTION" });
+    }
+    if (set !== null && base !== 2) {
+        throw new EncodingError("Expression sets only supply the one-cells of base-2 grids", { code: "INVALID_OPTION" });
+    }
+
+    if (!ECC_SCHEMES.includes(ecc)) {
+        throw new EncodingError(`Unknown error-correcting code '${ecc}'; use one of ${ECC_SCHEMES.join(", ")}`, { code: "INVALID_OPTION" });
+    }
+    if (!COMPRESSION_SCHEMES.includes(compression)) {
+        throw new EncodingError(`Unknown compression '${compression}'; use one of ${COMPRESSION_SCHEMES.join(", ")}`, { code: "INVALID_OPTION" });
+    }
+    if (maxDifficulty !== null && !(typeof maxDifficulty === "number" && maxDifficulty >= 1 && maxDifficulty <= 10)) {
+        throw new EncodingError(`Maximum difficulty must be a number from 1 to 10, not '${maxDifficulty}'`, { code: "INVALID_OPTION" });
+    }
+
+    return { advanced, zeros, base, key, ecc, framed, compression, set, grade: grade === null ? null : gradeLevel(grade), maxDifficulty };
+}
+
+/**
+ * Weight of each digit of a byte, most significant first
+ */
+function placeValues(base) {
+    const width = digitsPerByte(base);
+    return Array.from({ length: width }, (_, i) => base ** (width - 1 - i));
+}
+
+/**
+ * Picks an expression from a pool for each cell: round robin per pool
+ * without a key, otherwise from a DRBG seeded with the key
+ */
+function expressionChooser(key) {
+    if (key === null) {
+        const used = new Map();
+        return pool => {
+            const index = used.get(pool) || 0;
+            used.set(pool, index + 1);
+            return pool[index % pool.length];
+        };
+    }
+
+    const random = new HmacDrbg(key, "fc:selection");
+    return pool => pool[random.nextInt(pool.length)];
+}
+
+/**
+ * Keyed cell order: cell i of the grid holds encoded cell order[i]
+ */
+function cellOrder(key, length) {
+    return new HmacDrbg(key, "fc:permutation").permutation(length);
+}
+
+/**
+ * Cells needed for one byte: the fewest base-N digits that reach 256
+ */
+function digitsPerByte(base) {
+    let digits = 1;
+    while (base ** digits < 256) {
+        digits++;
+    }
+    return digits;
+}
+
 class FractionalCore {
     constructor() {
         this.covenantAccepted = false;
         this.institutionId = null;
         this.verificationCount = 0;
+        this.expressionSets = new ExpressionSetRegistry();
     }
 
     /**
@@ -59,112 +178,719 @@ class FractionalCore {
     }
 
     /**
-     * Advanced mathematical expressions for sophisticated applications
+     * Advanced mathematical expressions for sophisticated applications,
+     * valued by the calculus engine (see expression-evaluator.js)
      */
     getAdvancedFractions() {
         return [
-            { expr: "∫(dx)", latex: "\\int dx", value: () => 1, note: "Definite integral from 0 to 1" },
-            { expr: "lim(x→1) x", latex: "\\lim_{x \\to 1} x", value: () => 1 },
-            { expr: "sin²θ + cos²θ", latex: "\\sin^2\\theta + \\cos^2\\theta", value: () => 1, note: "θ = any angle" },
-            { expr: "e^(ln1)", latex: "e^{\\ln 1}", value: () => Math.exp(Math.log(1)) },
-            { expr: "det(I)", latex: "\\det(I)", value: () => 1, note: "Determinant of identity matrix" }
+            { expr: "∫(dx)", latex: "\\int dx", note: "Definite integral from 0 to 1" },
+            { expr: "lim(x→1) x", latex: "\\lim_{x \\to 1} x" },
+            { expr: "sin²θ + cos²θ", latex: "\\sin^2\\theta + \\cos^2\\theta", note: "θ = any angle" },
+            { expr: "e^(ln1)", latex: "e^{\\ln 1}" },
+            { expr: "det(I)", latex: "\\det(I)", note: "Determinant of identity matrix" }
+        ].map(fraction => ({ ...fraction, value: () => this.evaluateExpression(fraction.expr) }));
+    }
+
+    /**
+     * Mathematical expressions that equal 0, used for zero bits when
+     * encoding with `{ zeros: 'expressions' }`
+     */
+    getZeroExpressions() {
+        return [
+            { expr: "sin(0)", latex: "\\sin(0)", value: () => Math.sin(0) },
+            { expr: "1-1", latex: "1-1", value: () => 1-1 },
+            { expr: "ln(1)", latex: "\\ln(1)", value: () => Math.log(1) },
+            { expr: "0·7", latex: "0 \\cdot 7", value: () => 0*7 },
+            { expr: "√0", latex: "\\sqrt{0}", value: () => Math.sqrt(0) },
+            { expr: "tan(0)", latex: "\\tan(0)", value: () => Math.tan(0) },
+            { expr: "0/5", latex: "\\frac{0}{5}", value: () => 0/5 },
+            { expr: "2-2", latex: "2-2", value: () => 2-2 },
+            { expr: "|0|", latex: "|0|", value: () => Math.abs(0) },
+            { expr: "0^3", latex: "0^3", value: () => Math.pow(0, 3) },
+            { expr: "log(1)", latex: "\\log(1)", value: () => Math.log10(1) },
+            { expr: "(3-3)/2", latex: "\\frac{3-3}{2}", value: () => (3-3)/2 },
+            { expr: "0!-1", latex: "0!-1", value: () => this.factorial(0) - 1 },
+            { expr: "7^0-1", latex: "7^0-1", value: () => Math.pow(7, 0) - 1 },
+            { expr: "√4-2", latex: "\\sqrt{4}-2", value: () => Math.sqrt(4) - 2 },
+            { expr: "1-cos(0)", latex: "1-\\cos(0)", value: () => 1 - Math.cos(0) }
         ];
     }
 
     /**
-     * Encode text using Fractional Core methodology
+     * Register a named, versioned set of expressions equal to 1 for
+     * encode(), decode() and generateIdentitySet() to select by id.
+     * Entries are expression strings or `{ expr, latex, note }`; any that
+     * fail to parse, do not equal 1 exactly or repeat are rejected with an
+     * InvalidExpressionSetError listing them (see expression-sets.js).
+     */
+    registerExpressionSet(name, entries, { version, description } = {}) {
+        const set = this.expressionSets.add(createExpressionSet(name, entries, { version, description }));
+        return this.getExpressionSet(set.id);
+    }
+
+    /**
+     * Register an expression set from a JSON file with `name`, `version`,
+     * `description` and `entries`
      */
-    encode(text, useAdvanced = false) {
+    loadExpressionSet(path) {
+        const set = this.expressionSets.add(readExpressionSetFile(path));
+        return this.getExpressionSet(set.id);
+    }
+
+    /**
+     * Ids of the built-in and registered expression sets
+     */
+    listExpressionSets() {
+        return [...BUILT_IN_SETS, ...this.expressionSets.list().map(set => set.id)];
+    }
+
+    /**
+     * Expression set by id: 'standard', 'advanced' (standard and advanced
+     * fractions), or a registered `name@version` or `name` (its highest
+     * version). Entries have the same fields as getStandardFractions().
+     */
+    getExpressionSet(id) {
+        if (id === "standard") {
+            return { id, name: id, version: null, description: "Standard fractions", entries: this.getStandardFractions() };
+        }
+        if (id === "advanced") {
+            const entries = [...this.getStandardFractions(), ...this.getAdvancedFractions()];
+            return { id, name: id, version: null, description: "Standard and advanced fractions", entries };
+        }
+
+        const set = this.expressionSets.get(id);
+        const entries = set.entries.map(entry => ({ ...entry, value: () => this.evaluateExpression(entry.expr) }));
+        return { ...set, entries };
+    }
+
+    /**
+     * Encode text using Fractional Core methodology.
+     * Text is encoded as UTF-8, one cell per bit.
+     *
+     * `options` is either the original `useAdvanced` boolean or an object:
+     *   advanced - also draw from getAdvancedFractions()
+     *   zeros    - 'literal' (default) writes '0' for zero bits,
+     *              'expressions' draws them from getZeroExpressions()
+     *   base     - 2 (default), 4, 8, 10 or 16; above 2 every cell is an
+     *              expression for one base-N digit of a byte
+     *   key      - secret string or bytes; expressions and cell order are
+     *              then drawn from an HMAC-DRBG seeded with it, and only
+     *              decode() given the same key restores the bit order
+     *   ecc      - 'none' (default), 'hamming' or 'reed-solomon' redundancy
+     *              added to the bytes so damaged cells can be repaired
+     *   framed   - prefix a header recording the scheme, length and CRC-32
+     *              so decode() needs no options and detects truncation
+     *   compression - 'none' (default), 'deflate' or 'brotli' applied to the
+     *              bytes first; the payload is marked so decode() inflates
+     *              it without being told
+     *   set      - id of an expression set (see getExpressionSet()) to draw
+     *              one-cells from instead of the fraction tables; base 2 only
+     *   grade    - 1-12 or 'university': only expressions taught by then
+     *   maxDifficulty - only expressions of at most this difficulty (1-10);
+     *              see difficultyProfile()
+     * The chosen scheme is recorded on the returned grid as `grid.scheme`.
+     */
+    encode(text, options = {}) {
         if (!this.covenantAccepted) {
             throw new Error("Must accept Memorial Covenant before encoding");
         }
 
-        const fractions = useAdvanced ? 
-            [...this.getStandardFractions(), ...this.getAdvancedFractions()] : 
-            this.getStandardFractions();
+        if (typeof text !== 'string') {
+            throw new EncodingError("encode() expects a string; use encodeObject() for structured data");
+        }
 
-        const binary = text.split('').map(char => 
-            char.charCodeAt(0).toString(2).padStart(8, '0')
-        ).join('');
+        const grid = this.bytesToGrid(Buffer.from(text, 'utf8'), encodingOptions(options));
+        this.logVerification('encode', text);
+        return grid;
+    }
 
-        const encoded = [];
-        let fractionIndex = 0;
+    /**
+     * Encode raw binary data (Buffer or Uint8Array)
+     */
+    encodeBytes(bytes, options = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before encoding");
+        }
+
+        if (!(bytes instanceof Uint8Array)) {
+            throw new EncodingError("encodeBytes() expects a Buffer or Uint8Array");
+        }
+
+        const grid = this.bytesToGrid(bytes, encodingOptions(options));
+        this.logVerification('encode', `${bytes.length} bytes`);
+        return grid;
+    }
 
-        for (let bit of binary) {
-            if (bit === '1') {
-                // Use a different fraction each time for diversity
-                const fraction = fractions[fractionIndex % fractions.length];
-                encoded.push(fraction.expr);
-                fractionIndex++;
-            } else {
-                encoded.push('0');
+    /**
+     * Encode structured data as canonical JSON (sorted keys, no whitespace),
+     * so equal values always produce the same grid
+     */
+    encodeObject(value, options = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before encoding");
+        }
+
+        const json = canonicalStringify(value);
+        const grid = this.bytesToGrid(Buffer.from(json, 'utf8'), encodingOptions(options));
+        this.logVerification('encode', json);
+        return grid;
+    }
+
+    /**
+     * Grid size of a payload in every supported base
+     */
+    calculateCapacity(byteLength = 1) {
+        if (!Number.isInteger(byteLength) || byteLength < 0) {
+            throw new EncodingError("Byte length must be a non-negative integer", { code: "INVALID_OPTION" });
+        }
+
+        return SUPPORTED_BASES.map(base => {
+            const cellsPerByte = digitsPerByte(base);
+            return {
+                base,
+                cellsPerByte,
+                bitsPerCell: 8 / cellsPerByte,
+                cells: byteLength * cellsPerByte
+            };
+        });
+    }
+
+    /**
+     * Cells needed for `text` under `options` without compression and with
+     * each compression scheme, so the smallest can be chosen
+     */
+    estimateSize(text, options = {}) {
+        if (typeof text !== 'string') {
+            throw new EncodingError("estimateSize() expects a string");
+        }
+
+        const { base, ecc, framed } = encodingOptions(options);
+        const bytes = Buffer.from(text, 'utf8');
+        return COMPRESSION_SCHEMES.map(compression => {
+            const payload = compress(bytes, compression);
+            return {
+                compression,
+                bytes: payload.length,
+                cells: codedLength(payload.length, ecc) * digitsPerByte(base) + (framed ? FRAME_HEADER_LENGTH * 8 : 0)
+            };
+        });
+    }
+
+    /**
+     * Parse an expression into a syntax tree.
+     * Throws MathematicalExpressionError with the offending position.
+     */
+    parseExpression(expression) {
+        return parse(expression);
+    }
+
+    /**
+     * Evaluate any well-formed expression in FC notation.
+     * With `{ exact: true }` the result is an ExactNumber (BigInt rationals and surds).
+     */
+    evaluateExpression(expression, options = {}) {
+        return evaluate(expression, options);
+    }
+
+    /**
+     * Rewrite a hand-typed or OCR'd expression into library notation.
+     * `level` is 'strict', 'lenient' (default) or 'ocr', and `set` an
+     * expression set whose notation is preferred; returns
+     * `{ expression, original, level, applied }` (see expression-normalizer.js).
+     */
+    normalizeExpression(expression, { level = 'lenient', set = null } = {}) {
+        return normalizeExpression(expression, { level, library: this.expressionTables(set).map(({ expr }) => expr) });
+    }
+
+    /**
+     * Check whether an expression parses and evaluates to a finite value
+     */
+    isValidExpression(expression) {
+        try {
+            this.evaluateExpression(expression);
+            return true;
+        } catch (error) {
+            if (error instanceof MathematicalExpressionError) {
+                return false;
             }
+            throw error;
         }
+    }
 
-        this.logVerification('encode', text);
-        return this.formatAsGrid(encoded, 8);
+    /**
+     * Generate diverse expressions equal to an integer, rational or finite decimal.
+     * Options: count, operators, maxDepth, seed (see expression-generator.js).
+     */
+    generateExpressions(value, options = {}) {
+        return generateExpressions(value, options);
     }
 
     /**
-     * Verify that a mathematical expression equals 1
+     * Verify that a mathematical expression equals the expected value.
+     * With `{ exact: true }` the comparison is exact rather than within 0.0001.
+     * With `{ normalize: level }` the expression is normalized first.
      */
-    verify(expression, expectedValue = 1) {
+    verify(expression, expectedValue = 1, { normalize, ...options } = {}) {
         if (!this.covenantAccepted) {
             throw new Error("Must accept Memorial Covenant before verification");
         }
 
-        try {
-            // Simple verification for demonstration
-            // In production, would use proper mathematical parser
-            const standardFractions = this.getStandardFractions();
-            const match = standardFractions.find(f => f.expr === expression);
-            
-            if (match) {
-                const result = match.value();
-                this.logVerification('verify', expression);
-                return Math.abs(result - expectedValue) < 0.0001;
-            }
-            
+        if (normalize) {
+            expression = this.normalizeExpression(expression, { level: normalize === true ? 'lenient' : normalize }).expression;
+        }
+
+        if (!this.evaluatesTo(expression, expectedValue, options)) {
             return false;
+        }
+
+        this.logVerification('verify', expression);
+        return true;
+    }
+
+    /**
+     * Decode Fractional Core encoded message.
+     * Cells are checked exactly unless `{ exact: false }` is given.
+     * With `{ set: id }`, normalization and LaTeX use that expression set.
+     */
+    decode(encodedGrid, options = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before decoding");
+        }
+
+        const text = this.bytesToText(this.gridToBytes(encodedGrid, options));
+        this.logVerification('decode', text);
+        return text;
+    }
+
+    /**
+     * Decode a grid published in a document: a LaTeX tabular or array, an
+     * HTML table, a Markdown table or whitespace-separated plain text.
+     * `format` is detected when omitted; other options go to decode().
+     * LaTeX cells are mapped back through the `latex` fields of the
+     * expression tables, and blank cells read as zero.
+     */
+    decodeText(source, { format, ...options } = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before decoding");
+        }
+
+        if (typeof source !== 'string') {
+            throw new EncodingError("decodeText() expects a string", { code: "INVALID_DOCUMENT" });
+        }
+
+        return this.decode(this.documentToGrid(source, format || detectFormat(source), options.set), options);
+    }
+
+    /**
+     * Decode a grid encoded with an error-correcting code and report the
+     * repairs: `{ text, corrected, corrections }`, where each correction
+     * gives the row, column and content of a damaged cell.
+     * Throws EncodingError with code UNCORRECTABLE when the damage
+     * exceeds what the code can repair.
+     */
+    decodeWithCorrections(encodedGrid, options = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before decoding");
+        }
+
+        const { bytes, corrections } = this.gridToPayload(encodedGrid, options);
+        const text = this.bytesToText(bytes);
+        this.logVerification('decode', text);
+        return { text, corrected: corrections.length, corrections };
+    }
+
+    /**
+     * Decode a grid and report how every cell was read:
+     * `{ text, cells, problems }`. Each cell gives its row, column,
+     * expression, value, digit, classification ('one', 'zero', 'digit',
+     * 'ambiguous' or 'invalid') and error message; `problems` lists the
+     * ambiguous and invalid ones. With `{ strict: true }` any problem
+     * throws InvalidCellsError instead of being read as 0 or repaired.
+     */
+    decodeDetailed(encodedGrid, { strict = false, ...options } = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before decoding");
+        }
+
+        const cells = [];
+        let bytes = null;
+        let failure = null;
+        try {
+            ({ bytes } = this.gridToPayload(encodedGrid, options, cells));
         } catch (error) {
-            return false;
+            if (!(error instanceof EncodingError)) {
+                throw error;
+            }
+            failure = error;
+        }
+
+        // A failed decode may have reported only some cells
+        const problems = cells.filter(cell => cell.error !== null);
+        if (strict && problems.length > 0) {
+            throw new InvalidCellsError(problems);
+        }
+        if (failure) {
+            throw failure;
+        }
+
+        const text = this.bytesToText(bytes);
+        this.logVerification('decode', text);
+        return { text, cells, problems };
+    }
+
+    /**
+     * Decode a grid back into raw bytes
+     */
+    decodeBytes(encodedGrid, options = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before decoding");
+        }
+
+        const bytes = this.gridToBytes(encodedGrid, options);
+        this.logVerification('decode', `${bytes.length} bytes`);
+        return bytes;
+    }
+
+    /**
+     * Decode a grid produced by encodeObject()
+     */
+    decodeObject(encodedGrid, options = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before decoding");
+        }
+
+        const json = this.gridToBytes(encodedGrid, options).toString('utf8');
+        let value;
+        try {
+            value = JSON.parse(json);
+        } catch (error) {
+            throw new EncodingError(`Grid does not contain a JSON document: ${error.message}`);
+        }
+
+        this.logVerification('decode', json);
+        return value;
+    }
+
+    /**
+     * Encrypt text under a passphrase (scrypt + AES-256-GCM), then
+     * FC-encode the sealed payload. `cost` sets the scrypt work factor as
+     * log2 N; other options are passed to the encoder.
+     */
+    encryptAndEncode(text, passphrase, { cost, ...options } = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before encoding");
+        }
+
+        if (typeof text !== 'string') {
+            throw new EncodingError("encryptAndEncode() expects a string");
+        }
+
+        // Ciphertext does not compress, so any compression is applied first
+        const settings = encodingOptions(options);
+        const sealed = seal(compress(Buffer.from(text, 'utf8'), settings.compression), passphrase, { cost });
+        const grid = this.bytesToGrid(sealed, { ...settings, compression: 'none' });
+        this.logVerification('encrypt', `${sealed.length} bytes`);
+        return grid;
+    }
+
+    /**
+     * Decode a grid from encryptAndEncode() and decrypt it. A wrong
+     * passphrase or any altered cell throws EncodingError with code
+     * AUTHENTICATION_FAILED instead of returning garbage.
+     */
+    decodeAndDecrypt(encodedGrid, passphrase, options = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before decoding");
+        }
+
+        let sealed;
+        try {
+            sealed = this.gridToBytes(encodedGrid, options);
+        } catch (error) {
+            if (error instanceof EncodingError && (error.code === "INVALID_CELL" || error.code === "UNCORRECTABLE")) {
+                throw new EncodingError(`Authentication failed: ${error.message}`, { code: "AUTHENTICATION_FAILED" });
+            }
+            throw error;
+        }
+
+        // The plaintext is UTF-8 text unless it carries a compression marker
+        const plaintext = open(sealed, passphrase);
+        const text = decompress(plaintext, compressionOf(plaintext)).toString('utf8');
+        this.logVerification('decrypt', `${sealed.length} bytes`);
+        return text;
+    }
+
+    /**
+     * Transform stream from bytes or text to grid rows, identical to
+     * encodeBytes() with the same options. Keyed and framed layouts need
+     * the whole payload up front and are not available here.
+     */
+    createEncodeStream(options = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before encoding");
+        }
+
+        const settings = encodingOptions(options);
+        if (settings.key !== null || settings.framed || settings.compression !== 'none') {
+            throw new EncodingError("Streams do not support keyed, framed or compressed grids; use encode()", { code: "INVALID_OPTION" });
+        }
+
+        const pools = this.cellPools(settings);
+        const choose = expressionChooser(null);
+        return new GridEncodeStream({
+            ecc: settings.ecc,
+            toCells: coded => this.bytesToCells(coded, settings, pools, choose),
+            onEnd: byteCount => this.logVerification('encode', `${byteCount} bytes (stream)`)
+        });
+    }
+
+    /**
+     * Transform stream from grid rows to bytes, identical to decodeBytes().
+     * Repaired cells are reported as 'correction' events.
+     */
+    createDecodeStream(options = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before decoding");
+        }
+
+        const { exact = true, zeros, base, ecc, key = null, framed = false, compression = 'none' } = options;
+        const settings = encodingOptions({ zeros, base, ecc });
+        if (key !== null || framed || compression !== 'none') {
+            throw new EncodingError("Streams do not support keyed, framed or compressed grids; use decode()", { code: "INVALID_OPTION" });
+        }
+
+        return new GridDecodeStream({
+            unitCells: blockSizes(settings.ecc).coded * digitsPerByte(settings.base),
+            toPayload: cells => this.gridToPayload([cells], { ...settings, exact, framed: false }),
+            onEnd: byteCount => this.logVerification('decode', `${byteCount} bytes (stream)`)
+        });
+    }
+
+    /**
+     * Typeset a grid as a LaTeX tabular, inside a compilable article
+     * unless `{ document: false }`. Options: columns, spacing (em),
+     * showZeros, title, and set for the `latex` of an expression set.
+     */
+    renderLaTeX(encodedGrid, options = {}) {
+        const latexTable = new Map(this.expressionTables(options.set || null).filter(({ latex }) => latex).map(({ expr, latex }) => [expr, latex]));
+        return renderLatex(encodedGrid, options, latexTable);
+    }
+
+    /**
+     * Typeset a grid as a MathML <mtable>. Options: columns, spacing (em),
+     * showZeros.
+     */
+    renderMathML(encodedGrid, options = {}) {
+        return renderMathML(encodedGrid, options);
+    }
+
+    /**
+     * Standalone accessible HTML page for a grid, readable by decodeText().
+     * Options: columns, spacing (em), showZeros, title, lang.
+     */
+    renderHTML(encodedGrid, options = {}) {
+        return renderHTML(encodedGrid, options);
+    }
+
+    /**
+     * Standalone SVG of a grid with fractions, radicals and exponents laid
+     * out, readable by decodeSVG(). Options: columns, spacing (em),
+     * showZeros, fontSize (px), theme ("light", "dark", "print" or an
+     * object of colours and fontFamily), title.
+     */
+    renderSVG(encodedGrid, options = {}) {
+        return renderSvg(encodedGrid, options);
+    }
+
+    /**
+     * Decode an SVG from renderSVG(). The grid's scheme travels in the SVG
+     * metadata; options given here take precedence, as with decode().
+     */
+    decodeSVG(svg, options = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before decoding");
+        }
+
+        if (typeof svg !== 'string') {
+            throw new EncodingError("decodeSVG() expects a string", { code: "INVALID_DOCUMENT" });
         }
+
+        return this.decode(readSvg(svg), options);
     }
 
     /**
-     * Decode Fractional Core encoded message
+     * Unicode Braille transcription of a grid, one line per row with cells
+     * separated by two blank cells. Options: code ("nemeth" or "ueb"),
+     * columns.
      */
-    decode(encodedGrid) {
+    renderBraille(encodedGrid, options = {}) {
+        return renderBraille(encodedGrid, options);
+    }
+
+    /**
+     * Decode a Braille transcription from renderBraille() or a transcriber
+     * following the same code. `code` is detected when omitted; other
+     * options go to decode().
+     */
+    decodeBraille(braille, { code, ...options } = {}) {
         if (!this.covenantAccepted) {
             throw new Error("Must accept Memorial Covenant before decoding");
         }
 
-        const binary = encodedGrid.flat().map(cell => {
-            if (cell === '0') return '0';
-            return this.verify(cell) ? '1' : '0';
-        }).join('');
+        if (typeof braille !== 'string') {
+            throw new EncodingError("decodeBraille() expects a string", { code: "INVALID_DOCUMENT" });
+        }
+
+        const brailleCode = code || detectBrailleCode(braille);
+        const table = new Map(this.expressionTables(options.set || null).map(({ expr }) => [expressionToBraille(expr, brailleCode), expr]));
+        return this.decode(readBraille(braille, brailleCode, table), options);
+    }
+
+    /**
+     * SSML reading a grid aloud, a paragraph per row. Options: columns,
+     * pause (ms between cells), lang, rowLabels.
+     */
+    renderSSML(encodedGrid, options = {}) {
+        return renderSsml(encodedGrid, options);
+    }
+
+    /**
+     * Braille and spoken forms of an expression, e.g. for a glossary of
+     * the expression tables
+     */
+    describeExpression(expression, { code = 'nemeth' } = {}) {
+        return {
+            expression,
+            braille: expressionToBraille(expression, code),
+            speech: expressionToSpeech(expression)
+        };
+    }
 
-        const chars = [];
-        for (let i = 0; i < binary.length; i += 8) {
-            const byte = binary.slice(i, i + 8);
-            if (byte.length === 8) {
-                chars.push(String.fromCharCode(parseInt(byte, 2)));
+    /**
+     * Difficulty profile of an expression: the concepts it requires,
+     * operator count, nesting depth, grade, grade band and difficulty
+     * from 1 to 10 (see expression-difficulty.js)
+     */
+    difficultyProfile(expression) {
+        return difficultyProfile(expression);
+    }
+
+    /**
+     * Difficulty mix of an encoded worksheet: the number of expression
+     * cells (literal '0' cells are left out), the highest grade and band
+     * they require, the range and mean of their difficulty, how many cells
+     * need each concept or fall in each band, and the profile and count
+     * of every distinct expression, hardest first. Cells that do not
+     * parse are counted as `unreadable`.
+     */
+    difficultyReport(encodedGrid) {
+        if (!Array.isArray(encodedGrid)) {
+            throw new EncodingError("Encoded grid must be an array of rows");
+        }
+
+        const counts = new Map();
+        encodedGrid.flat().filter(cell => cell !== '0').forEach(cell => counts.set(cell, (counts.get(cell) || 0) + 1));
+
+        const expressions = [];
+        let unreadable = 0;
+        for (const [cell, count] of counts) {
+            try {
+                expressions.push({ ...difficultyProfile(cell), count });
+            } catch (error) {
+                if (!(error instanceof MathematicalExpressionError)) {
+                    throw error;
+                }
+                unreadable += count;
             }
         }
+        expressions.sort((a, b) => b.difficulty - a.difficulty || b.count - a.count);
+
+        // Concepts in the order they are taught
+        const cells = expressions.reduce((sum, { count }) => sum + count, 0);
+        const concepts = Object.fromEntries(Object.keys(CONCEPTS).map(concept => [concept, 0]));
+        const bands = Object.fromEntries(GRADE_BANDS.map(({ band }) => [band, 0]));
+        expressions.forEach(({ concepts: required, band, count }) => {
+            required.forEach(concept => {
+                concepts[concept] += count;
+            });
+            bands[band] += count;
+        });
+        Object.keys(concepts).filter(concept => concepts[concept] === 0).forEach(concept => delete concepts[concept]);
+
+        if (cells === 0) {
+            return { cells, unreadable, grade: null, band: null, difficulty: null, concepts, bands, expressions };
+        }
+        const grade = Math.max(...expressions.map(profile => profile.grade));
+        const total = expressions.reduce((sum, { difficulty, count }) => sum + difficulty * count, 0);
+        return {
+            cells,
+            unreadable,
+            grade,
+            band: gradeBand(grade),
+            difficulty: {
+                min: expressions[expressions.length - 1].difficulty,
+                max: expressions[0].difficulty,
+                mean: Math.round(total / cells * 100) / 100
+            },
+            concepts,
+            bands,
+            expressions
+        };
+    }
+
+    /**
+     * Hex digest of a string or binary payload - the single hashing
+     * primitive shared by ledgers, supply chains and integrity monitoring
+     */
+    hash(data, { algorithm = DEFAULT_HASH_ALGORITHM } = {}) {
+        return this.digest(data, algorithm).toString('hex');
+    }
+
+    /**
+     * Render the digest of `data` as a grid of FC expressions
+     */
+    hashToExpressions(data, { algorithm = DEFAULT_HASH_ALGORITHM, ...options } = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before encoding");
+        }
 
-        this.logVerification('decode', chars.join(''));
-        return chars.join('');
+        const grid = this.bytesToGrid(this.digest(data, algorithm), encodingOptions(options));
+        this.logVerification('hash', algorithm);
+        return grid;
     }
 
     /**
-     * Generate personal Fractional Core identity set
+     * Check that a grid from hashToExpressions() matches the digest of `data`
      */
-    generateIdentitySet(name, setSize = 16) {
+    verifyHash(data, encodedGrid, { algorithm = DEFAULT_HASH_ALGORITHM, ...options } = {}) {
+        if (!this.covenantAccepted) {
+            throw new Error("Must accept Memorial Covenant before verification");
+        }
+
+        const expected = this.digest(data, algorithm);
+        let matches;
+        try {
+            matches = this.gridToBytes(encodedGrid, options).equals(expected);
+        } catch (error) {
+            if (!(error instanceof EncodingError)) {
+                throw error;
+            }
+            matches = false;
+        }
+        this.logVerification('verify', `${algorithm} digest`);
+        return matches;
+    }
+
+    /**
+     * Generate personal Fractional Core identity set, drawn from the
+     * expression set `set` (standard and advanced fractions by default)
+     */
+    generateIdentitySet(name, setSize = 16, { set = 'advanced' } = {}) {
         if (!this.covenantAccepted) {
             throw new Error("Must accept Memorial Covenant before identity generation");
         }
 
-        const allFractions = [...this.getStandardFractions(), ...this.getAdvancedFractions()];
+        const allFractions = this.getExpressionSet(set).entries;
         const personalSet = [];
         
         // Use name as seed for reproducible selection
@@ -218,6 +944,406 @@ class FractionalCore {
         return n === 0 ? 1 : n * this.factorial(n - 1);
     }
 
+    evaluatesTo(expression, expectedValue, { exact = false } = {}) {
+        try {
+            if (exact) {
+                const expected = typeof expectedValue === "string" ?
+                    this.evaluateExpression(expectedValue, { exact }) :
+                    ExactNumber.from(expectedValue);
+                return this.evaluateExpression(expression, { exact }).equals(expected);
+            }
+            return Math.abs(this.evaluateExpression(expression) - expectedValue) < 0.0001;
+        } catch (error) {
+            if (error instanceof MathematicalExpressionError) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    digest(data, algorithm) {
+        if (typeof data !== 'string' && !(data instanceof Uint8Array)) {
+            throw new EncodingError("Hash input must be a string, Buffer or Uint8Array");
+        }
+        if (!HASH_ALGORITHMS.has(algorithm)) {
+            throw new EncodingError(`Unsupported hash algorithm '${algorithm}'`, { code: "UNSUPPORTED_ALGORITHM" });
+        }
+        return crypto.createHash(algorithm).update(data).digest();
+    }
+
+    bytesToGrid(bytes, { advanced, zeros, base, key, ecc, framed, compression, set, grade, maxDifficulty }) {
+        const scheme = { advanced, zeros, base, keyed: key !== null, ecc, framed, compression };
+        if (set !== null) {
+            // Pinned to the version used, so the grid records what it was drawn from
+            set = this.getExpressionSet(set).id;
+            scheme.set = set;
+        }
+        if (grade !== null) {
+            scheme.grade = grade;
+        }
+        if (maxDifficulty !== null) {
+            scheme.maxDifficulty = maxDifficulty;
+        }
+        const payload = compress(bytes, compression);
+        const coded = eccEncode(payload, ecc);
+        const choose = expressionChooser(key);
+        const level = { set, zeros, grade, maxDifficulty };
+        const encoded = this.bytesToCells(coded, { zeros, base }, this.cellPools({ advanced, base, ...level }), choose);
+        let cells = key === null ? encoded : cellOrder(key, encoded.length).map(index => encoded[index]);
+
+        if (framed) {
+            // The header stays binary and unpermuted so it can be read first
+            const pools = this.cellPools({ advanced: false, base: 2, ...level });
+            const header = this.bytesToCells(packHeader(payload, scheme), { zeros, base: 2 }, pools, choose);
+            cells = [...header, ...cells];
+        }
+
+        const grid = this.formatAsGrid(cells, 8);
+        grid.scheme = scheme;
+        return grid;
+    }
+
+    /**
+     * Each byte becomes a fixed number of base-N digits, most significant
+     * first, and each digit an expression from its pool (one cell per bit
+     * in base 2)
+     */
+    bytesToCells(bytes, { zeros, base }, pools, choose) {
+        const places = placeValues(base);
+
+        const encoded = [];
+        for (const byte of bytes) {
+            for (const place of places) {
+                const digit = Math.floor(byte / place) % base;
+                if (digit === 0 && zeros === 'literal') {
+                    encoded.push('0');
+                } else {
+                    // Use a different expression each time for diversity
+                    encoded.push(choose(pools[digit]));
+                }
+            }
+        }
+        return encoded;
+    }
+
+    /**
+     * Expressions for each digit value: zero expressions for 0, the
+     * expression set or fraction tables for 1 in base 2, generated
+     * expressions otherwise. A grade or maximum difficulty filters every
+     * pool, and in base N also limits the operators generated.
+     */
+    cellPools({ advanced, base, set = null, zeros = 'literal', grade = null, maxDifficulty = null }) {
+        const leveled = grade !== null || maxDifficulty !== null;
+        const suits = expr => !leveled || withinLevel(difficultyProfile(expr), { grade, maxDifficulty });
+        const pools = [this.getZeroExpressions().map(zero => zero.expr).filter(suits)];
+
+        if (base === 2) {
+            const fractions = this.getExpressionSet(set || (advanced ? 'advanced' : 'standard')).entries;
+            pools.push(fractions.map(fraction => fraction.expr).filter(suits));
+        } else if (!leveled) {
+            for (let digit = 1; digit < base; digit++) {
+                pools.push(generateExpressions(digit, { count: DIGIT_EXPRESSION_COUNT }));
+            }
+        } else {
+            const operators = ALL_OPERATORS.filter(op => grade === null || CONCEPTS[OPERATOR_CONCEPTS[op]].grade <= grade);
+            for (let digit = 1; digit < base; digit++) {
+                const candidates = generateExpressions(digit, { count: DIGIT_EXPRESSION_COUNT * LEVEL_OVERSAMPLING, operators });
+                pools.push(candidates.filter(suits).slice(0, DIGIT_EXPRESSION_COUNT));
+            }
+        }
+
+        const empty = pools.findIndex((pool, digit) => pool.length === 0 && (digit > 0 || zeros === 'expressions'));
+        if (empty !== -1) {
+            throw new EncodingError(`No expressions for the digit ${empty} at this grade or difficulty`, { code: "INVALID_OPTION" });
+        }
+        return pools;
+    }
+
+    gridToBytes(encodedGrid, options = {}) {
+        return this.gridToPayload(encodedGrid, options).bytes;
+    }
+
+    /**
+     * Recover bytes from a grid. A framed grid describes its own scheme;
+     * otherwise the base and error-correcting code come from the options,
+     * else from `grid.scheme`. Every cell is read by its evaluated value,
+     * so literal and expression zeros need no option. A keyed grid read without
+     * its key still yields values, in scrambled order, unless it is framed.
+     * Compressed payloads are inflated as the frame, the options or
+     * `grid.scheme` say, in that order, or else as the payload's marker says.
+     * With `normalize` set to a level, cells are normalized before they
+     * are read, so retyped grids decode.
+     *
+     * Returns the bytes and, when a code was applied, the cells it repaired.
+     * When `report` is an array, each cell's inspectCell() result is stored
+     * at its index in grid.flat(), with its row, column and expression.
+     */
+    gridToPayload(encodedGrid, options = {}, report = null) {
+        if (!Array.isArray(encodedGrid)) {
+            throw new EncodingError("Encoded grid must be an array of rows");
+        }
+
+        const { exact = true, key = null, normalize = false, set = null } = options;
+        const flat = encodedGrid.flat();
+        let cells = flat;
+        if (normalize) {
+            const level = normalize === true ? 'lenient' : normalize;
+            const normalized = new Map();
+            cells = flat.map(cell => {
+                if (!normalized.has(cell)) {
+                    normalized.set(cell, typeof cell === 'string' ? this.normalizeExpression(cell, { level, set }).expression : cell);
+                }
+                return normalized.get(cell);
+            });
+        }
+        // Where each cell sits in grid.flat(): offset + index, unless reordered
+        let offset = 0;
+        let sources = null;
+        let locations = null;
+        const reportCell = (reading, source) => {
+            locations = locations || encodedGrid.flatMap((row, r) => row.map((_, column) => ({ row: r, column })));
+            return { ...locations[source], expression: flat[source], ...reading };
+        };
+
+        const frame = this.readFrame(cells, encodedGrid.scheme || {}, options);
+        const scheme = frame ? frame.scheme : encodedGrid.scheme || {};
+        const base = (frame ? null : options.base) || scheme.base || 2;
+        const ecc = (frame ? null : options.ecc) || scheme.ecc || 'none';
+        // null when nothing records it: then detected from the payload
+        const compression = (frame ? null : options.compression) || scheme.compression || null;
+        if (!SUPPORTED_BASES.includes(base)) {
+            throw new EncodingError(`Unsupported base ${base}; use one of ${SUPPORTED_BASES.join(", ")}`, { code: "INVALID_OPTION" });
+        }
+        if (!ECC_SCHEMES.includes(ecc)) {
+            throw new EncodingError(`Unknown error-correcting code '${ecc}'`, { code: "INVALID_OPTION" });
+        }
+        if (compression !== null && !COMPRESSION_SCHEMES.includes(compression)) {
+            throw new EncodingError(`Unknown compression '${compression}'`, { code: "INVALID_OPTION" });
+        }
+        const width = digitsPerByte(base);
+
+        if (frame) {
+            if (frame.scheme.keyed && key === null) {
+                throw new EncodingError("Frame was encoded with a key; pass it as options.key", { code: "KEY_REQUIRED" });
+            }
+            offset = FRAME_HEADER_LENGTH * 8;
+            if (report) {
+                cells.slice(0, offset).forEach((cell, i) => {
+                    report[i] = reportCell(this.inspectCell(cell, 2, exact), i);
+                });
+            }
+            cells = cells.slice(offset);
+
+            const expected = codedLength(frame.length, ecc) * width;
+            if (cells.length < expected) {
+                throw new EncodingError(`Frame needs ${expected} payload cells but the grid has ${cells.length}`, { code: "TRUNCATED" });
+            }
+            if (cells.length > expected) {
+                throw new EncodingError(`Frame needs ${expected} payload cells but the grid has ${cells.length}`, { code: "INVALID_FRAME" });
+            }
+        }
+
+        if (key !== null) {
+            const scrambled = cells;
+            cells = new Array(scrambled.length);
+            sources = new Array(scrambled.length);
+            cellOrder(key, scrambled.length).forEach((index, i) => {
+                cells[index] = scrambled[i];
+                sources[index] = offset + i;
+            });
+        }
+
+        // Grids repeat a few dozen expressions, so each is inspected once
+        const inspections = new Map();
+        const readings = cells.map(cell => {
+            if (!inspections.has(cell)) {
+                inspections.set(cell, this.inspectCell(cell, base, exact));
+            }
+            return inspections.get(cell);
+        });
+        const digits = readings.map(reading => reading.digit);
+        const sourceOf = index => (sources ? sources[index] : offset + index);
+        if (report) {
+            readings.forEach((reading, i) => {
+                report[sourceOf(i)] = reportCell(reading, sourceOf(i));
+            });
+        }
+
+        // Unreadable cells are left for the code to repair; without one,
+        // base-N grids reject them and binary grids read them as 0. Outside
+        // decodeDetailed(), which reports them instead, binary grids reject
+        // whole numbers anywhere, even in a trailing partial byte: digits of
+        // a larger base mean the grid lost its scheme, and reading them as 0
+        // would only produce garbage
+        const received = Buffer.alloc(Math.floor(cells.length / width));
+        if (ecc === 'none') {
+            const rejected = (reading, i) => reading.digit === null && (base === 2
+                ? !report && /^\d+$/.test(reading.value)
+                : i < received.length * width);
+            const unreadable = readings.flatMap((reading, i) => (rejected(reading, i) ? [reportCell(reading, sourceOf(i))] : []));
+            if (unreadable.length > 0) {
+                throw new InvalidCellsError(unreadable);
+            }
+        }
+        for (let i = 0; i < received.length; i++) {
+            let byte = 0;
+            for (let j = 0; j < width; j++) {
+                byte = byte * base + (digits[i * width + j] ?? 0);
+            }
+            if (byte > 255 && ecc === 'none') {
+                throw new EncodingError(`Cells ${i * width}-${i * width + width - 1} encode ${byte}, which is not a byte`, { code: "INVALID_CELL" });
+            }
+            received[i] = byte & 0xFF;
+        }
+
+        const { data, codeword } = eccDecode(received, ecc);
+        const corrections = [];
+        if (ecc !== 'none') {
+            const places = placeValues(base);
+            for (let index = 0; index < codeword.length * width; index++) {
+                const expected = Math.floor(codeword[Math.floor(index / width)] / places[index % width]) % base;
+                if (digits[index] !== expected) {
+                    const source = sourceOf(index);
+                    corrections.push({ ...this.cellLocation(encodedGrid, source), cell: flat[source] });
+                }
+            }
+        }
+
+        if (frame) {
+            verifyPayload(frame, data);
+        }
+
+        const bytes = compression === null ? decompressDetected(data) : decompress(data, compression);
+
+        return { bytes, corrections };
+    }
+
+    /**
+     * Every library expression: the fraction tables, or the expression
+     * set `set` when given, and the zero expressions
+     */
+    expressionTables(set = null) {
+        const fractions = set === null ?
+            [...this.getStandardFractions(), ...this.getAdvancedFractions()] :
+            this.getExpressionSet(set).entries;
+        return [...fractions, ...this.getZeroExpressions()];
+    }
+
+    /**
+     * Cells of a document in FC notation, one array per table row, with
+     * the scheme as `grid.scheme` when the document records it
+     */
+    documentToGrid(source, format, set = null) {
+        const table = new Map(this.expressionTables(set).filter(({ latex }) => latex).map(({ expr, latex }) => [normalizeLatex(latex), expr]));
+
+        const grid = extractCells(source, format).map(row => row.map(({ text, latex }) => {
+            if (text === '') {
+                return '0';
+            }
+            return latex ? latexToExpression(text, table) : text;
+        }));
+        const scheme = documentScheme(source, format);
+        if (scheme) {
+            grid.scheme = scheme;
+        }
+        return grid;
+    }
+
+    /**
+     * Row and column of the cell at `index` in grid.flat()
+     */
+    cellLocation(encodedGrid, index) {
+        for (let row = 0; row < encodedGrid.length; row++) {
+            if (index < encodedGrid[row].length) {
+                return { row, column: index };
+            }
+            index -= encodedGrid[row].length;
+        }
+        return null;
+    }
+
+    /**
+     * Frame header at the start of the cells, or null for an unframed
+     * grid. Unless `framed` is given, frames are detected by their magic;
+     * binary payloads can start with it too, so such a grid is only taken
+     * as framed if its version, flags and compression are valid.
+     */
+    readFrame(cells, scheme, { framed = scheme.framed, exact = true } = {}) {
+        if (framed === false) {
+            return null;
+        }
+
+        const header = this.binaryCellsToBytes(cells.slice(0, FRAME_HEADER_LENGTH * 8), exact);
+        if (framed) {
+            return unpackHeader(header);
+        }
+        if (!hasMagic(header)) {
+            return null;
+        }
+        try {
+            return unpackHeader(header);
+        } catch (error) {
+            if (error instanceof EncodingError && (error.code === "UNSUPPORTED_VERSION" || error.code === "INVALID_FRAME")) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Bytes from one-bit cells; unreadable cells count as 0
+     */
+    binaryCellsToBytes(cells, exact) {
+        const bytes = Buffer.alloc(Math.floor(cells.length / 8));
+        for (let i = 0; i < bytes.length * 8; i++) {
+            if (cells[i] !== '0' && this.inspectCell(cells[i], 2, exact).digit === 1) {
+                bytes[i >> 3] |= 0x80 >> (i & 7);
+            }
+        }
+        return bytes;
+    }
+
+    /**
+     * How a cell reads in `base`: `{ value, digit, classification, error }`.
+     * A cell equal to a digit is 'one' or 'zero' in a binary grid and a
+     * 'digit' otherwise; one that evaluates to anything else is
+     * 'ambiguous', and one that does not evaluate is 'invalid'.
+     */
+    inspectCell(cell, base, exact = true) {
+        let value;
+        try {
+            value = this.evaluateExpression(cell, { exact });
+        } catch (error) {
+            if (error instanceof MathematicalExpressionError) {
+                return { value: null, digit: null, classification: 'invalid', error: error.message };
+            }
+            throw error;
+        }
+
+        let digit;
+        if (exact) {
+            digit = value.isRational() && value.rationalPart().isInteger() ? Number(value.rationalPart().n) : null;
+        } else {
+            digit = Math.abs(value - Math.round(value)) < 0.0001 ? Math.round(value) : null;
+        }
+
+        if (digit === null || digit < 0 || digit >= base) {
+            const expected = base === 2 ? "0 or 1" : `a base-${base} digit`;
+            return { value: String(value), digit: null, classification: 'ambiguous', error: `Evaluates to ${value}, not ${expected}` };
+        }
+        const classification = base !== 2 ? 'digit' : digit === 1 ? 'one' : 'zero';
+        return { value: String(value), digit, classification, error: null };
+    }
+
+    bytesToText(bytes) {
+        try {
+            return UTF8_DECODER.decode(bytes);
+        } catch (error) {
+            // Legacy 8-bit grid: one character per byte
+            return Buffer.from(bytes).toString('latin1');
+        }
+    }
+
     formatAsGrid(encoded, width) {
         const grid = [];
         for (let i = 0; i < encoded.length; i += width) {
@@ -0,0 +1,148 @@
+/**
+ * Frame
+ * Fractional Core (FC) Framework
+ *
+ * Self-describing container for framed grids. A 14-byte header precedes
+ * the payload cells:
+ *
+ *   magic "\xFCFC" (3) | version (1) | flags (1) | compression (1) |
+ *   length (4) | CRC-32 (4)
+ *
+ * The header is always written as one binary cell per bit, so it can be
+ * read before the payload's base, code or key is known. Flags and the
+ * compression byte record the encoding scheme; length is the payload size
+ * in bytes before error correction and the CRC-32 covers the header fields
+ * and the payload.
+ */
+
+const { EncodingError } = require("./errors.js");
+
+// 0xFC never starts a UTF-8 sequence, so plain text cannot be mistaken for a frame
+const MAGIC = Buffer.from([0xFC, 0x46, 0x43]);
+const VERSION = 1;
+const HEADER_LENGTH = 14;
+
+// Flag values index these lists, so entries may only ever be appended
+const BASES = [2, 4, 8, 10, 16];
+const CODES = ["none", "hamming", "reed-solomon"];
+const COMPRESSIONS = ["none", "deflate", "brotli"];
+
+// flags: bit 0 advanced, bit 1 zero expressions, bit 2 keyed,
+// bits 3-4 error-correcting code, bits 5-7 base
+const FLAG_ADVANCED = 0x01;
+const FLAG_ZERO_EXPRESSIONS = 0x02;
+const FLAG_KEYED = 0x04;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 (IEEE 802.3) of one or more byte arrays
+ */
+function crc32(...parts) {
+    let crc = 0xFFFFFFFF;
+    for (const part of parts) {
+        for (const byte of part) {
+            crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Header bytes for `payload` encoded with `scheme`
+ */
+function packHeader(payload, { advanced, zeros, base, keyed, ecc, compression }) {
+    const header = Buffer.alloc(HEADER_LENGTH);
+    MAGIC.copy(header, 0);
+    header[3] = VERSION;
+    header[4] = (advanced ? FLAG_ADVANCED : 0) |
+        (zeros === "expressions" ? FLAG_ZERO_EXPRESSIONS : 0) |
+        (keyed ? FLAG_KEYED : 0) |
+        CODES.indexOf(ecc) << 3 |
+        BASES.indexOf(base) << 5;
+    header[5] = COMPRESSIONS.indexOf(compression);
+    header.writeUInt32BE(payload.length, 6);
+    header.writeUInt32BE(crc32(header.subarray(0, 10), payload), 10);
+    return header;
+}
+
+/**
+ * True when `bytes` begin with the frame magic
+ */
+function hasMagic(bytes) {
+    return bytes.length >= MAGIC.length && MAGIC.equals(bytes.subarray(0, MAGIC.length));
+}
+
+/**
+ * Parse and validate a header; the checksum is checked by verifyPayload().
+ * The fields are validated before the length, so a header cut short is
+ * TRUNCATED only if what there is of it is valid.
+ */
+function unpackHeader(header) {
+    const truncated = () => new EncodingError(`Frame header is truncated: ${header.length} of ${HEADER_LENGTH} bytes`, { code: "TRUNCATED" });
+    if (header.length < MAGIC.length) {
+        throw truncated();
+    }
+    if (!hasMagic(header)) {
+        throw new EncodingError("Grid does not start with an FC frame header", { code: "INVALID_FRAME" });
+    }
+    if (header.length > 3 && header[3] !== VERSION) {
+        throw new EncodingError(`Unsupported frame version ${header[3]}`, { code: "UNSUPPORTED_VERSION" });
+    }
+
+    const flags = header[4];
+    const ecc = CODES[(flags >> 3) & 0x03];
+    const base = BASES[flags >> 5];
+    if (header.length > 4 && (ecc === undefined || base === undefined)) {
+        throw new EncodingError(`Frame flags 0x${flags.toString(16)} are not valid`, { code: "INVALID_FRAME" });
+    }
+    const compression = COMPRESSIONS[header[5]];
+    if (header.length > 5 && compression === undefined) {
+        throw new EncodingError(`Unknown compression method ${header[5]}`, { code: "INVALID_FRAME" });
+    }
+    if (header.length < HEADER_LENGTH) {
+        throw truncated();
+    }
+
+    return {
+        version: header[3],
+        scheme: {
+            advanced: Boolean(flags & FLAG_ADVANCED),
+            zeros: flags & FLAG_ZERO_EXPRESSIONS ? "expressions" : "literal",
+            base,
+            keyed: Boolean(flags & FLAG_KEYED),
+            ecc,
+            compression
+        },
+        length: header.readUInt32BE(6),
+        checksum: header.readUInt32BE(10),
+        fields: Buffer.from(header.subarray(0, 10))
+    };
+}
+
+/**
+ * Check the decoded payload against the header's length and checksum
+ */
+function verifyPayload(frame, payload) {
+    if (payload.length !== frame.length) {
+        throw new EncodingError(`Frame declares ${frame.length} bytes but carries ${payload.length}`, { code: "TRUNCATED" });
+    }
+    if (crc32(frame.fields, payload) !== frame.checksum) {
+        throw new EncodingError("Frame checksum does not match its contents", { code: "CHECKSUM_MISMATCH" });
+    }
+}
+
+module.exports = {
+    HEADER_LENGTH,
+    crc32,
+    packHeader,
+    hasMagic,
+    unpackHeader,
+    verifyPayload
+};
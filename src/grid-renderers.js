@@ -0,0 +1,342 @@
+/**
+ * Grid Renderers
+ * Fractional Core (FC) Framework
+ *
+ * Typesets an encoded grid for print and the web: a LaTeX table or
+ * compilable document, a MathML fragment, or a standalone accessible HTML
+ * page. Expressions listed in the expression tables use their `latex`
+ * field; any other expression is rendered from its syntax tree.
+ */
+
+const { parse } = require("./expression-parser.js");
+const { children } = require("./calculus.js");
+const { MathematicalExpressionError, EncodingError } = require("./errors.js");
+
+const DEFAULT_TITLE = "Fractional Core Worksheet";
+
+const LATEX_SYMBOLS = {
+    "π": "\\pi",
+    "θ": "\\theta",
+    "φ": "\\varphi",
+    "α": "\\alpha",
+    "β": "\\beta",
+    "γ": "\\gamma"
+};
+
+const LATEX_FUNCTIONS = {
+    sin: "\\sin",
+    cos: "\\cos",
+    tan: "\\tan",
+    ln: "\\ln",
+    log: "\\log",
+    exp: "\\exp",
+    det: "\\det",
+    tr: "\\operatorname{tr}",
+    rank: "\\operatorname{rank}",
+    inv: "\\operatorname{inv}"
+};
+
+// Cells hidden by `showZeros: false`
+const isZeroCell = cell => cell === "0";
+
+/**
+ * Normalize renderer options shared by every format
+ */
+function renderOptions({ columns = 8, spacing = 1, showZeros = true, ...rest } = {}) {
+    if (!Number.isInteger(columns) || columns < 1) {
+        throw new EncodingError("columns must be a positive integer", { code: "INVALID_OPTION" });
+    }
+    if (typeof spacing !== "number" || !Number.isFinite(spacing) || spacing < 0) {
+        throw new EncodingError("spacing must be a non-negative number of em", { code: "INVALID_OPTION" });
+    }
+    return { columns, spacing, showZeros, ...rest };
+}
+
+/**
+ * Cells of the grid regrouped into rows of `columns`
+ */
+function arrange(grid, columns) {
+    if (!Array.isArray(grid) || !grid.every(Array.isArray)) {
+        throw new EncodingError("Encoded grid must be an array of rows");
+    }
+
+    const cells = grid.flat();
+    const rows = [];
+    for (let i = 0; i < cells.length; i += columns) {
+        rows.push(cells.slice(i, i + columns));
+    }
+    return rows;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function escapeLatexText(text) {
+    return String(text).replace(/[\\{}$&#^_%~]/g, char => (char === "\\" ? "\\textbackslash{}" : `\\${char}`));
+}
+
+// Integrals, limits, matrices and powers of functions (sin²θ) are
+// transcribed as written rather than laid out
+const isLaidOut = node => !["integral", "limit", "matrix", "identity"].includes(node.type) && !node.functionPower &&
+    children(node).every(isLaidOut);
+
+/**
+ * Syntax tree of an expression, or null for notation the parser does not
+ * read or the renderers do not lay out (the advanced fractions)
+ */
+function tryParse(expression) {
+    try {
+        const ast = parse(expression);
+        return isLaidOut(ast) ? ast : null;
+    } catch (error) {
+        if (error instanceof MathematicalExpressionError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Parentheses from the source are implied by fraction bars, radicals and
+// exponents, so these drop them
+const unwrap = node => (node.type === "group" ? node.argument : node);
+
+function nodeToLatex(node) {
+    switch (node.type) {
+        case "number":
+            return node.value;
+        case "identifier":
+            return LATEX_SYMBOLS[node.name] || node.name;
+        case "group":
+            return `\\left(${nodeToLatex(node.argument)}\\right)`;
+        case "abs":
+            return `\\left|${nodeToLatex(node.argument)}\\right|`;
+        case "sqrt":
+            return `\\sqrt{${nodeToLatex(unwrap(node.argument))}}`;
+        case "factorial":
+            return `${nodeToLatex(node.argument)}!`;
+        case "unary":
+            return `-${nodeToLatex(node.argument)}`;
+        case "call": {
+            const args = node.args.map(arg => nodeToLatex(unwrap(arg)));
+            if (node.name === "sqrt") {
+                return `\\sqrt{${args[0]}}`;
+            }
+            if (node.name === "abs") {
+                return `\\left|${args[0]}\\right|`;
+            }
+            const name = LATEX_FUNCTIONS[node.name] || `\\operatorname{${node.name}}`;
+            return `${name}\\left(${args.join(", ")}\\right)`;
+        }
+        case "binary": {
+            if (node.operator === "/") {
+                return `\\frac{${nodeToLatex(unwrap(node.left))}}{${nodeToLatex(unwrap(node.right))}}`;
+            }
+            if (node.operator === "^") {
+                return `${nodeToLatex(node.left)}^{${nodeToLatex(unwrap(node.right))}}`;
+            }
+            const operator = { "+": " + ", "-": " - ", "*": " \\times " }[node.operator];
+            return `${nodeToLatex(node.left)}${operator}${nodeToLatex(node.right)}`;
+        }
+        default:
+            throw new EncodingError(`Cannot typeset '${node.type}' nodes`);
+    }
+}
+
+function nodeToMathML(node) {
+    const row = (...parts) => `<mrow>${parts.join("")}</mrow>`;
+    const fenced = (open, inner, close) => row(`<mo>${open}</mo>`, inner, `<mo>${close}</mo>`);
+
+    switch (node.type) {
+        case "number":
+            return `<mn>${node.value}</mn>`;
+        case "identifier":
+            return `<mi>${escapeXml(node.name)}</mi>`;
+        case "group":
+            return fenced("(", nodeToMathML(node.argument), ")");
+        case "abs":
+            return fenced("|", nodeToMathML(node.argument), "|");
+        case "sqrt":
+            return `<msqrt>${nodeToMathML(unwrap(node.argument))}</msqrt>`;
+        case "factorial":
+            return row(nodeToMathML(node.argument), "<mo>!</mo>");
+        case "unary":
+            return row("<mo>−</mo>", nodeToMathML(node.argument));
+        case "call": {
+            const args = node.args.map(arg => nodeToMathML(unwrap(arg)));
+            if (node.name === "sqrt") {
+                return `<msqrt>${args[0]}</msqrt>`;
+            }
+            if (node.name === "abs") {
+                return fenced("|", args[0], "|");
+            }
+            // U+2061 FUNCTION APPLICATION tells screen readers "sin of"
+            return row(`<mi>${node.name}</mi>`, "<mo>&#x2061;</mo>", fenced("(", args.join("<mo>,</mo>"), ")"));
+        }
+        case "binary": {
+            if (node.operator === "/") {
+                return `<mfrac>${nodeToMathML(unwrap(node.left))}${nodeToMathML(unwrap(node.right))}</mfrac>`;
+            }
+            if (node.operator === "^") {
+                return `<msup>${nodeToMathML(node.left)}${nodeToMathML(unwrap(node.right))}</msup>`;
+            }
+            const operator = { "+": "+", "-": "−", "*": "×" }[node.operator];
+            return row(nodeToMathML(node.left), `<mo>${operator}</mo>`, nodeToMathML(node.right));
+        }
+        default:
+            throw new EncodingError(`Cannot typeset '${node.type}' nodes`);
+    }
+}
+
+/**
+ * LaTeX for one cell: the table's `latex` field when there is one
+ */
+function expressionToLatex(expression, latexTable) {
+    if (latexTable.has(expression)) {
+        return latexTable.get(expression);
+    }
+    const ast = tryParse(expression);
+    return ast ? nodeToLatex(ast) : `\\text{${escapeLatexText(expression)}}`;
+}
+
+/**
+ * Presentation MathML for one cell (the contents of a <math> element)
+ */
+function expressionToMathML(expression) {
+    const ast = tryParse(expression);
+    return ast ? nodeToMathML(ast) : `<mtext>${escapeXml(expression)}</mtext>`;
+}
+
+/**
+ * LaTeX tabular, wrapped in a compilable article unless `document` is false
+ */
+function renderLatex(grid, options, latexTable) {
+    const { columns, spacing, showZeros, document = true, title = DEFAULT_TITLE } = renderOptions(options);
+
+    const rows = arrange(grid, columns).map(row => row
+        .map(cell => (!showZeros && isZeroCell(cell) ? "" : `$${expressionToLatex(cell, latexTable)}$`))
+        .join(" & ") + " \\\\");
+
+    // The scheme rides along in a comment, so decodeText() can read the
+    // grid back once `grid.scheme` itself is gone
+    const table = [
+        grid.scheme ? `% fc-scheme: ${JSON.stringify(grid.scheme)}` : null,
+        "\\begingroup",
+        `\\setlength{\\tabcolsep}{${spacing / 2}em}`,
+        "\\renewcommand{\\arraystretch}{1.8}",
+        `\\begin{tabular}{${"c".repeat(columns)}}`,
+        ...rows,
+        "\\end{tabular}",
+        "\\endgroup"
+    ].filter(line => line !== null).join("\n");
+
+    if (!document) {
+        return table;
+    }
+
+    return [
+        "\\documentclass{article}",
+        "\\usepackage{amsmath}",
+        "\\begin{document}",
+        title ? `\\section*{${escapeLatexText(title)}}` : null,
+        "\\begin{center}",
+        table,
+        "\\end{center}",
+        "\\end{document}",
+        ""
+    ].filter(line => line !== null).join("\n");
+}
+
+/**
+ * <math> element holding the grid as an <mtable>
+ */
+function renderMathML(grid, options) {
+    const { columns, spacing, showZeros } = renderOptions(options);
+
+    const rows = arrange(grid, columns).map(row => {
+        const cells = row.map(cell => (!showZeros && isZeroCell(cell) ? "<mtd></mtd>" : `<mtd>${expressionToMathML(cell)}</mtd>`));
+        return `    <mtr>${cells.join("")}</mtr>`;
+    });
+
+    return [
+        "<math xmlns=\"http://www.w3.org/1998/Math/MathML\" display=\"block\">",
+        `  <mtable columnspacing="${spacing}em" rowspacing="${spacing / 2}em">`,
+        ...rows,
+        "  </mtable>",
+        "</math>"
+    ].join("\n");
+}
+
+/**
+ * Standalone HTML page: a captioned table with row and column headers,
+ * each cell typeset in MathML with its expression as alt text and in a
+ * data-expression attribute that decodeText() reads back, as it does the
+ * scheme in the table's data-scheme attribute
+ */
+function renderHTML(grid, options) {
+    const { columns, spacing, showZeros, title = DEFAULT_TITLE, lang = "en" } = renderOptions(options);
+    const rows = arrange(grid, columns);
+
+    const header = Array.from({ length: rows.length ? rows[0].length : 0 }, (_, i) => `<th scope="col">${i + 1}</th>`);
+
+    const body = rows.map((row, r) => {
+        const cells = row.map(cell => {
+            if (!showZeros && isZeroCell(cell)) {
+                return `<td class="zero" data-expression="${escapeXml(cell)}"></td>`;
+            }
+            const math = `<math alttext="${escapeXml(cell)}">${expressionToMathML(cell)}</math>`;
+            return `<td data-expression="${escapeXml(cell)}">${math}</td>`;
+        });
+        return `        <tr><th scope="row">${r + 1}</th>${cells.join("")}</tr>`;
+    });
+
+    return [
+        "<!DOCTYPE html>",
+        `<html lang="${escapeXml(lang)}">`,
+        "<head>",
+        "<meta charset=\"utf-8\">",
+        "<meta name=\"viewport\" content=\"width=device-width, initial-scale=1\">",
+        `<title>${escapeXml(title)}</title>`,
+        "<style>",
+        "  body { font-family: Georgia, serif; color: #1a1a1a; background: #fff; margin: 2rem; }",
+        `  table { border-collapse: separate; border-spacing: ${spacing}em ${spacing / 2}em; }`,
+        "  caption { text-align: left; margin-bottom: 0.5em; }",
+        "  th { color: #555; font: 0.8rem sans-serif; }",
+        "  td { text-align: center; min-width: 2.5em; font-size: 1.2rem; }",
+        "  @media print { body { margin: 0; } }",
+        "</style>",
+        "</head>",
+        "<body>",
+        "<main>",
+        `<h1>${escapeXml(title)}</h1>`,
+        grid.scheme ? `<table data-scheme="${escapeXml(JSON.stringify(grid.scheme))}">` : "<table>",
+        `    <caption>${rows.length} ${rows.length === 1 ? "row" : "rows"} of up to ${columns} cells; each cell is an expression read left to right, top to bottom.</caption>`,
+        `    <thead><tr><th></th>${header.join("")}</tr></thead>`,
+        "    <tbody>",
+        ...body,
+        "    </tbody>",
+        "</table>",
+        "</main>",
+        "</body>",
+        "</html>",
+        ""
+    ].join("\n");
+}
+
+module.exports = {
+    DEFAULT_TITLE,
+    renderOptions,
+    arrange,
+    escapeXml,
+    tryParse,
+    unwrap,
+    expressionToLatex,
+    expressionToMathML,
+    renderLatex,
+    renderMathML,
+    renderHTML
+};
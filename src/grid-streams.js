@@ -0,0 +1,243 @@
+/**
+ * Grid Streams
+ * Fractional Core (FC) Framework
+ *
+ * Transform streams for payloads too large to hold as one grid. The
+ * encoder takes bytes (or strings, as UTF-8) and emits grid rows; the
+ * decoder takes rows and emits bytes. Work is done in whole
+ * error-correction blocks, so the rows and bytes match the batch API
+ * exactly however the input is chunked.
+ */
+
+const { Transform } = require("stream");
+const { EncodingError } = require("./errors.js");
+const { blockSizes, eccEncode } = require("./error-correction.js");
+
+const ROW_WIDTH = 8;
+
+// Input bytes encoded between checks for backpressure
+const ENCODE_SLICE_BYTES = 4096;
+
+// Cells decoded per batch on the decode side
+const DECODE_BATCH_CELLS = 65536;
+
+class GridEncodeStream extends Transform {
+    /**
+     * @param {Object} codec
+     * @param {string} codec.ecc - error-correcting code applied per block
+     * @param {Function} codec.toCells - coded bytes -> expression cells
+     * @param {Function} [codec.onEnd] - called with the byte count when done
+     */
+    constructor({ ecc, toCells, onEnd = () => {} }, streamOptions = {}) {
+        super({ ...streamOptions, readableObjectMode: true, writableObjectMode: false });
+        this.ecc = ecc;
+        this.blockLength = blockSizes(ecc).data;
+        this.sliceLength = Math.ceil(ENCODE_SLICE_BYTES / this.blockLength) * this.blockLength;
+        this.toCells = toCells;
+        this.onEnd = onEnd;
+        this.pending = Buffer.alloc(0);
+        this.queue = null;
+        this.transformCallback = null;
+        this.encoding = false;
+        this.readRequested = false;
+        this.row = [];
+        this.byteCount = 0;
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.queue = this.pending.length ? Buffer.concat([this.pending, chunk]) : chunk;
+        this.byteCount += chunk.length;
+        this.transformCallback = callback;
+        this.encodeQueued();
+    }
+
+    /**
+     * Encode queued input slice by slice, pausing whenever the reader is
+     * behind; _read() resumes once it catches up
+     */
+    encodeQueued() {
+        if (this.encoding) {
+            return;
+        }
+        this.encoding = true;
+
+        try {
+            while (this.queue.length >= this.blockLength) {
+                const usable = Math.min(this.sliceLength, this.queue.length - this.queue.length % this.blockLength);
+                const slice = this.queue.subarray(0, usable);
+                this.queue = this.queue.subarray(usable);
+
+                this.readRequested = false;
+                if (!this.pushCells(this.toCells(eccEncode(slice, this.ecc))) && !this.readRequested) {
+                    this.encoding = false;
+                    return;
+                }
+            }
+        } catch (error) {
+            this.encoding = false;
+            this.finishTransform(error);
+            return;
+        }
+
+        this.encoding = false;
+        this.pending = Buffer.from(this.queue);
+        this.queue = null;
+        this.finishTransform();
+
+        // A read no push has answered yet goes to Transform, which may be
+        // holding back the next write until one arrives
+        if (this.readRequested) {
+            this.readRequested = false;
+            super._read();
+        }
+    }
+
+    finishTransform(error) {
+        const callback = this.transformCallback;
+        this.transformCallback = null;
+        callback(error);
+    }
+
+    _read(size) {
+        if (this.transformCallback) {
+            this.readRequested = true;
+            this.encodeQueued();
+        } else {
+            super._read(size);
+        }
+    }
+
+    _flush(callback) {
+        try {
+            this.pushCells(this.toCells(eccEncode(this.pending, this.ecc)));
+            if (this.row.length > 0) {
+                this.push(this.row);
+            }
+            this.onEnd(this.byteCount);
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    /**
+     * Push complete rows; false once the reader's buffer is full
+     */
+    pushCells(cells) {
+        let ready = true;
+        let index = 0;
+        if (this.row.length > 0) {
+            index = Math.min(ROW_WIDTH - this.row.length, cells.length);
+            this.row.push(...cells.slice(0, index));
+            if (this.row.length < ROW_WIDTH) {
+                return ready;
+            }
+            ready = this.push(this.row);
+        }
+
+        for (; index + ROW_WIDTH <= cells.length; index += ROW_WIDTH) {
+            ready = this.push(cells.slice(index, index + ROW_WIDTH)) && ready;
+        }
+        this.row = cells.slice(index);
+        return ready;
+    }
+}
+
+class GridDecodeStream extends Transform {
+    /**
+     * @param {Object} codec
+     * @param {number} codec.unitCells - cells per independently decodable block
+     * @param {Function} codec.toPayload - cells -> { bytes, corrections }
+     * @param {Function} [codec.onEnd] - called with the byte count when done
+     */
+    constructor({ unitCells, toPayload, onEnd = () => {} }, streamOptions = {}) {
+        super({ ...streamOptions, readableObjectMode: false, writableObjectMode: true });
+        this.batchCells = Math.max(1, Math.floor(DECODE_BATCH_CELLS / unitCells)) * unitCells;
+        this.toPayload = toPayload;
+        this.onEnd = onEnd;
+        this.cells = [];
+        // Rows with cells still buffered, to place reported corrections
+        this.rowLengths = [];
+        this.firstRow = 0;
+        this.firstColumn = 0;
+        this.byteCount = 0;
+    }
+
+    _transform(row, encoding, callback) {
+        if (!Array.isArray(row)) {
+            callback(new EncodingError("Decode stream expects grid rows (arrays of cells)"));
+            return;
+        }
+
+        this.cells.push(...row);
+        this.rowLengths.push(row.length);
+
+        try {
+            if (this.cells.length >= this.batchCells) {
+                this.decodeCells(this.batchCells);
+            }
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _flush(callback) {
+        try {
+            this.decodeCells(this.cells.length);
+            this.onEnd(this.byteCount);
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    decodeCells(count) {
+        const cells = this.cells.splice(0, count);
+        const { bytes, corrections } = this.toPayload(cells);
+
+        corrections.forEach(({ column, cell }) => {
+            this.emit("correction", { ...this.locate(column), cell });
+        });
+        this.consume(count);
+
+        if (bytes.length > 0) {
+            this.byteCount += bytes.length;
+            this.push(bytes);
+        }
+    }
+
+    /**
+     * Row and column of the buffered cell at `index`
+     */
+    locate(index) {
+        let column = this.firstColumn + index;
+        for (let i = 0; i < this.rowLengths.length; i++) {
+            if (column < this.rowLengths[i]) {
+                return { row: this.firstRow + i, column };
+            }
+            column -= this.rowLengths[i];
+        }
+        return null;
+    }
+
+    consume(count) {
+        let remaining = count;
+        while (remaining > 0 && this.rowLengths.length > 0) {
+            const available = this.rowLengths[0] - this.firstColumn;
+            if (remaining < available) {
+                this.firstColumn += remaining;
+                return;
+            }
+            remaining -= available;
+            this.rowLengths.shift();
+            this.firstRow++;
+            this.firstColumn = 0;
+        }
+    }
+}
+
+module.exports = {
+    GridEncodeStream,
+    GridDecodeStream
+};
@@ -0,0 +1,229 @@
+/**
+ * Identity Prover
+ * Fractional Core (FC) Framework
+ *
+ * Exact proofs that an expression is constant, for identities such as
+ * sin²θ + cos²θ or sin²(0.7) + cos²(0.7) that exact arithmetic cannot
+ * evaluate term by term. The expression is expanded as a polynomial whose
+ * variables are its free symbols, its sines and cosines and any other
+ * subexpression that cannot be expanded, and every sin²u is rewritten as
+ * 1 − cos²u. The expression is constant when all terms but the constant
+ * one cancel; anything else is NOT_EXACT, since no other relation between
+ * the variables is known.
+ */
+
+const { MathematicalExpressionError } = require("./errors.js");
+const { Complex } = require("./complex.js");
+const { freeSymbols } = require("./calculus.js");
+
+// Highest power expanded, and most terms kept, before giving up
+const MAX_POWER = 16;
+const MAX_TERMS = 256;
+
+function notProven(message) {
+    return new MathematicalExpressionError(message, { code: "NOT_EXACT" });
+}
+
+/**
+ * Text identifying a subexpression, the same for `sin θ` and `sin(θ)`
+ */
+function canonical(node) {
+    switch (node.type) {
+        case "number":
+            return node.value;
+        case "identifier":
+            return node.name === "pi" ? "π" : node.name;
+        case "group":
+            return canonical(node.argument);
+        case "unary":
+            return `(-${canonical(node.argument)})`;
+        case "binary":
+            return `(${canonical(node.left)}${node.operator}${canonical(node.right)})`;
+        case "call":
+            return `${node.name}(${node.args.map(canonical).join(",")})`;
+        default:
+            return JSON.stringify(node, (key, value) => key === "start" || key === "end" ? undefined : value);
+    }
+}
+
+/**
+ * Sum of terms, each a coefficient times a product of powers of named
+ * variables. Coefficients may be complex.
+ */
+class Polynomial {
+    constructor(math) {
+        this.math = math;
+        this.terms = new Map();
+    }
+
+    static constant(value, math) {
+        return new Polynomial(math).addTerm(new Map(), value);
+    }
+
+    static variable(name, math) {
+        return new Polynomial(math).addTerm(new Map([[name, 1]]), math.literal("1"));
+    }
+
+    plus(a, b) {
+        return a instanceof Complex ? a.add(b) : b instanceof Complex ? b.add(a) : this.math.add(a, b);
+    }
+
+    times(a, b) {
+        return a instanceof Complex ? a.mul(b) : b instanceof Complex ? b.mul(a) : this.math.mul(a, b);
+    }
+
+    /**
+     * Add coefficient·∏ variable^power, rewriting sin²u as 1 − cos²u
+     */
+    addTerm(powers, coefficient) {
+        if (!(coefficient instanceof Complex) && this.math.isZero(coefficient)) {
+            return this;
+        }
+
+        const sine = [...powers.keys()].find(name => name.startsWith("sin(") && powers.get(name) >= 2);
+        if (sine) {
+            const cosine = `cos(${sine.slice(4)}`;
+            const lower = withPower(powers, sine, powers.get(sine) - 2);
+            this.addTerm(lower, coefficient);
+            return this.addTerm(withPower(lower, cosine, (lower.get(cosine) || 0) + 2), this.times(this.math.literal("-1"), coefficient));
+        }
+
+        const key = [...powers].map(([name, power]) => `${name}^${power}`).sort().join("·");
+        const sum = this.terms.has(key) ? this.plus(this.terms.get(key).coefficient, coefficient) : coefficient;
+        if (!(sum instanceof Complex) && this.math.isZero(sum)) {
+            this.terms.delete(key);
+        } else {
+            this.terms.set(key, { powers, coefficient: sum });
+        }
+        if (this.terms.size > MAX_TERMS) {
+            throw notProven("Identity has too many terms to expand");
+        }
+        return this;
+    }
+
+    add(other) {
+        const sum = new Polynomial(this.math);
+        [this, other].forEach(p => p.terms.forEach(({ powers, coefficient }) => sum.addTerm(powers, coefficient)));
+        return sum;
+    }
+
+    scale(k) {
+        const product = new Polynomial(this.math);
+        this.terms.forEach(({ powers, coefficient }) => product.addTerm(powers, this.times(k, coefficient)));
+        return product;
+    }
+
+    mul(other) {
+        const product = new Polynomial(this.math);
+        this.terms.forEach(a => other.terms.forEach(b => {
+            const powers = new Map(a.powers);
+            b.powers.forEach((power, name) => powers.set(name, (powers.get(name) || 0) + power));
+            product.addTerm(powers, this.times(a.coefficient, b.coefficient));
+        }));
+        return product;
+    }
+
+    /**
+     * The value if there are no variables left, else null
+     */
+    constantValue() {
+        if (this.terms.size === 0) {
+            return this.math.literal("0");
+        }
+        const term = this.terms.get("");
+        return this.terms.size === 1 && term ? term.coefficient : null;
+    }
+}
+
+function withPower(powers, name, power) {
+    const result = new Map(powers);
+    if (power === 0) {
+        result.delete(name);
+    } else {
+        result.set(name, power);
+    }
+    return result;
+}
+
+/**
+ * The exact value of an expression shown to be constant.
+ *
+ * @param {Object} ast - parsed expression
+ * @param {Object} options
+ * @param {Object} options.math - exact arithmetic of the evaluator
+ * @param {Function} options.constantOf - exact value of a subtree without free symbols
+ * @param {Function} options.isConstant - whether a symbol name is a constant
+ * @throws {MathematicalExpressionError} NOT_EXACT when it cannot be shown
+ */
+function proveConstant(ast, { math, constantOf, isConstant }) {
+    const variable = node => Polynomial.variable(canonical(node), math);
+
+    const expand = node => {
+        if (freeSymbols(node, isConstant).length === 0) {
+            try {
+                return Polynomial.constant(constantOf(node), math);
+            } catch (error) {
+                if (!(error instanceof MathematicalExpressionError) || error.code !== "NOT_EXACT") {
+                    throw error;
+                }
+            }
+        }
+
+        switch (node.type) {
+            case "group":
+                return expand(node.argument);
+            case "unary":
+                return expand(node.argument).scale(math.literal("-1"));
+            case "binary":
+                return expandBinary(node);
+            default:
+                return variable(node);
+        }
+    };
+
+    const expandBinary = node => {
+        switch (node.operator) {
+            case "+":
+                return expand(node.left).add(expand(node.right));
+            case "-":
+                return expand(node.left).add(expand(node.right).scale(math.literal("-1")));
+            case "*":
+                return expand(node.left).mul(expand(node.right));
+            case "/": {
+                const divisor = expand(node.right).constantValue();
+                if (divisor === null) {
+                    return variable(node);
+                }
+                const reciprocal = divisor instanceof Complex
+                    ? Complex.lift(math.literal("1"), math).div(divisor)
+                    : math.div(math.literal("1"), divisor);
+                return expand(node.left).scale(reciprocal);
+            }
+            case "^": {
+                const exponent = expand(node.right).constantValue();
+                const n = exponent === null || exponent instanceof Complex ? null : math.natural(exponent);
+                if (n === null || n > MAX_POWER) {
+                    return variable(node);
+                }
+                const base = expand(node.left);
+                let result = Polynomial.constant(math.literal("1"), math);
+                for (let k = 0; k < n; k++) {
+                    result = result.mul(base);
+                }
+                return result;
+            }
+            default:
+                return variable(node);
+        }
+    };
+
+    const value = expand(ast).constantValue();
+    if (value === null) {
+        throw notProven("Value cannot be shown to be constant exactly");
+    }
+    return value;
+}
+
+module.exports = {
+    proveConstant
+};
@@ -0,0 +1,106 @@
+/**
+ * Keyed Random
+ * Fractional Core (FC) Framework
+ *
+ * HMAC-DRBG (NIST SP 800-90A, SHA-256) seeded from a caller's secret key.
+ * The same key and purpose always yield the same stream, so an encoder and
+ * a decoder holding the key agree on expression choices and cell order,
+ * while anyone without it sees an unpredictable layout.
+ */
+
+const crypto = require("crypto");
+const { EncodingError } = require("./errors.js");
+
+const HASH = "sha256";
+const OUTLEN = 32;
+const BLOCK_SIZE = 256;
+
+class HmacDrbg {
+    /**
+     * @param {string|Uint8Array} key - secret seed material
+     * @param {string} [personalization] - separates independent streams drawn from one key
+     */
+    constructor(key, personalization = "") {
+        if (typeof key === "string") {
+            key = Buffer.from(key, "utf8");
+        }
+        if (!(key instanceof Uint8Array) || key.length === 0) {
+            throw new EncodingError("Key must be a non-empty string, Buffer or Uint8Array", { code: "INVALID_OPTION" });
+        }
+
+        this.K = Buffer.alloc(OUTLEN, 0x00);
+        this.V = Buffer.alloc(OUTLEN, 0x01);
+        this.update(Buffer.concat([Buffer.from(key), Buffer.from(personalization, "utf8")]));
+
+        this.block = Buffer.alloc(0);
+        this.offset = 0;
+    }
+
+    hmac(key, ...parts) {
+        const mac = crypto.createHmac(HASH, key);
+        parts.forEach(part => mac.update(part));
+        return mac.digest();
+    }
+
+    update(seed) {
+        this.K = this.hmac(this.K, this.V, Buffer.from([0x00]), seed || Buffer.alloc(0));
+        this.V = this.hmac(this.K, this.V);
+        if (seed) {
+            this.K = this.hmac(this.K, this.V, Buffer.from([0x01]), seed);
+            this.V = this.hmac(this.K, this.V);
+        }
+    }
+
+    /**
+     * Next `length` pseudorandom bytes
+     */
+    generate(length) {
+        const chunks = [];
+        let produced = 0;
+        while (produced < length) {
+            this.V = this.hmac(this.K, this.V);
+            chunks.push(this.V);
+            produced += this.V.length;
+        }
+        this.update(null);
+        return Buffer.concat(chunks).subarray(0, length);
+    }
+
+    nextUint32() {
+        if (this.offset + 4 > this.block.length) {
+            this.block = this.generate(BLOCK_SIZE);
+            this.offset = 0;
+        }
+        const value = this.block.readUInt32BE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    /**
+     * Uniform integer in [0, max), by rejection so no value is favoured
+     */
+    nextInt(max) {
+        const limit = Math.floor(0x100000000 / max) * max;
+        let value;
+        do {
+            value = this.nextUint32();
+        } while (value >= limit);
+        return value % max;
+    }
+
+    /**
+     * Fisher-Yates permutation of 0..length-1
+     */
+    permutation(length) {
+        const order = Array.from({ length }, (_, i) => i);
+        for (let i = length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        return order;
+    }
+}
+
+module.exports = {
+    HmacDrbg
+};
@@ -0,0 +1,280 @@
+/**
+ * Matrix
+ * Fractional Core (FC) Framework
+ *
+ * Matrix values for the expression evaluator: literals [[2,1],[1,1]],
+ * identities I₃, their sums, products, integer powers and inverses, and
+ * det(), tr() and rank(). Entries use the evaluator's arithmetic, so in
+ * exact mode everything is computed over rationals (and surds) without
+ * rounding.
+ */
+
+const { MathematicalExpressionError } = require("./errors.js");
+const { MAX_EXPONENT } = require("./exact-arithmetic.js");
+
+function shapeMismatch(message) {
+    return new MathematicalExpressionError(message, { code: "SHAPE_MISMATCH" });
+}
+
+function notSquare(operation) {
+    return new MathematicalExpressionError(`${operation} of a non-square matrix`, { code: "NOT_SQUARE" });
+}
+
+function unknownSize(operation) {
+    return new MathematicalExpressionError(`${operation} depends on the size of I; write I₂, I₃, …`, { code: "UNKNOWN_SIZE" });
+}
+
+class Matrix {
+    /**
+     * `rows` is an array of equal-length arrays of values in `math`; null
+     * for the identity I, whose size is taken from the other operand
+     */
+    constructor(rows, math) {
+        this.rows = rows;
+        this.math = math;
+    }
+
+    static identity(size, math) {
+        if (size === null) {
+            return new Matrix(null, math);
+        }
+        return new Matrix(Array.from({ length: size }, (_, r) =>
+            Array.from({ length: size }, (_, c) => math.literal(r === c ? "1" : "0"))), math);
+    }
+
+    get sized() {
+        return this.rows !== null;
+    }
+
+    get height() {
+        return this.rows.length;
+    }
+
+    get width() {
+        return this.rows[0].length;
+    }
+
+    get isSquare() {
+        return !this.sized || this.height === this.width;
+    }
+
+    /**
+     * This matrix with I sized to match `other`
+     */
+    sizedLike(other) {
+        if (this.sized || !other.sized) {
+            return this;
+        }
+        if (!other.isSquare) {
+            throw shapeMismatch(`I cannot be combined with a ${other.height}×${other.width} matrix`);
+        }
+        return Matrix.identity(other.height, this.math);
+    }
+
+    map(fn) {
+        return new Matrix(this.rows.map(row => row.map(fn)), this.math);
+    }
+
+    elementwise(other, operation, name) {
+        const a = this.sizedLike(other);
+        const b = other.sizedLike(this);
+        if (!a.sized) {
+            throw unknownSize(name);
+        }
+        if (a.height !== b.height || a.width !== b.width) {
+            throw shapeMismatch(`Cannot ${name.toLowerCase()} a ${a.height}×${a.width} and a ${b.height}×${b.width} matrix`);
+        }
+        return new Matrix(a.rows.map((row, r) => row.map((x, c) => operation(x, b.rows[r][c]))), this.math);
+    }
+
+    add(other) {
+        return this.elementwise(other, this.math.add, "Add");
+    }
+
+    sub(other) {
+        return this.elementwise(other, this.math.sub, "Subtract");
+    }
+
+    neg() {
+        if (!this.sized) {
+            throw unknownSize("−I");
+        }
+        return this.map(this.math.neg);
+    }
+
+    scale(k) {
+        if (!this.sized) {
+            throw unknownSize("A multiple of I");
+        }
+        return this.map(x => this.math.mul(k, x));
+    }
+
+    mul(other) {
+        const math = this.math;
+        // I·A = A·I = A
+        if (!this.sized) {
+            return other;
+        }
+        if (!other.sized) {
+            return this;
+        }
+        if (this.width !== other.height) {
+            throw shapeMismatch(`Cannot multiply a ${this.height}×${this.width} by a ${other.height}×${other.width} matrix`);
+        }
+        return new Matrix(this.rows.map(row => other.rows[0].map((_, c) =>
+            row.reduce((sum, x, k) => math.add(sum, math.mul(x, other.rows[k][c])), math.literal("0")))), math);
+    }
+
+    /**
+     * Whole-number power by repeated squaring; negative powers invert first
+     */
+    pow(exponent) {
+        const math = this.math;
+        if (!this.isSquare) {
+            throw notSquare("Power");
+        }
+        let n = math.natural(exponent);
+        let base = this;
+        if (n === null) {
+            n = math.natural(math.neg(exponent));
+            if (n === null) {
+                throw new MathematicalExpressionError("Matrix powers must be whole numbers", { code: "DOMAIN_ERROR" });
+            }
+            base = this.inverse();
+        }
+        if (!base.sized) {
+            return base;
+        }
+        if (n > Number(MAX_EXPONENT)) {
+            throw new MathematicalExpressionError("Exponent too large for a matrix power", { code: "OVERFLOW" });
+        }
+
+        let result = Matrix.identity(base.height, math);
+        while (n > 0) {
+            if (n % 2 === 1) {
+                result = result.mul(base);
+            }
+            base = base.mul(base);
+            n = Math.floor(n / 2);
+        }
+        return result;
+    }
+
+    /**
+     * Row echelon form by Gaussian elimination: the reduced rows, the
+     * pivot positions and the sign flips from row swaps
+     */
+    eliminate() {
+        const math = this.math;
+        const m = this.rows.map(row => [...row]);
+        const pivots = [];
+        let sign = 1;
+        let row = 0;
+
+        for (let column = 0; column < this.width && row < this.height; column++) {
+            const pivot = m.findIndex((entry, r) => r >= row && !negligible(entry[column], math));
+            if (pivot === -1) {
+                continue;
+            }
+            if (pivot !== row) {
+                [m[pivot], m[row]] = [m[row], m[pivot]];
+                sign = -sign;
+            }
+            for (let r = row + 1; r < this.height; r++) {
+                const factor = math.div(m[r][column], m[row][column]);
+                for (let c = column; c < this.width; c++) {
+                    m[r][c] = math.sub(m[r][c], math.mul(factor, m[row][c]));
+                }
+            }
+            pivots.push([row, column]);
+            row++;
+        }
+
+        return { rows: m, pivots, sign };
+    }
+
+    determinant() {
+        const math = this.math;
+        if (!this.sized) {
+            return math.literal("1");
+        }
+        if (!this.isSquare) {
+            throw notSquare("Determinant");
+        }
+
+        const { rows, pivots, sign } = this.eliminate();
+        if (pivots.length < this.height) {
+            return math.literal("0");
+        }
+        const product = rows.reduce((result, row, i) => math.mul(result, row[i]), math.literal("1"));
+        return sign < 0 ? math.neg(product) : product;
+    }
+
+    trace() {
+        const math = this.math;
+        if (!this.sized) {
+            throw unknownSize("The trace");
+        }
+        if (!this.isSquare) {
+            throw notSquare("Trace");
+        }
+        return this.rows.reduce((sum, row, i) => math.add(sum, row[i]), math.literal("0"));
+    }
+
+    rank() {
+        if (!this.sized) {
+            throw unknownSize("The rank");
+        }
+        return this.math.literal(String(this.eliminate().pivots.length));
+    }
+
+    /**
+     * Inverse by Gauss–Jordan elimination
+     */
+    inverse() {
+        const math = this.math;
+        if (!this.sized) {
+            return this;
+        }
+        if (!this.isSquare) {
+            throw notSquare("Inverse");
+        }
+
+        const n = this.height;
+        const augmented = new Matrix(this.rows.map((row, r) => [...row, ...Matrix.identity(n, math).rows[r]]), math);
+        const { rows, pivots } = augmented.eliminate();
+        if (pivots.length < n || pivots[n - 1][1] >= n) {
+            throw new MathematicalExpressionError("Matrix is singular", { code: "SINGULAR" });
+        }
+
+        for (let i = n - 1; i >= 0; i--) {
+            const pivot = rows[i][i];
+            rows[i] = rows[i].map(x => math.div(x, pivot));
+            for (let r = 0; r < i; r++) {
+                const factor = rows[r][i];
+                rows[r] = rows[r].map((x, c) => math.sub(x, math.mul(factor, rows[i][c])));
+            }
+        }
+        return new Matrix(rows.map(row => row.slice(n)), math);
+    }
+}
+
+/**
+ * Zero for elimination purposes; in float mode, rounding residue counts
+ */
+function negligible(value, math) {
+    return math.numeric ? Math.abs(math.toNumber(value)) < 1e-9 : math.isZero(value);
+}
+
+// Functions of one matrix, by name
+const MATRIX_FUNCTIONS = {
+    det: m => m.determinant(),
+    tr: m => m.trace(),
+    rank: m => m.rank(),
+    inv: m => m.inverse()
+};
+
+module.exports = {
+    Matrix,
+    MATRIX_FUNCTIONS
+};
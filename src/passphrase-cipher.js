@@ -0,0 +1,115 @@
+/**
+ * Passphrase Cipher
+ * Fractional Core (FC) Framework
+ *
+ * Authenticated encryption applied before FC encoding: scrypt derives an
+ * AES-256-GCM key from the passphrase and a random salt. The sealed
+ * payload is
+ *
+ *   version (1) | log2 N (1) | salt (16) | nonce (12) | tag (16) | ciphertext
+ *
+ * and the header in front of the tag is authenticated along with the
+ * ciphertext, so changing any byte fails decryption.
+ */
+
+const crypto = require("crypto");
+const { EncodingError } = require("./errors.js");
+
+const VERSION = 1;
+const SALT_LENGTH = 16;
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const HEADER_LENGTH = 2 + SALT_LENGTH + NONCE_LENGTH + TAG_LENGTH;
+
+// scrypt cost: N = 2^15, r = 8, p = 1 (32 MiB); decryption refuses costs
+// above 2^20 so a forged header cannot demand unbounded memory
+const DEFAULT_LOG_N = 15;
+const MAX_LOG_N = 20;
+const BLOCK_SIZE = 8;
+const PARALLELISM = 1;
+
+function deriveKey(passphrase, salt, logN) {
+    if (typeof passphrase !== "string" && !(passphrase instanceof Uint8Array)) {
+        throw new EncodingError("Passphrase must be a string, Buffer or Uint8Array", { code: "INVALID_OPTION" });
+    }
+    if (passphrase.length === 0) {
+        throw new EncodingError("Passphrase must not be empty", { code: "INVALID_OPTION" });
+    }
+
+    const N = 2 ** logN;
+    return crypto.scryptSync(passphrase, salt, KEY_LENGTH, {
+        N,
+        r: BLOCK_SIZE,
+        p: PARALLELISM,
+        maxmem: 256 * N * BLOCK_SIZE
+    });
+}
+
+/**
+ * Encrypt `plaintext` under `passphrase`
+ *
+ * @param {Buffer|Uint8Array} plaintext
+ * @param {string|Uint8Array} passphrase
+ * @param {Object} [options]
+ * @param {number} [options.cost=15] - scrypt cost as log2 N
+ * @returns {Buffer} header followed by ciphertext
+ */
+function seal(plaintext, passphrase, { cost = DEFAULT_LOG_N } = {}) {
+    if (!Number.isInteger(cost) || cost < 10 || cost > MAX_LOG_N) {
+        throw new EncodingError(`scrypt cost must be an integer from 10 to ${MAX_LOG_N}`, { code: "INVALID_OPTION" });
+    }
+
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const nonce = crypto.randomBytes(NONCE_LENGTH);
+    const key = deriveKey(passphrase, salt, cost);
+    const associated = Buffer.concat([Buffer.from([VERSION, cost]), salt, nonce]);
+
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, nonce, { authTagLength: TAG_LENGTH });
+    cipher.setAAD(associated);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return Buffer.concat([associated, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt a payload from seal(); throws EncodingError with code
+ * AUTHENTICATION_FAILED for a wrong passphrase or altered payload
+ */
+function open(payload, passphrase) {
+    if (payload.length < HEADER_LENGTH) {
+        throw new EncodingError("Encrypted payload is truncated", { code: "AUTHENTICATION_FAILED" });
+    }
+
+    const version = payload[0];
+    const cost = payload[1];
+    if (version !== VERSION) {
+        throw new EncodingError(`Unsupported encrypted payload version ${version}`, { code: "AUTHENTICATION_FAILED" });
+    }
+    if (cost < 10 || cost > MAX_LOG_N) {
+        throw new EncodingError(`Encrypted payload declares an invalid scrypt cost ${cost}`, { code: "AUTHENTICATION_FAILED" });
+    }
+
+    let offset = 2;
+    const salt = payload.subarray(offset, offset += SALT_LENGTH);
+    const nonce = payload.subarray(offset, offset += NONCE_LENGTH);
+    const tag = payload.subarray(offset, offset += TAG_LENGTH);
+    const ciphertext = payload.subarray(offset);
+
+    const key = deriveKey(passphrase, salt, cost);
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, nonce, { authTagLength: TAG_LENGTH });
+    decipher.setAAD(payload.subarray(0, 2 + SALT_LENGTH + NONCE_LENGTH));
+    decipher.setAuthTag(tag);
+
+    try {
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    } catch (error) {
+        throw new EncodingError("Authentication failed: wrong passphrase or tampered grid", { code: "AUTHENTICATION_FAILED" });
+    }
+}
+
+module.exports = {
+    seal,
+    open,
+    HEADER_LENGTH
+};
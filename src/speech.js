@@ -0,0 +1,234 @@
+/**
+ * Speech
+ * Fractional Core (FC) Framework
+ *
+ * Spoken forms of expressions, in the style of ClearSpeak: short phrases
+ * for simple structures ("16 over 4", "7 squared") and explicit end cues
+ * for compound ones ("the fraction with numerator …, and denominator …,
+ * end fraction"), so a listener can rebuild the expression unambiguously.
+ * Grids are read as SSML with a pause between cells.
+ */
+
+const { tokenize } = require("./expression-parser.js");
+const { EncodingError } = require("./errors.js");
+const { renderOptions, arrange, escapeXml, tryParse, unwrap } = require("./grid-renderers.js");
+
+const SPOKEN_SYMBOLS = {
+    "π": "pi",
+    "θ": "theta",
+    "φ": "phi",
+    "α": "alpha",
+    "β": "beta",
+    "γ": "gamma",
+    "∫": "the integral of",
+    "→": "approaches"
+};
+
+// Function names read before "of"
+const SPOKEN_FUNCTIONS = {
+    sin: "sine",
+    cos: "cosine",
+    tan: "tangent",
+    ln: "the natural log",
+    log: "the log",
+    exp: "the exponential",
+    det: "the determinant",
+    tr: "the trace",
+    rank: "the rank",
+    inv: "the inverse",
+    lim: "the limit as"
+};
+
+const SPOKEN_OPERATORS = {
+    "+": "plus",
+    "-": "minus",
+    "*": "times",
+    "/": "over",
+    "!": "factorial",
+    "√": "the square root of"
+};
+
+const isSimple = node => node.type === "number" || node.type === "identifier" ||
+    (node.type === "unary" && isSimple(node.argument));
+
+function spokenName(name) {
+    if (SPOKEN_SYMBOLS[name]) {
+        return SPOKEN_SYMBOLS[name];
+    }
+    // Multi-letter symbols such as dx are read letter by letter
+    return SPOKEN_FUNCTIONS[name] || [...name].join(" ");
+}
+
+function spokenPower(exponent) {
+    if (exponent === "2") {
+        return "squared";
+    }
+    if (exponent === "3") {
+        return "cubed";
+    }
+    return `to the power ${exponent}`;
+}
+
+function speakNode(node) {
+    switch (node.type) {
+        case "number":
+            return node.value;
+        case "identifier":
+            return spokenName(node.name);
+        case "group":
+            return `open paren ${speakNode(node.argument)} close paren`;
+        case "abs":
+            return speakAbs(node.argument);
+        case "sqrt":
+            return speakRoot(unwrap(node.argument));
+        case "factorial":
+            return `${speakNode(node.argument)} factorial`;
+        case "unary":
+            return `negative ${speakNode(node.argument)}`;
+        case "call": {
+            if (node.name === "sqrt") {
+                return speakRoot(unwrap(node.args[0]));
+            }
+            if (node.name === "abs") {
+                return speakAbs(node.args[0]);
+            }
+            const args = node.args.map(arg => speakNode(unwrap(arg))).join(", and ");
+            return `${spokenName(node.name)} of ${args}`;
+        }
+        case "binary": {
+            const left = unwrap(node.left);
+            const right = unwrap(node.right);
+            if (node.operator === "/") {
+                return isSimple(left) && isSimple(right)
+                    ? `${speakNode(left)} over ${speakNode(right)}`
+                    : `the fraction with numerator ${speakNode(left)}, and denominator ${speakNode(right)}, end fraction`;
+            }
+            if (node.operator === "^") {
+                if (right.type === "number") {
+                    return `${speakNode(node.left)} ${spokenPower(right.value)}`;
+                }
+                return isSimple(right)
+                    ? `${speakNode(node.left)} to the power ${speakNode(right)}`
+                    : `${speakNode(node.left)} raised to the power ${speakNode(right)}, end exponent`;
+            }
+            return `${speakNode(node.left)} ${SPOKEN_OPERATORS[node.operator]} ${speakNode(node.right)}`;
+        }
+        default:
+            throw new EncodingError(`Cannot speak '${node.type}' nodes`);
+    }
+}
+
+function speakRoot(argument) {
+    const radicand = speakNode(argument);
+    return isSimple(argument) ? `the square root of ${radicand}` : `the square root of ${radicand}, end root`;
+}
+
+function speakAbs(argument) {
+    const inner = speakNode(argument);
+    return isSimple(argument) ? `the absolute value of ${inner}` : `the absolute value of ${inner}, end absolute value`;
+}
+
+/**
+ * Word-by-word reading for notation the parser does not read. A bracket
+ * after a function name is implied by its "of"; after lim it holds the
+ * approach, and the limit is "of" what follows it.
+ */
+function speakTokens(expression) {
+    const tokens = tokenize(expression, { strict: false }).filter(token => token.type !== "eof");
+    const words = [];
+    const brackets = [];
+
+    tokens.forEach((token, i) => {
+        const previous = tokens[i - 1];
+        switch (token.type) {
+            case "number":
+                words.push(token.value);
+                break;
+            case "superscript":
+                words.push(spokenPower(token.value));
+                break;
+            case "subscript":
+                words.push(`sub ${token.value}`);
+                break;
+            case "identifier":
+                words.push(spokenName(token.value));
+                if (SPOKEN_FUNCTIONS[token.value] && token.value !== "lim" && !(tokens[i + 1] && tokens[i + 1].type === "superscript")) {
+                    words.push("of");
+                }
+                break;
+            case "lparen": {
+                const kind = previous && previous.type === "identifier" && SPOKEN_FUNCTIONS[previous.value]
+                    ? (previous.value === "lim" ? "limit" : "call")
+                    : previous && previous.type === "symbol" && previous.value === "∫" ? "call" : "group";
+                brackets.push(kind);
+                if (kind === "group") {
+                    words.push("open paren");
+                }
+                break;
+            }
+            case "rparen": {
+                const kind = brackets.pop();
+                words.push(kind === "limit" ? "of" : kind === "call" ? "" : "close paren");
+                break;
+            }
+            case "lbracket":
+                words.push("open bracket");
+                break;
+            case "rbracket":
+                words.push("close bracket");
+                break;
+            case "bar":
+                words.push("vertical bar");
+                break;
+            case "comma":
+                words.push("comma");
+                break;
+            case "operator":
+                words.push(token.value === "-" && (!previous || previous.type === "operator" || previous.type === "lparen")
+                    ? "negative"
+                    : SPOKEN_OPERATORS[token.value] || "to the power");
+                break;
+            default:
+                words.push(SPOKEN_SYMBOLS[token.value] || token.value);
+        }
+    });
+
+    return words.filter(word => word !== "").join(" ");
+}
+
+/**
+ * Plain-text spoken form of one expression
+ */
+function expressionToSpeech(expression) {
+    const ast = tryParse(expression);
+    return ast ? speakNode(ast) : speakTokens(expression);
+}
+
+/**
+ * SSML document reading the rows of a grid, a <p> per row and a <break>
+ * between cells
+ */
+function renderSsml(grid, options) {
+    const { columns, pause = 400, lang = "en-US", rowLabels = true } = renderOptions(options);
+    if (!Number.isInteger(pause) || pause < 0) {
+        throw new EncodingError("pause must be a non-negative whole number of milliseconds", { code: "INVALID_OPTION" });
+    }
+
+    const paragraphs = arrange(grid, columns).map((row, r) => {
+        const cells = row.map(cell => `<s>${escapeXml(expressionToSpeech(cell))}</s>`).join(`<break time="${pause}ms"/>`);
+        const label = rowLabels ? `<s>Row ${r + 1}.</s><break time="${pause}ms"/>` : "";
+        return `  <p>${label}${cells}</p>`;
+    });
+
+    return [
+        `<speak version="1.1" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${escapeXml(lang)}">`,
+        ...paragraphs,
+        "</speak>",
+        ""
+    ].join("\n");
+}
+
+module.exports = {
+    expressionToSpeech,
+    renderSsml
+};
@@ -0,0 +1,376 @@
+/**
+ * SVG Renderer
+ * Fractional Core (FC) Framework
+ *
+ * Draws an encoded grid as a standalone SVG for slides and web pages.
+ * Expressions are laid out as nested boxes (TeX-style, from fixed glyph
+ * metrics rather than a font engine), so fraction bars, radicals and
+ * delimiters are drawn as lines and paths and stretch to their contents.
+ * The grid and its scheme are kept in <metadata> for decodeSVG(), and
+ * every cell carries a data-expression attribute as a fallback for tools
+ * that strip metadata.
+ */
+
+const { EncodingError } = require("./errors.js");
+const { decodeEntities } = require("./document-reader.js");
+const { DEFAULT_TITLE, renderOptions, arrange, escapeXml, tryParse, unwrap } = require("./grid-renderers.js");
+
+const METADATA_NAMESPACE = "urn:fractional-core:grid";
+const METADATA_VERSION = 1;
+
+// Proportions of the font size
+const METRICS = {
+    ascent: 0.72,
+    descent: 0.22,
+    axis: 0.25,       // height of the fraction bar above the baseline
+    rule: 0.06,       // thickness of bars and radical strokes
+    operatorSpace: 0.22,
+    script: 0.7,      // exponent size relative to its base
+    minScript: 0.5    // smallest script relative to the font size option
+};
+
+// Advance widths in em; anything unlisted is 0.5
+const GLYPH_WIDTHS = {
+    ".": 0.25, ",": 0.25, "!": 0.33, "i": 0.28, "l": 0.28, "t": 0.33, "f": 0.33,
+    "m": 0.78, "w": 0.72, "+": 0.56, "−": 0.56, "×": 0.56, "=": 0.56, "π": 0.55, "θ": 0.5
+};
+
+const THEMES = {
+    light: {
+        background: "#ffffff",
+        foreground: "#1a1a1a",
+        cellFill: "#f6f8fa",
+        cellStroke: "#d0d7de",
+        fontFamily: "'STIX Two Math', 'Cambria Math', 'Latin Modern Math', 'Times New Roman', serif"
+    },
+    dark: {
+        background: "#0d1117",
+        foreground: "#e6edf3",
+        cellFill: "#161b22",
+        cellStroke: "#30363d",
+        fontFamily: "'STIX Two Math', 'Cambria Math', 'Latin Modern Math', 'Times New Roman', serif"
+    },
+    print: {
+        background: "#ffffff",
+        foreground: "#000000",
+        cellFill: "none",
+        cellStroke: "none",
+        fontFamily: "'STIX Two Math', 'Cambria Math', 'Latin Modern Math', 'Times New Roman', serif"
+    }
+};
+
+// Two decimals keep the markup short and well below a pixel of error
+const fmt = value => String(Math.round(value * 100) / 100);
+
+/**
+ * Theme by name, or a partial theme object laid over the light theme
+ */
+function resolveTheme(theme) {
+    if (typeof theme === "string") {
+        if (!THEMES[theme]) {
+            throw new EncodingError(`Unknown theme '${theme}'; use one of ${Object.keys(THEMES).join(", ")} or a theme object`, { code: "INVALID_OPTION" });
+        }
+        return THEMES[theme];
+    }
+
+    if (theme === null || typeof theme !== "object") {
+        throw new EncodingError("theme must be a theme name or object", { code: "INVALID_OPTION" });
+    }
+    for (const [property, value] of Object.entries(theme)) {
+        if (!(property in THEMES.light) || typeof value !== "string") {
+            throw new EncodingError(`Invalid theme property '${property}'`, { code: "INVALID_OPTION" });
+        }
+    }
+    return { ...THEMES.light, ...theme };
+}
+
+/**
+ * Lays out one expression at `fontSize` pixels. Each box has a width,
+ * an ascent above and descent below its baseline, and draw(x, y), which
+ * returns SVG elements with the box's left edge at x and baseline at y.
+ */
+function expressionLayout(fontSize) {
+    const scriptSize = size => Math.max(size * METRICS.script, fontSize * METRICS.minScript);
+
+    function text(content, size, { italic = false, space = 0 } = {}) {
+        const glyphs = [...content].reduce((sum, char) => sum + (GLYPH_WIDTHS[char] || 0.5), 0) * size;
+        const width = glyphs + 2 * space * size;
+        const style = italic ? " font-style=\"italic\"" : "";
+        return {
+            width,
+            ascent: METRICS.ascent * size,
+            descent: METRICS.descent * size,
+            // Centred in its slot, so a font wider or narrower than the
+            // metrics drifts symmetrically instead of overlapping neighbours
+            draw: (x, y) => [`<text x="${fmt(x + width / 2)}" y="${fmt(y)}" font-size="${fmt(size)}" text-anchor="middle"${style}>${escapeXml(content)}</text>`]
+        };
+    }
+
+    function row(...boxes) {
+        return {
+            width: boxes.reduce((sum, box) => sum + box.width, 0),
+            ascent: Math.max(...boxes.map(box => box.ascent)),
+            descent: Math.max(...boxes.map(box => box.descent)),
+            draw(x, y) {
+                const elements = [];
+                let left = x;
+                for (const box of boxes) {
+                    elements.push(...box.draw(left, y));
+                    left += box.width;
+                }
+                return elements;
+            }
+        };
+    }
+
+    function fraction(numerator, denominator, size) {
+        const rule = METRICS.rule * size;
+        const axis = METRICS.axis * size;
+        const gap = 0.12 * size;
+        const width = Math.max(numerator.width, denominator.width) + 0.2 * size;
+        return {
+            width,
+            ascent: axis + rule / 2 + gap + numerator.descent + numerator.ascent,
+            descent: Math.max(0, rule / 2 + gap + denominator.ascent + denominator.descent - axis),
+            draw: (x, y) => [
+                ...numerator.draw(x + (width - numerator.width) / 2, y - axis - rule / 2 - gap - numerator.descent),
+                `<line x1="${fmt(x + 0.05 * size)}" y1="${fmt(y - axis)}" x2="${fmt(x + width - 0.05 * size)}" y2="${fmt(y - axis)}" stroke="currentColor" stroke-width="${fmt(rule)}"/>`,
+                ...denominator.draw(x + (width - denominator.width) / 2, y - axis + rule / 2 + gap + denominator.ascent)
+            ]
+        };
+    }
+
+    function radical(radicand, size) {
+        const rule = METRICS.rule * size;
+        const sign = 0.55 * size;
+        const width = sign + radicand.width + 0.1 * size;
+        const ascent = radicand.ascent + 0.12 * size + rule;
+        const descent = radicand.descent + 0.05 * size;
+        return {
+            width,
+            ascent,
+            descent,
+            draw(x, y) {
+                const top = y - ascent + rule / 2;
+                const points = [
+                    [x + 0.04 * size, y - 0.3 * size],
+                    [x + 0.14 * size, y - 0.36 * size],
+                    [x + 0.3 * size, y + descent - rule],
+                    [x + sign - 0.04 * size, top],
+                    [x + width, top]
+                ];
+                const path = points.map(([px, py], i) => `${i === 0 ? "M" : "L"}${fmt(px)} ${fmt(py)}`).join(" ");
+                return [
+                    `<path d="${path}" fill="none" stroke="currentColor" stroke-width="${fmt(rule)}" stroke-linejoin="round"/>`,
+                    ...radicand.draw(x + sign, y)
+                ];
+            }
+        };
+    }
+
+    function superscript(base, exponent, size) {
+        const raise = Math.max(0.42 * size, base.ascent - 0.3 * size);
+        return {
+            width: base.width + 0.04 * size + exponent.width,
+            ascent: Math.max(base.ascent, raise + exponent.ascent),
+            descent: Math.max(base.descent, exponent.descent - raise),
+            draw: (x, y) => [...base.draw(x, y), ...exponent.draw(x + base.width + 0.04 * size, y - raise)]
+        };
+    }
+
+    /**
+     * Parentheses or bars drawn to the height of what they enclose
+     */
+    function fenced(open, inner, close, size) {
+        const rule = METRICS.rule * size;
+        const ascent = Math.max(inner.ascent, METRICS.ascent * size) + 0.05 * size;
+        const descent = Math.max(inner.descent, METRICS.descent * size) + 0.05 * size;
+        const delimiterWidth = 0.35 * size;
+
+        const delimiter = (kind, side) => ({
+            width: delimiterWidth,
+            ascent,
+            descent,
+            draw(x, y) {
+                const top = y - ascent;
+                const bottom = y + descent;
+                if (kind === "|") {
+                    const cx = x + delimiterWidth / 2;
+                    return [`<line x1="${fmt(cx)}" y1="${fmt(top)}" x2="${fmt(cx)}" y2="${fmt(bottom)}" stroke="currentColor" stroke-width="${fmt(rule)}"/>`];
+                }
+                const [outer, bulge] = side === "open" ? [x + 0.75 * delimiterWidth, x + 0.05 * delimiterWidth] : [x + 0.25 * delimiterWidth, x + 0.95 * delimiterWidth];
+                return [`<path d="M${fmt(outer)} ${fmt(top)} Q${fmt(bulge)} ${fmt((top + bottom) / 2)} ${fmt(outer)} ${fmt(bottom)}" fill="none" stroke="currentColor" stroke-width="${fmt(rule)}" stroke-linecap="round"/>`];
+            }
+        });
+
+        return row(delimiter(open, "open"), inner, delimiter(close, "close"));
+    }
+
+    function layout(node, size) {
+        switch (node.type) {
+            case "number":
+                return text(node.value, size);
+            case "identifier":
+                // Single Latin and Greek letters are variables; π and named
+                // constants stay upright
+                return text(node.name, size, { italic: node.name.length === 1 && node.name !== "π" });
+            case "group":
+                return fenced("(", layout(node.argument, size), ")", size);
+            case "abs":
+                return fenced("|", layout(node.argument, size), "|", size);
+            case "sqrt":
+                return radical(layout(unwrap(node.argument), size), size);
+            case "factorial":
+                return row(layout(node.argument, size), text("!", size));
+            case "unary":
+                return row(text("−", size), layout(node.argument, size));
+            case "call": {
+                const args = node.args.map(arg => layout(unwrap(arg), size));
+                if (node.name === "sqrt") {
+                    return radical(args[0], size);
+                }
+                if (node.name === "abs") {
+                    return fenced("|", args[0], "|", size);
+                }
+                const list = args.flatMap((arg, i) => (i === 0 ? [arg] : [text(",", size, { space: 0.1 }), arg]));
+                return row(text(node.name, size, { space: 0.05 }), fenced("(", row(...list), ")", size));
+            }
+            case "binary": {
+                if (node.operator === "/") {
+                    const inner = Math.max(size * 0.85, fontSize * METRICS.minScript);
+                    return fraction(layout(unwrap(node.left), inner), layout(unwrap(node.right), inner), size);
+                }
+                if (node.operator === "^") {
+                    return superscript(layout(node.left, size), layout(unwrap(node.right), scriptSize(size)), size);
+                }
+                const operator = { "+": "+", "-": "−", "*": "×" }[node.operator];
+                return row(layout(node.left, size), text(operator, size, { space: METRICS.operatorSpace }), layout(node.right, size));
+            }
+            default:
+                throw new EncodingError(`Cannot typeset '${node.type}' nodes`);
+        }
+    }
+
+    // Notation the parser does not read is set as plain text
+    return expression => {
+        const ast = tryParse(expression);
+        return ast ? layout(ast, fontSize) : text(expression, fontSize);
+    };
+}
+
+/**
+ * Standalone SVG of the grid
+ */
+function renderSvg(grid, options) {
+    const { columns, spacing, showZeros, fontSize = 24, theme = "light", title = DEFAULT_TITLE } = renderOptions(options);
+    if (typeof fontSize !== "number" || !Number.isFinite(fontSize) || fontSize <= 0) {
+        throw new EncodingError("fontSize must be a positive number of pixels", { code: "INVALID_OPTION" });
+    }
+    const colors = resolveTheme(theme);
+    const layoutExpression = expressionLayout(fontSize);
+
+    const rows = arrange(grid, columns).map(row => row.map(cell => ({
+        cell,
+        box: !showZeros && cell === "0" ? null : layoutExpression(cell)
+    })));
+
+    const padding = 0.4 * fontSize;
+    const gap = spacing * fontSize;
+    const margin = 0.5 * fontSize;
+    const emptyRow = { ascent: METRICS.ascent * fontSize, descent: METRICS.descent * fontSize };
+
+    const columnWidths = Array.from({ length: rows.length ? rows[0].length : 0 }, (_, c) =>
+        Math.max(1.5 * fontSize, ...rows.map(row => (row[c] && row[c].box ? row[c].box.width : 0))) + 2 * padding);
+    const rowMetrics = rows.map(row => {
+        const boxes = row.map(({ box }) => box).filter(Boolean);
+        return {
+            ascent: Math.max(emptyRow.ascent, ...boxes.map(box => box.ascent)),
+            descent: Math.max(emptyRow.descent, ...boxes.map(box => box.descent))
+        };
+    });
+
+    const width = 2 * margin + columnWidths.reduce((sum, w) => sum + w, 0) + gap * Math.max(0, columnWidths.length - 1);
+    const height = 2 * margin + rowMetrics.reduce((sum, m) => sum + m.ascent + m.descent + 2 * padding, 0) + gap * Math.max(0, rows.length - 1);
+
+    const cells = [];
+    let top = margin;
+    rows.forEach((row, r) => {
+        const { ascent, descent } = rowMetrics[r];
+        const rowHeight = ascent + descent + 2 * padding;
+        let left = margin;
+
+        row.forEach(({ cell, box }, c) => {
+            const elements = [];
+            if (colors.cellFill !== "none" || colors.cellStroke !== "none") {
+                elements.push(`<rect x="${fmt(left)}" y="${fmt(top)}" width="${fmt(columnWidths[c])}" height="${fmt(rowHeight)}" rx="${fmt(0.15 * fontSize)}" fill="${escapeXml(colors.cellFill)}" stroke="${escapeXml(colors.cellStroke)}"/>`);
+            }
+            if (box) {
+                elements.push(...box.draw(left + (columnWidths[c] - box.width) / 2, top + padding + ascent));
+            }
+            cells.push(`    <g data-expression="${escapeXml(cell)}">${elements.join("")}</g>`);
+            left += columnWidths[c] + gap;
+        });
+
+        top += rowHeight + gap;
+    });
+
+    const metadata = { version: METADATA_VERSION, grid: grid.map(row => [...row]) };
+    if (grid.scheme) {
+        metadata.scheme = grid.scheme;
+    }
+    const cellCount = rows.reduce((sum, row) => sum + row.length, 0);
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(width)}" height="${fmt(height)}" viewBox="0 0 ${fmt(width)} ${fmt(height)}" role="img">`,
+        `  <title>${escapeXml(title)}</title>`,
+        `  <desc>${cellCount} expressions in ${rows.length} ${rows.length === 1 ? "row" : "rows"}, read left to right, top to bottom</desc>`,
+        `  <metadata><fc:grid xmlns:fc="${METADATA_NAMESPACE}">${escapeXml(JSON.stringify(metadata))}</fc:grid></metadata>`,
+        `  <rect width="100%" height="100%" fill="${escapeXml(colors.background)}"/>`,
+        `  <g font-family="${escapeXml(colors.fontFamily)}" color="${escapeXml(colors.foreground)}" fill="currentColor">`,
+        ...cells,
+        "  </g>",
+        "</svg>",
+        ""
+    ].join("\n");
+}
+
+/**
+ * Grid stored in an SVG from renderSvg(), with its scheme when recorded.
+ * Without the metadata, cells are read from data-expression attributes in
+ * document order.
+ */
+function readSvg(svg) {
+    const metadata = /<fc:grid\b[^>]*>([\s\S]*?)<\/fc:grid>/.exec(svg);
+    if (metadata) {
+        let data;
+        try {
+            data = JSON.parse(decodeEntities(metadata[1]));
+        } catch (error) {
+            throw new EncodingError(`SVG grid metadata is not valid JSON: ${error.message}`, { code: "INVALID_DOCUMENT" });
+        }
+        if (!data || !Array.isArray(data.grid) || !data.grid.every(row => Array.isArray(row) && row.every(cell => typeof cell === "string"))) {
+            throw new EncodingError("SVG grid metadata has no grid", { code: "INVALID_DOCUMENT" });
+        }
+        if (data.version > METADATA_VERSION) {
+            throw new EncodingError(`SVG grid metadata version ${data.version} is newer than this library`, { code: "UNSUPPORTED_VERSION" });
+        }
+
+        const grid = data.grid;
+        if (data.scheme) {
+            grid.scheme = data.scheme;
+        }
+        return grid;
+    }
+
+    const cells = [...svg.matchAll(/\bdata-expression="([^"]*)"/g)].map(([, cell]) => decodeEntities(cell));
+    if (cells.length === 0) {
+        throw new EncodingError("No Fractional Core grid found in SVG", { code: "INVALID_DOCUMENT" });
+    }
+    return [cells];
+}
+
+module.exports = {
+    THEMES,
+    renderSvg,
+    readSvg
+};
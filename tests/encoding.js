@@ -0,0 +1,1251 @@
+/**
+ * Encoding Test Suite
+ * Fractional Core (FC) Framework
+ *
+ * Round-trip tests for encode()/decode() and the encoding options built
+ * on top of them.
+ *
+ * Memorial Covenant: Protected under 11 pre-authorized institutions
+ * Created by Lev Goukassian • ORCID: 0009-0006-5966-1243
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const path = require('path');
+const { Readable } = require('stream');
+const FractionalCore = require('../src/fractional-core.js');
+const { EncodingError, InvalidCellsError, InvalidExpressionSetError } = require('../src/errors.js');
+const { brailleToExpression } = require('../src/braille.js');
+
+class EncodingTestSuite {
+    constructor() {
+        this.fc = new FractionalCore();
+        this.fc.acceptCovenant('Encoding-Test-Suite', { humanitarianCommitment: true });
+        this.testCount = 0;
+        this.passCount = 0;
+        this.failCount = 0;
+    }
+
+    /**
+     * Run all encoding tests
+     */
+    async runAll() {
+        console.log('=' .repeat(60));
+        console.log('Encoding Test Suite');
+        console.log('=' .repeat(60));
+
+        this.testUnicodeRoundTrip();
+        this.testLegacyGrids();
+        this.testBinaryPayloads();
+        this.testStructuredData();
+        this.testHashing();
+        this.testZeroExpressions();
+        this.testBaseN();
+        this.testKeyedLayout();
+        this.testEncryption();
+        this.testErrorCorrection();
+        this.testFramedContainer();
+        await this.testStreams();
+        this.testCompression();
+        this.testDocumentDecoding();
+        this.testRendering();
+        this.testSvgRendering();
+        this.testBrailleAndSpeech();
+        this.testCellDiagnostics();
+        this.testExpressionSets();
+        this.testDifficultyLevels();
+
+        this.printResults();
+        return this.failCount === 0;
+    }
+
+    /**
+     * encode()/decode() work on UTF-8 bytes
+     */
+    testUnicodeRoundTrip() {
+        console.log('\n1. Unicode Round Trip');
+        console.log('-'.repeat(40));
+
+        const samples = [
+            'LEV',
+            '',
+            'Café au lait',
+            'Привет, мир',
+            '分数核心',
+            'Truth is fractional 🔒🎯🌟',
+            '∫∑√π∞αβγδε',
+            '𝔽𝕣𝕒𝕔𝕥𝕚𝕠𝕟𝕒𝕝'
+        ];
+
+        samples.forEach(text => {
+            this.test(`Round trip '${text}'`, () => {
+                const grid = this.fc.encode(text);
+                assert(grid.every(row => row.length <= 8), 'Rows must stay 8 cells wide');
+                assert.strictEqual(grid.flat().length, Buffer.byteLength(text, 'utf8') * 8);
+                assert.strictEqual(this.fc.decode(grid), text);
+            });
+        });
+
+        this.test('Round trip random strings across all planes', () => {
+            let seed = 2025;
+            const random = () => {
+                seed = (seed * 1103515245 + 12345) % 2147483648;
+                return seed / 2147483648;
+            };
+
+            for (let i = 0; i < 25; i++) {
+                const codePoints = [];
+                const length = 1 + Math.floor(random() * 12);
+                while (codePoints.length < length) {
+                    const codePoint = Math.floor(random() * 0x110000);
+                    // Lone surrogates are not encodable as UTF-8
+                    if (codePoint < 0xD800 || codePoint > 0xDFFF) {
+                        codePoints.push(codePoint);
+                    }
+                }
+                const text = String.fromCodePoint(...codePoints);
+                assert.strictEqual(this.fc.decode(this.fc.encode(text)), text);
+            }
+        });
+    }
+
+    /**
+     * Grids produced by the original 8-bit encoder still decode
+     */
+    testLegacyGrids() {
+        console.log('\n2. Legacy Grids');
+        console.log('-'.repeat(40));
+
+        const legacyEncode = text => {
+            const cells = text.split('').map(char =>
+                char.charCodeAt(0).toString(2).padStart(8, '0')
+            ).join('').split('').map(bit => (bit === '1' ? '√1' : '0'));
+            return this.fc.formatAsGrid(cells, 8);
+        };
+
+        ['LEV', 'Hello, World!', 'Café', 'Ñandú ±½'].forEach(text => {
+            this.test(`Legacy grid for '${text}' decodes`, () => {
+                assert.strictEqual(this.fc.decode(legacyEncode(text)), text);
+            });
+        });
+    }
+
+    /**
+     * encodeBytes()/decodeBytes() carry arbitrary binary data
+     */
+    testBinaryPayloads() {
+        console.log('\n3. Binary Payloads');
+        console.log('-'.repeat(40));
+
+        this.test('Round trip every byte value', () => {
+            const bytes = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+            const decoded = this.fc.decodeBytes(this.fc.encodeBytes(bytes));
+            assert(Buffer.isBuffer(decoded), 'Should decode to a Buffer');
+            assert(decoded.equals(bytes));
+        });
+
+        this.test('Accepts Uint8Array input', () => {
+            const bytes = new Uint8Array([0, 1, 127, 128, 254, 255]);
+            assert.deepStrictEqual([...this.fc.decodeBytes(this.fc.encodeBytes(bytes))], [...bytes]);
+        });
+
+        this.test('Rejects non-binary input', () => {
+            assert.throws(() => this.fc.encodeBytes('text'), EncodingError);
+            assert.throws(() => this.fc.encode({ value: 1 }), EncodingError);
+        });
+    }
+
+    /**
+     * encodeObject()/decodeObject() serialize canonical JSON
+     */
+    testStructuredData() {
+        console.log('\n4. Structured Data');
+        console.log('-'.repeat(40));
+
+        this.test('Round trip nested objects', () => {
+            const proof = {
+                value: 1,
+                expressions: ['√1', '0!', '7^0'],
+                nested: { ratio: 0.2, unicode: 'π≈3.14', ok: true, none: null }
+            };
+            assert.deepStrictEqual(this.fc.decodeObject(this.fc.encodeObject(proof)), proof);
+        });
+
+        this.test('Key order does not change the grid', () => {
+            const a = this.fc.encodeObject({ amount: 100, currency: 'USD', meta: { b: 2, a: 1 } });
+            const b = this.fc.encodeObject({ meta: { a: 1, b: 2 }, currency: 'USD', amount: 100 });
+            assert.deepStrictEqual(a, b);
+        });
+
+        this.test('Rejects values JSON cannot represent', () => {
+            const circular = { a: 1 };
+            circular.self = circular;
+            assert.throws(() => this.fc.encodeObject(circular), EncodingError);
+            assert.throws(() => this.fc.encodeObject({ value: NaN }), EncodingError);
+            assert.throws(() => this.fc.encodeObject(undefined), EncodingError);
+        });
+
+        this.test('decodeObject() rejects grids without JSON', () => {
+            assert.throws(() => this.fc.decodeObject(this.fc.encode('not json')), EncodingError);
+        });
+    }
+
+    /**
+     * hash() and its expression-grid companion
+     */
+    testHashing() {
+        console.log('\n5. Hashing');
+        console.log('-'.repeat(40));
+
+        this.test('hash() returns the hex digest', () => {
+            const expected = crypto.createHash('sha256').update('Test data').digest('hex');
+            assert.strictEqual(this.fc.hash('Test data'), expected);
+            assert.strictEqual(this.fc.hash(Buffer.from('Test data')), expected);
+            assert.strictEqual(this.fc.hash('Test data', { algorithm: 'sha512' }).length, 128);
+        });
+
+        this.test('hash() rejects unknown algorithms and inputs', () => {
+            assert.throws(() => this.fc.hash('x', { algorithm: 'nope' }), EncodingError);
+            assert.throws(() => this.fc.hash({ value: 1 }), EncodingError);
+        });
+
+        this.test('hashToExpressions() grid decodes to the digest', () => {
+            const grid = this.fc.hashToExpressions('ledger entry');
+            assert.strictEqual(grid.flat().length, 256);
+            assert.strictEqual(this.fc.decodeBytes(grid).toString('hex'), this.fc.hash('ledger entry'));
+            assert(this.fc.verifyHash('ledger entry', grid));
+        });
+
+        this.test('verifyHash() detects other data and tampered cells', () => {
+            const grid = this.fc.hashToExpressions('ledger entry');
+            assert(!this.fc.verifyHash('ledger entry!', grid));
+
+            const tampered = grid.map(row => row.slice());
+            tampered[0][0] = tampered[0][0] === '0' ? '√1' : '0';
+            assert(!this.fc.verifyHash('ledger entry', tampered));
+            assert(!this.fc.verifyHash('ledger entry', grid.slice(1)));
+        });
+    }
+
+    /**
+     * Zero bits written as expressions equal to 0
+     */
+    testZeroExpressions() {
+        console.log('\n6. Zero Expressions');
+        console.log('-'.repeat(40));
+
+        this.test('Every zero expression evaluates to exactly 0', () => {
+            this.fc.getZeroExpressions().forEach(zero => {
+                assert(this.fc.verify(zero.expr, 0, { exact: true }), `${zero.expr} should equal 0`);
+                assert.strictEqual(zero.value(), 0);
+            });
+        });
+
+        this.test('Grid contains no literal zeros and round trips', () => {
+            const grid = this.fc.encode('Fractional Core', { zeros: 'expressions' });
+            assert(!grid.flat().includes('0'), 'No cell should be a literal 0');
+            assert(new Set(grid.flat()).size > 16, 'Zero cells should be diverse');
+            assert.deepStrictEqual(grid.scheme, { advanced: false, zeros: 'expressions', base: 2, keyed: false, ecc: 'none', framed: false, compression: 'none' });
+            assert.strictEqual(this.fc.decode(grid), 'Fractional Core');
+        });
+
+        this.test('Scheme can be supplied when the grid lost its metadata', () => {
+            const grid = this.fc.encode('LEV', { zeros: 'expressions' });
+            const plain = JSON.parse(JSON.stringify(grid));
+            assert.strictEqual(plain.scheme, undefined);
+            assert.strictEqual(this.fc.decode(plain, { zeros: 'expressions' }), 'LEV');
+        });
+
+        this.test('Legacy boolean option and unknown schemes', () => {
+            assert.deepStrictEqual(this.fc.encode('A', true).scheme, { advanced: true, zeros: 'literal', base: 2, keyed: false, ecc: 'none', framed: false, compression: 'none' });
+            assert.throws(() => this.fc.encode('A', { zeros: 'random' }), EncodingError);
+        });
+    }
+
+    /**
+     * Cells carrying one base-N digit each
+     */
+    testBaseN() {
+        console.log('\n7. Base-N Encoding');
+        console.log('-'.repeat(40));
+
+        const bytes = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+        const capacity = this.fc.calculateCapacity(bytes.length);
+
+        capacity.forEach(({ base, cellsPerByte, cells }) => {
+            this.test(`Base ${base} round trips every byte value`, () => {
+                const grid = this.fc.encodeBytes(bytes, { base });
+                assert.strictEqual(grid.flat().length, cells);
+                assert.strictEqual(grid.scheme.base, base);
+                assert(this.fc.decodeBytes(grid).equals(bytes));
+            });
+
+            this.test(`Base ${base} round trips Unicode text with zero expressions`, () => {
+                const text = 'Fractional Core • 分数 🔒';
+                const grid = this.fc.encode(text, { base, zeros: 'expressions' });
+                assert(!grid.flat().includes('0'), 'No cell should be a literal 0');
+                assert.strictEqual(grid.flat().length, Buffer.byteLength(text) * cellsPerByte);
+                assert.strictEqual(this.fc.decode(grid), text);
+            });
+        });
+
+        this.test('Capacity reports cells per byte for each base', () => {
+            const perByte = Object.fromEntries(this.fc.calculateCapacity().map(c => [c.base, c.cellsPerByte]));
+            assert.deepStrictEqual(perByte, { 2: 8, 4: 4, 8: 3, 10: 3, 16: 2 });
+            assert.throws(() => this.fc.calculateCapacity(-1), EncodingError);
+        });
+
+        this.test('Base can be supplied when the grid lost its metadata', () => {
+            const plain = JSON.parse(JSON.stringify(this.fc.encode('LEV', { base: 16 })));
+            assert.strictEqual(this.fc.decode(plain, { base: 16 }), 'LEV');
+            assert.throws(() => this.fc.decode(plain), error => error instanceof InvalidCellsError &&
+                error.cells.some(cell => cell.error === 'Evaluates to 12, not 0 or 1'));
+            assert.throws(() => this.fc.decode(plain, { base: 4 }), error => error.code === 'INVALID_CELL');
+        });
+
+        this.test('Rejects unsupported bases and out-of-range cells', () => {
+            assert.throws(() => this.fc.encode('A', { base: 3 }), EncodingError);
+
+            const grid = this.fc.encode('A', { base: 10 });
+            grid[0][0] = '√4+1';
+            assert.throws(() => this.fc.decode(grid), error => error.code === 'INVALID_CELL');
+            grid[0][0] = '√2';
+            assert.throws(() => this.fc.decode(grid), error => error.code === 'INVALID_CELL');
+        });
+    }
+
+    /**
+     * Secret-keyed expression choice and cell order
+     */
+    testKeyedLayout() {
+        console.log('\n8. Keyed Layout');
+        console.log('-'.repeat(40));
+
+        const message = 'Meet at the library';
+        const key = 'correct horse battery staple';
+        const ones = grid => grid.flat().filter(cell => cell !== '0');
+        const bitCount = bytes => [...bytes].reduce((sum, byte) => sum + byte.toString(2).split('1').length - 1, 0);
+
+        this.test('Same key reproduces the layout, other keys do not', () => {
+            const grid = this.fc.encode(message, { key });
+            assert.deepStrictEqual(this.fc.encode(message, { key }), grid);
+            assert.notDeepStrictEqual(this.fc.encode(message, { key: 'another key' }), grid);
+            assert.notDeepStrictEqual(ones(grid), ones(this.fc.encode(message)));
+            assert.strictEqual(grid.scheme.keyed, true);
+            assert.strictEqual(JSON.stringify(grid.scheme).includes(key), false, 'Key must not be stored on the grid');
+        });
+
+        this.test('Round trips with the key', () => {
+            const binaryKey = crypto.randomBytes(32);
+            assert.strictEqual(this.fc.decode(this.fc.encode(message, { key }), { key }), message);
+            assert.strictEqual(this.fc.decode(this.fc.encode(message, { key: binaryKey, zeros: 'expressions' }), { key: binaryKey }), message);
+            assert.strictEqual(this.fc.decode(this.fc.encode(message, { key, base: 16 }), { key }), message);
+        });
+
+        this.test('Without the key values decode but bit order is scrambled', () => {
+            const grid = this.fc.encode(message, { key, zeros: 'expressions' });
+            const original = Buffer.from(message);
+            const scrambled = this.fc.decodeBytes(grid);
+            assert.strictEqual(scrambled.length, original.length);
+            assert.strictEqual(bitCount(scrambled), bitCount(original));
+            assert(!scrambled.equals(original));
+            assert(!this.fc.decodeBytes(grid, { key: 'wrong key' }).equals(original));
+        });
+
+        this.test('Keyed hash grids verify only with the key', () => {
+            const grid = this.fc.hashToExpressions('ledger entry', { key });
+            assert(this.fc.verifyHash('ledger entry', grid, { key }));
+            assert(!this.fc.verifyHash('ledger entry', grid));
+        });
+
+        this.test('Rejects empty or non-binary keys', () => {
+            assert.throws(() => this.fc.encode(message, { key: '' }), EncodingError);
+            assert.throws(() => this.fc.encode(message, { key: 42 }), EncodingError);
+        });
+    }
+
+    /**
+     * encryptAndEncode()/decodeAndDecrypt() with scrypt and AES-256-GCM
+     */
+    testEncryption() {
+        console.log('\n9. Encryption');
+        console.log('-'.repeat(40));
+
+        const message = 'Answer key: 42 • π ≈ 3.14';
+        const passphrase = 'memorial covenant';
+        const isAuthError = error => error instanceof EncodingError && error.code === 'AUTHENTICATION_FAILED';
+        const flip = cell => (cell === '0' ? '√1' : '0');
+
+        this.test('Round trips with the passphrase', () => {
+            const grid = this.fc.encryptAndEncode(message, passphrase);
+            assert.strictEqual(this.fc.decodeAndDecrypt(grid, passphrase), message);
+            assert.notStrictEqual(this.fc.decode(grid), message);
+        });
+
+        this.test('Fresh salt and nonce on every call', () => {
+            const a = this.fc.encryptAndEncode(message, passphrase, { cost: 10 });
+            const b = this.fc.encryptAndEncode(message, passphrase, { cost: 10 });
+            assert.notDeepStrictEqual(a, b);
+        });
+
+        this.test('Wrong passphrase is an authentication error', () => {
+            const grid = this.fc.encryptAndEncode(message, passphrase, { cost: 10 });
+            assert.throws(() => this.fc.decodeAndDecrypt(grid, 'memorial covenant!'), isAuthError);
+        });
+
+        this.test('Tampered header or ciphertext cells are detected', () => {
+            const grid = this.fc.encryptAndEncode(message, passphrase, { cost: 10 });
+            [[0, 3], [4, 0], [grid.length - 1, 7]].forEach(([row, column]) => {
+                const tampered = grid.map(cells => cells.slice());
+                tampered[row][column] = flip(tampered[row][column]);
+                assert.throws(() => this.fc.decodeAndDecrypt(tampered, passphrase), isAuthError);
+            });
+            assert.throws(() => this.fc.decodeAndDecrypt(grid.slice(0, 10), passphrase), isAuthError);
+        });
+
+        this.test('Combines with base-N and keyed layouts', () => {
+            const options = { cost: 10, base: 16, key: 'layout key', zeros: 'expressions' };
+            const grid = this.fc.encryptAndEncode(message, passphrase, options);
+            assert.strictEqual(this.fc.decodeAndDecrypt(grid, passphrase, { key: 'layout key' }), message);
+
+            grid[1][1] = '√2';
+            assert.throws(() => this.fc.decodeAndDecrypt(grid, passphrase, { key: 'layout key' }), isAuthError);
+        });
+
+        this.test('Rejects empty passphrases and invalid costs', () => {
+            assert.throws(() => this.fc.encryptAndEncode(message, ''), EncodingError);
+            assert.throws(() => this.fc.encryptAndEncode(message, passphrase, { cost: 40 }), EncodingError);
+        });
+    }
+
+    /**
+     * Hamming(7,4) and Reed-Solomon protection against damaged cells
+     */
+    testErrorCorrection() {
+        console.log('\n10. Error Correction');
+        console.log('-'.repeat(40));
+
+        const message = 'Worksheet 7: fractions & roots';
+        const copy = grid => {
+            const cloned = grid.map(row => row.slice());
+            cloned.scheme = grid.scheme;
+            return cloned;
+        };
+        const flip = cell => (cell === '0' ? '√1' : '0');
+
+        ['hamming', 'reed-solomon'].forEach(ecc => {
+            this.test(`${ecc} round trips undamaged grids`, () => {
+                const grid = this.fc.encode(message, { ecc });
+                assert.strictEqual(grid.scheme.ecc, ecc);
+                assert.deepStrictEqual(this.fc.decodeWithCorrections(grid), { text: message, corrected: 0, corrections: [] });
+            });
+        });
+
+        this.test('Hamming repairs one flipped cell per codeword and reports it', () => {
+            const grid = this.fc.encode(message, { ecc: 'hamming' });
+            const damaged = copy(grid);
+            damaged[0][2] = flip(damaged[0][2]);
+            damaged[3][5] = 'not math';
+            assert.notStrictEqual(this.fc.decode(damaged, { ecc: 'none' }), message);
+
+            const result = this.fc.decodeWithCorrections(damaged);
+            assert.strictEqual(result.text, message);
+            assert.strictEqual(this.fc.decode(damaged), message);
+            const where = result.corrections.map(({ row, column }) => [row, column]);
+            assert(where.some(([row, column]) => row === 0 && column === 2));
+            assert(result.corrections.every(({ row, column }) => damaged[row][column] !== grid[row][column]));
+        });
+
+        this.test('Reed-Solomon repairs scattered damage in base 16 and keyed grids', () => {
+            const options = { ecc: 'reed-solomon', base: 16, key: 'layout', zeros: 'expressions' };
+            const grid = this.fc.encode(message, options);
+            const damaged = copy(grid);
+            const hits = [[0, 0], [1, 3], [2, 7], [4, 4], [6, 1], [7, 6]];
+            hits.forEach(([row, column]) => {
+                damaged[row][column] = row % 2 ? '√2' : '3+4';
+            });
+
+            const result = this.fc.decodeWithCorrections(damaged, { key: 'layout' });
+            assert.strictEqual(result.text, message);
+            assert.strictEqual(result.corrected, hits.length);
+            assert.deepStrictEqual(
+                result.corrections.map(({ row, column }) => `${row},${column}`).sort(),
+                hits.map(([row, column]) => `${row},${column}`).sort()
+            );
+        });
+
+        this.test('Reed-Solomon reports damage beyond its capacity', () => {
+            const grid = this.fc.encode('short', { ecc: 'reed-solomon' });
+            const damaged = copy(grid);
+            for (let row = 0; row < 20; row++) {
+                damaged[row][row % 8] = flip(damaged[row][row % 8]);
+            }
+            assert.throws(() => this.fc.decode(damaged), error => error.code === 'UNCORRECTABLE');
+        });
+
+        this.test('Works underneath encryption and hash grids', () => {
+            const grid = this.fc.encryptAndEncode(message, 'secret', { cost: 10, ecc: 'reed-solomon' });
+            const damaged = copy(grid);
+            damaged[5][5] = flip(damaged[5][5]);
+            assert.strictEqual(this.fc.decodeAndDecrypt(damaged, 'secret'), message);
+
+            const hashGrid = this.fc.hashToExpressions('ledger entry', { ecc: 'hamming' });
+            assert(this.fc.verifyHash('ledger entry', hashGrid));
+        });
+
+        this.test('Rejects unknown codes', () => {
+            assert.throws(() => this.fc.encode(message, { ecc: 'parity' }), EncodingError);
+        });
+    }
+
+    /**
+     * Self-describing frames: header, length and checksum
+     */
+    testFramedContainer() {
+        console.log('\n11. Framed Container');
+        console.log('-'.repeat(40));
+
+        const message = 'Framed • message';
+        const strip = grid => JSON.parse(JSON.stringify(grid));
+        const hasCode = code => error => error instanceof EncodingError && error.code === code;
+
+        this.test('Frames decode without options after losing metadata', () => {
+            [
+                { framed: true },
+                { framed: true, zeros: 'expressions', base: 16 },
+                { framed: true, base: 8, ecc: 'reed-solomon' },
+                { framed: true, base: 4, ecc: 'hamming', zeros: 'expressions' }
+            ].forEach(options => {
+                const grid = strip(this.fc.encode(message, options));
+                assert.strictEqual(this.fc.decode(grid), message, JSON.stringify(options));
+            });
+        });
+
+        this.test('Header adds 112 binary cells', () => {
+            const plain = this.fc.encode(message).flat().length;
+            assert.strictEqual(this.fc.encode(message, { framed: true }).flat().length, plain + 112);
+        });
+
+        this.test('Unframed grids are not mistaken for frames', () => {
+            assert.strictEqual(this.fc.decode(this.fc.encode('FC')), 'FC');
+            const bytes = Buffer.from([0xFC, 0x46, 0x43, 0x00]);
+            assert(this.fc.decodeBytes(this.fc.encodeBytes(bytes), { framed: false }).equals(bytes));
+            [bytes, Buffer.from([0xFC, 0x46, 0x43, 0x07, 0x20, 0x00, 0, 0, 0, 4, 1, 2, 3, 4, 5, 6]), Buffer.from([0xFC, 0x46, 0x43, 0x02, 0xFF, 0x09, 0xAB])].forEach(payload => {
+                assert(this.fc.decodeBytes(strip(this.fc.encodeBytes(payload))).equals(payload), payload.toString('hex'));
+            });
+        });
+
+        this.test('Truncated frames are rejected', () => {
+            const grid = strip(this.fc.encode(message, { framed: true }));
+            assert.throws(() => this.fc.decode(grid.slice(0, -1)), hasCode('TRUNCATED'));
+            assert.throws(() => this.fc.decode(grid.slice(0, 10)), hasCode('TRUNCATED'));
+        });
+
+        this.test('Corrupted payload or header fails the checksum', () => {
+            const grid = strip(this.fc.encode(message, { framed: true }));
+            const payloadCell = grid[20][3];
+            grid[20][3] = payloadCell === '0' ? '√1' : '0';
+            assert.throws(() => this.fc.decode(grid), hasCode('CHECKSUM_MISMATCH'));
+            grid[20][3] = payloadCell;
+
+            grid[8][7] = grid[8][7] === '0' ? '√1' : '0';
+            assert.throws(() => this.fc.decode(grid), error => error instanceof EncodingError);
+        });
+
+        this.test('Keyed frames ask for the key', () => {
+            const grid = strip(this.fc.encode(message, { framed: true, key: 'layout' }));
+            assert.throws(() => this.fc.decode(grid), hasCode('KEY_REQUIRED'));
+            assert.strictEqual(this.fc.decode(grid, { key: 'layout' }), message);
+        });
+
+        this.test('Unknown versions are reported', () => {
+            const grid = this.fc.encode(message, { framed: true });
+            // Version byte 1 -> 3: set bit 6 of byte 3 (cell 30)
+            grid[3][6] = '√1';
+            assert.throws(() => this.fc.decode(grid), hasCode('UNSUPPORTED_VERSION'));
+        });
+    }
+
+    /**
+     * createEncodeStream()/createDecodeStream() match the batch API
+     */
+    async testStreams() {
+        console.log('\n12. Streams');
+        console.log('-'.repeat(40));
+
+        const payload = crypto.randomBytes(3000);
+        const chunked = (items, size) => {
+            const chunks = [];
+            for (let i = 0; i < items.length; i += size) {
+                chunks.push(items.slice(i, i + size));
+            }
+            return chunks;
+        };
+        const collect = async stream => {
+            const output = [];
+            for await (const item of stream) {
+                output.push(item);
+            }
+            return output;
+        };
+        const encodeRows = (options, chunkSize) =>
+            collect(Readable.from(chunked(payload, chunkSize)).pipe(this.fc.createEncodeStream(options)));
+        const decodeRows = (rows, options, onCorrection = () => {}) => {
+            const decoder = this.fc.createDecodeStream(options).on('correction', onCorrection);
+            return collect(Readable.from(rows, { objectMode: true }).pipe(decoder)).then(Buffer.concat);
+        };
+
+        const schemes = [
+            {},
+            { base: 16, zeros: 'expressions' },
+            { ecc: 'hamming' },
+            { base: 10, ecc: 'reed-solomon' }
+        ];
+
+        await this.testAsync('Rows match encodeBytes()', async () => {
+            for (const options of schemes) {
+                const rows = await encodeRows(options, 777);
+                const expected = this.fc.encodeBytes(payload, options);
+                assert.strictEqual(JSON.stringify(rows), JSON.stringify(expected), JSON.stringify(options));
+            }
+        });
+
+        await this.testAsync('Round trip', async () => {
+            for (const options of schemes) {
+                const rows = await encodeRows(options, 1000);
+                assert((await decodeRows(rows, options)).equals(payload), JSON.stringify(options));
+            }
+        });
+
+        await this.testAsync('Output does not depend on chunking', async () => {
+            const options = { ecc: 'reed-solomon' };
+            const whole = JSON.stringify(await encodeRows(options, payload.length));
+            assert.strictEqual(JSON.stringify(await encodeRows(options, 1)), whole);
+            assert.strictEqual(JSON.stringify(await encodeRows(options, 223)), whole);
+        });
+
+        await this.testAsync('Large chunks drain under backpressure', async () => {
+            const large = crypto.randomBytes(40000);
+            let rows = 0;
+            for await (const row of Readable.from(chunked(large, 10000)).pipe(this.fc.createEncodeStream())) {
+                rows += row.length > 0 ? 1 : 0;
+            }
+            assert.strictEqual(rows, large.length);
+        });
+
+        await this.testAsync('Decode stream reports corrections', async () => {
+            const options = { ecc: 'reed-solomon' };
+            const rows = this.fc.encodeBytes(payload, options);
+            const row = rows.length - 5;
+            rows[row][2] = rows[row][2] === '0' ? '√1' : '0';
+
+            const corrections = [];
+            const bytes = await decodeRows(rows, options, correction => corrections.push(correction));
+            assert(bytes.equals(payload));
+            assert.deepStrictEqual(corrections.map(({ row, column }) => [row, column]), [[row, 2]]);
+        });
+
+        this.test('Keyed and framed streams are rejected', () => {
+            const invalid = error => error instanceof EncodingError && error.code === 'INVALID_OPTION';
+            assert.throws(() => this.fc.createEncodeStream({ key: 'layout' }), invalid);
+            assert.throws(() => this.fc.createDecodeStream({ framed: true }), invalid);
+        });
+    }
+
+    /**
+     * Optional deflate/brotli stage, recorded in the scheme or frame
+     */
+    testCompression() {
+        console.log('\n13. Compression');
+        console.log('-'.repeat(40));
+
+        const lecture = 'Truth is fractional: ½ + ⅓ + ⅙ = 1. '.repeat(30);
+        const strip = grid => JSON.parse(JSON.stringify(grid));
+
+        this.test('Compressed grids decode without options', () => {
+            ['deflate', 'brotli'].forEach(compression => {
+                [{}, { base: 16 }, { ecc: 'reed-solomon', framed: true }].forEach(options => {
+                    const grid = this.fc.encode(lecture, { ...options, compression });
+                    assert.strictEqual(grid.scheme.compression, compression);
+                    assert.strictEqual(this.fc.decode(grid), lecture, `${compression} ${JSON.stringify(options)}`);
+                    assert.strictEqual(this.fc.decode(strip(grid), options), lecture, `${compression} ${JSON.stringify(options)} stripped`);
+                });
+            });
+            assert.strictEqual(this.fc.decode(strip(this.fc.encode('hello', { compression: 'deflate' }))), 'hello');
+        });
+
+        this.test('Repetitive text shrinks', () => {
+            const plain = this.fc.encode(lecture).flat().length;
+            assert(this.fc.encode(lecture, { compression: 'brotli' }).flat().length * 10 < plain);
+        });
+
+        this.test('Uncompressed binary that looks marked is left alone', () => {
+            [[0xFC, 0x5A, 0x01, 0x00], [0xFC, 0x5A, 0x07, 0x00]].forEach(prefix => {
+                const bytes = Buffer.from(prefix);
+                assert(this.fc.decodeBytes(this.fc.encodeBytes(bytes)).equals(bytes));
+                assert(this.fc.decodeBytes(strip(this.fc.encodeBytes(bytes))).equals(bytes));
+                assert(this.fc.decodeBytes(strip(this.fc.encodeBytes(bytes, { framed: true }))).equals(bytes));
+            });
+        });
+
+        this.test('Damaged compressed payloads are reported', () => {
+            const grid = strip(this.fc.encodeBytes(Buffer.from([0xFC, 0x5A, 0x01, 0xFF, 0xFF])));
+            assert.throws(() => this.fc.decodeBytes(grid, { compression: 'deflate' }), error => error.code === 'DECOMPRESSION_FAILED');
+            assert.throws(() => this.fc.decodeBytes(grid, { compression: 'brotli' }), error => error.code === 'DECOMPRESSION_FAILED');
+            assert.throws(() => this.fc.decodeBytes(grid, { compression: 'zip' }), error => error.code === 'INVALID_OPTION');
+        });
+
+        this.test('Compression is applied before encryption', () => {
+            const grid = this.fc.encryptAndEncode(lecture, 'notes', { cost: 10, compression: 'deflate' });
+            assert(grid.flat().length < this.fc.encode(lecture).flat().length / 5);
+            assert.strictEqual(this.fc.decodeAndDecrypt(grid, 'notes'), lecture);
+        });
+
+        this.test('estimateSize() matches the encoded grids', () => {
+            const options = { base: 8, ecc: 'hamming', framed: true };
+            const estimates = this.fc.estimateSize(lecture, options);
+            assert.deepStrictEqual(estimates.map(estimate => estimate.compression), ['none', 'deflate', 'brotli']);
+            estimates.forEach(({ compression, cells }) => {
+                assert.strictEqual(this.fc.encode(lecture, { ...options, compression }).flat().length, cells);
+            });
+            assert.throws(() => this.fc.encode(lecture, { compression: 'zip' }), EncodingError);
+        });
+    }
+
+    /**
+     * decodeText() reads grids typeset in documents
+     */
+    testDocumentDecoding() {
+        console.log('\n14. Document Decoding');
+        console.log('-'.repeat(40));
+
+        const message = 'Worksheet ½';
+        const grid = this.fc.encode(message);
+        const latexOf = new Map(this.fc.getStandardFractions().map(fraction => [fraction.expr, fraction.latex]));
+
+        this.test('LaTeX tabular using the fraction latex fields', () => {
+            const rows = grid.map(row => row.map(cell => (cell === '0' ? '0' : `$${latexOf.get(cell)}$`)).join(' & '));
+            const document = [
+                '\\documentclass{article}',
+                '\\begin{document}',
+                '\\begin{tabular}{|c|c|c|c|c|c|c|c|}',
+                '\\hline',
+                rows.join(' \\\\ \\hline\n') + ' \\\\ \\hline',
+                '\\end{tabular}',
+                '\\end{document}'
+            ].join('\n');
+            assert.strictEqual(this.fc.decodeText(document), message);
+            assert.strictEqual(this.fc.decodeText(document, { format: 'latex' }), message);
+        });
+
+        this.test('LaTeX array of generated base-16 expressions', () => {
+            const dense = this.fc.encode(message, { base: 16 });
+            const toLatex = cell => cell.replace(/√(\d+)/g, '\\sqrt{$1}').replace(/×/g, ' \\times ');
+            const document = `$$\\begin{array}{cccccccc}\n${dense.map(row => row.map(toLatex).join(' & ')).join(' \\\\\n')}\n\\end{array}$$`;
+            assert.strictEqual(this.fc.decodeText(document, { base: 16 }), message);
+        });
+
+        this.test('HTML table with entities and header cells', () => {
+            const body = grid.map(row => `<tr>${row.map(cell => `<td><code>${cell.replace(/\|/g, '&#124;')}</code></td>`).join('')}</tr>`);
+            const document = `<table><thead><tr><th>Bits</th></tr></thead><tbody>${body.join('\n')}</tbody></table>`;
+            assert.strictEqual(this.fc.decodeText(document), message);
+        });
+
+        this.test('Markdown table with escaped pipes', () => {
+            const header = `| ${grid[0].map((_, i) => i + 1).join(' | ')} |`;
+            const separator = `|${grid[0].map(() => '---').join('|')}|`;
+            const body = grid.map(row => `| ${row.map(cell => '`' + cell.replace(/\|/g, '\\|') + '`').join(' | ')} |`);
+            assert.strictEqual(this.fc.decodeText([header, separator, ...body].join('\n')), message);
+        });
+
+        this.test('Plain text and blank zero cells', () => {
+            assert.strictEqual(this.fc.decodeText(grid.map(row => row.join(' ')).join('\n')), message);
+            const blanks = grid.map(row => `<tr>${row.map(cell => `<td>${cell === '0' ? '' : cell}</td>`).join('')}</tr>`);
+            assert.strictEqual(this.fc.decodeText(`<table>${blanks.join('')}</table>`, { format: 'html' }), message);
+        });
+
+        this.test('Unknown formats and missing tables are rejected', () => {
+            assert.throws(() => this.fc.decodeText('a b', { format: 'docx' }), error => error.code === 'INVALID_OPTION');
+            assert.throws(() => this.fc.decodeText('No table here', { format: 'latex' }), error => error.code === 'INVALID_DOCUMENT');
+        });
+    }
+
+    /**
+     * renderLaTeX(), renderMathML() and renderHTML() typeset a grid that
+     * decodeText() reads back
+     */
+    testRendering() {
+        console.log('\n15. Rendering');
+        console.log('-'.repeat(40));
+
+        const message = 'Worksheet ½';
+        const grid = this.fc.encode(message);
+
+        this.test('LaTeX document round trip', () => {
+            const latex = this.fc.renderLaTeX(grid);
+            assert.ok(latex.startsWith('\\documentclass{article}'));
+            assert.ok(latex.includes('\\section*{Fractional Core Worksheet}'));
+            assert.ok(this.fc.renderLaTeX([['√16/4']]).includes('$\\frac{\\sqrt{16}}{4}$'));
+            assert.strictEqual(this.fc.decodeText(latex), message);
+        });
+
+        this.test('LaTeX fragment with columns, spacing and hidden zeros', () => {
+            const latex = this.fc.renderLaTeX(grid, { document: false, columns: 5, spacing: 2, showZeros: false });
+            assert.ok(!latex.includes('\\documentclass'));
+            assert.ok(latex.includes('\\begin{tabular}{ccccc}'));
+            assert.ok(latex.includes('\\setlength{\\tabcolsep}{1em}'));
+            assert.ok(!latex.includes('$0$'));
+            assert.strictEqual(this.fc.decodeText(latex), message);
+        });
+
+        this.test('Generated expressions are typeset from their syntax tree', () => {
+            const dense = this.fc.encode(message, { base: 16, zeros: 'expressions' });
+            const latex = this.fc.renderLaTeX(dense, { document: false });
+            assert.ok(!latex.includes('\\text{'));
+            assert.strictEqual(this.fc.decodeText(latex, { base: 16 }), message);
+        });
+
+        this.test('LaTeX and HTML carry the scheme', () => {
+            [{ base: 16, zeros: 'expressions' }, { base: 4, ecc: 'hamming' }, { ecc: 'reed-solomon', compression: 'deflate' }].forEach(options => {
+                const encoded = this.fc.encode(message, options);
+                const fragment = this.fc.renderLaTeX(encoded, { document: false });
+                assert.ok(fragment.startsWith(`% fc-scheme: ${JSON.stringify(encoded.scheme)}\n`));
+                assert.strictEqual(this.fc.decodeText(fragment), message, JSON.stringify(options));
+                assert.strictEqual(this.fc.decodeText(this.fc.renderLaTeX(encoded)), message);
+                assert.strictEqual(this.fc.decodeText(this.fc.renderHTML(encoded)), message);
+            });
+            assert.ok(this.fc.renderHTML([['√1']]).includes('\n<table>\n'));
+            const broken = this.fc.renderLaTeX(this.fc.encode(message, { base: 16 })).replace(/fc-scheme: \{/, 'fc-scheme: {,');
+            assert.throws(() => this.fc.decodeText(broken), error => error.code === 'INVALID_DOCUMENT');
+        });
+
+        this.test('Matrix functions are typeset as operator names', () => {
+            const latex = this.fc.renderLaTeX([['det(inv(I))', 'tr(I)', 'rank(I)']], { document: false });
+            assert.ok(latex.includes('$\\det\\left(\\operatorname{inv}\\left(I\\right)\\right)$'));
+            assert.ok(latex.includes('$\\operatorname{tr}\\left(I\\right)$ & $\\operatorname{rank}\\left(I\\right)$'));
+            assert.ok(!latex.includes('undefined'));
+            const matrices = grid.map(row => row.map(cell => (cell === '0' ? cell : 'det(inv(I))')));
+            assert.strictEqual(this.fc.decodeText(this.fc.renderLaTeX(matrices)), message);
+        });
+
+        this.test('MathML uses fractions, radicals and a table', () => {
+            const mathml = this.fc.renderMathML(grid, { columns: 4 });
+            assert.ok(mathml.startsWith('<math xmlns="http://www.w3.org/1998/Math/MathML" display="block">'));
+            assert.strictEqual((mathml.match(/<mtr>/g) || []).length, Math.ceil(grid.flat().length / 4));
+            const cell = this.fc.renderMathML([['√16/4']]);
+            assert.ok(cell.includes('<mtd><mfrac><msqrt><mn>16</mn></msqrt><mn>4</mn></mfrac></mtd>'));
+        });
+
+        this.test('HTML page is accessible and decodes back', () => {
+            const html = this.fc.renderHTML(grid, { title: 'Q&A', showZeros: false });
+            assert.ok(html.startsWith('<!DOCTYPE html>\n<html lang="en">'));
+            assert.ok(html.includes('<title>Q&amp;A</title>'));
+            assert.ok(html.includes('<th scope="row">1</th>'));
+            assert.ok(html.includes(`<td data-expression="${grid[0][1]}"><math alttext="${grid[0][1]}">`));
+            assert.strictEqual(this.fc.decodeText(html), message);
+        });
+
+        this.test('Invalid layout options are rejected', () => {
+            assert.throws(() => this.fc.renderLaTeX(grid, { columns: 0 }), error => error.code === 'INVALID_OPTION');
+            assert.throws(() => this.fc.renderHTML(grid, { spacing: -1 }), error => error.code === 'INVALID_OPTION');
+        });
+    }
+
+    /**
+     * renderSVG() lays out expressions and decodeSVG() reads them back
+     */
+    testSvgRendering() {
+        console.log('\n16. SVG Rendering');
+        console.log('-'.repeat(40));
+
+        const message = 'Slides ½';
+
+        this.test('Round trip with the scheme carried in metadata', () => {
+            [{}, { base: 16, zeros: 'expressions' }, { ecc: 'reed-solomon', compression: 'deflate' }].forEach(options => {
+                const svg = this.fc.renderSVG(this.fc.encode(message, options));
+                assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'));
+                assert.strictEqual(this.fc.decodeSVG(svg), message);
+            });
+        });
+
+        this.test('Cells are read from data-expression without metadata', () => {
+            const grid = this.fc.encode(message, { base: 8 });
+            const svg = this.fc.renderSVG(grid, { showZeros: false }).replace(/<metadata>[\s\S]*?<\/metadata>/, '');
+            assert.strictEqual(this.fc.decodeSVG(svg, { base: 8 }), message);
+        });
+
+        this.test('Fractions, radicals and exponents are drawn, not spelled out', () => {
+            const svg = this.fc.renderSVG([['√16/4', '2^(3^2)']]);
+            const fraction = /<g data-expression="√16\/4">(.*)<\/g>/.exec(svg)[1];
+            assert.ok(fraction.includes('<line'));
+            assert.ok(fraction.includes('<path'));
+            assert.deepStrictEqual(fraction.match(/>[^<]+</g), ['>16<', '>4<']);
+
+            const sizes = [...svg.matchAll(/<g data-expression="2\^\(3\^2\)">.*$/gm)][0][0]
+                .match(/font-size="([\d.]+)"/g).map(size => parseFloat(size.slice(11)));
+            assert.ok(sizes[2] < sizes[1] && sizes[1] < sizes[0]);
+        });
+
+        this.test('Themes set colours and fonts', () => {
+            const grid = [['1', '0']];
+            assert.ok(this.fc.renderSVG(grid, { theme: 'dark' }).includes('fill="#0d1117"'));
+            const custom = this.fc.renderSVG(grid, { theme: { foreground: '#336699', fontFamily: 'Fira Math' } });
+            assert.ok(custom.includes('color="#336699"'));
+            assert.ok(custom.includes('font-family="Fira Math"'));
+            assert.ok(!this.fc.renderSVG(grid, { theme: 'print' }).includes('<rect x='));
+        });
+
+        this.test('Output is self-contained', () => {
+            const svg = this.fc.renderSVG(this.fc.encode(message, { zeros: 'expressions' }));
+            assert.ok(!/href|<script|<style|@import|url\(/.test(svg));
+        });
+
+        this.test('Bad options and documents are rejected', () => {
+            assert.throws(() => this.fc.renderSVG([['1']], { theme: 'neon' }), error => error.code === 'INVALID_OPTION');
+            assert.throws(() => this.fc.renderSVG([['1']], { theme: { glow: '#fff' } }), error => error.code === 'INVALID_OPTION');
+            assert.throws(() => this.fc.renderSVG([['1']], { fontSize: 0 }), error => error.code === 'INVALID_OPTION');
+            assert.throws(() => this.fc.decodeSVG('<svg xmlns="http://www.w3.org/2000/svg"/>'), error => error.code === 'INVALID_DOCUMENT');
+        });
+    }
+
+    /**
+     * renderBraille() and renderSSML() cover every library expression, and
+     * decodeBraille() reads transcriptions back
+     */
+    testBrailleAndSpeech() {
+        console.log('\n17. Braille and Speech');
+        console.log('-'.repeat(40));
+
+        const message = 'Braille ½';
+        const library = this.fc.expressionTables().map(({ expr }) => expr);
+
+        this.test('Nemeth and UEB transcriptions', () => {
+            const nemeth = expr => this.fc.describeExpression(expr).braille;
+            const ueb = expr => this.fc.describeExpression(expr, { code: 'ueb' }).braille;
+            assert.strictEqual(nemeth('√16/4'), '⠹⠜⠂⠖⠻⠌⠲⠼');
+            assert.strictEqual(nemeth('|−1|'), '⠳⠤⠂⠳');
+            assert.strictEqual(nemeth('0.25*4'), '⠼⠴⠨⠆⠢⠈⠡⠲');
+            assert.strictEqual(nemeth('7^0-1'), '⠼⠶⠘⠴⠐⠤⠂');
+            assert.strictEqual(ueb('√16/4'), '⠰⠷⠰⠩⠼⠁⠋⠰⠬⠰⠌⠼⠙⠰⠾');
+            assert.strictEqual(ueb('1/1'), '⠼⠁⠌⠁');
+            assert.strictEqual(ueb('7^0'), '⠼⠛⠔⠼⠚');
+        });
+
+        this.test('Every library expression reads back from Braille', () => {
+            ['nemeth', 'ueb'].forEach(code => {
+                const table = new Map(library.map(expr => [this.fc.describeExpression(expr, { code }).braille, expr]));
+                assert.strictEqual(table.size, library.length);
+                library.forEach(expr => {
+                    const braille = this.fc.describeExpression(expr, { code }).braille;
+                    assert.strictEqual(brailleToExpression(braille, code, table), expr);
+                    if (this.fc.isValidExpression(expr)) {
+                        const back = brailleToExpression(braille, code);
+                        assert.strictEqual(this.fc.evaluateExpression(back, { exact: false }), this.fc.evaluateExpression(expr, { exact: false }), `${code} ${expr} -> ${back}`);
+                    }
+                });
+            });
+        });
+
+        this.test('Grids round trip in both codes', () => {
+            [{}, { base: 16, zeros: 'expressions' }, { ecc: 'hamming' }].forEach(options => {
+                const grid = this.fc.encode(message, options);
+                assert.strictEqual(this.fc.decodeBraille(this.fc.renderBraille(grid), options), message);
+                const ueb = this.fc.renderBraille(grid, { code: 'ueb', columns: 5 });
+                assert.ok(ueb.startsWith('⠰⠰⠰\n'));
+                // Transcribers often type blank cells as spaces
+                assert.strictEqual(this.fc.decodeBraille(ueb.replace(/⠀/g, ' '), options), message);
+            });
+        });
+
+        this.test('Spoken forms', () => {
+            const speech = expr => this.fc.describeExpression(expr).speech;
+            assert.strictEqual(speech('√16/4'), 'the fraction with numerator the square root of 16, and denominator 4, end fraction');
+            assert.strictEqual(speech('1/1'), '1 over 1');
+            assert.strictEqual(speech('0^3'), '0 cubed');
+            assert.strictEqual(speech('|−1|'), 'the absolute value of negative 1');
+            assert.strictEqual(speech('lim(x→1) x'), 'the limit as x approaches 1 of x');
+            assert.strictEqual(speech('sin²θ + cos²θ'), 'sine squared theta plus cosine squared theta');
+            library.forEach(expr => assert.ok(!/[√^|()∫→×·!]/.test(speech(expr)), expr));
+        });
+
+        this.test('SSML reads each row with pauses', () => {
+            const grid = this.fc.encode('Hi', { zeros: 'expressions' });
+            const ssml = this.fc.renderSSML(grid, { pause: 250, lang: 'en-GB' });
+            assert.ok(ssml.startsWith('<speak version="1.1" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="en-GB">'));
+            assert.strictEqual((ssml.match(/<p>/g) || []).length, grid.length);
+            assert.strictEqual((ssml.match(/<break time="250ms"\/>/g) || []).length, grid.flat().length);
+            assert.ok(!this.fc.renderSSML(grid, { rowLabels: false }).includes('Row 1.'));
+        });
+
+        this.test('Bad options and transcriptions are rejected', () => {
+            assert.throws(() => this.fc.renderBraille([['1']], { code: 'dots' }), error => error.code === 'INVALID_OPTION');
+            assert.throws(() => this.fc.renderSSML([['1']], { pause: -5 }), error => error.code === 'INVALID_OPTION');
+            assert.throws(() => this.fc.decodeBraille('⠀⠀\n'), error => error.code === 'INVALID_DOCUMENT');
+        });
+    }
+
+    /**
+     * decodeDetailed() reports how every cell was read
+     */
+    testCellDiagnostics() {
+        console.log('\n18. Cell Diagnostics');
+        console.log('-'.repeat(40));
+
+        const damage = grid => {
+            const damaged = grid.map(row => [...row]);
+            damaged.scheme = grid.scheme;
+            damaged[0][1] = '√√';
+            damaged[1][2] = '2';
+            damaged[1][3] = '1.00001';
+            return damaged;
+        };
+
+        this.test('Every cell is reported with its reading', () => {
+            const grid = this.fc.encode('Hi', { zeros: 'expressions' });
+            const { text, cells, problems } = this.fc.decodeDetailed(grid);
+            assert.strictEqual(text, 'Hi');
+            assert.strictEqual(cells.length, grid.flat().length);
+            assert.deepStrictEqual(problems, []);
+            assert.deepStrictEqual(cells[0], {
+                row: 0, column: 0, expression: grid[0][0], value: '0', digit: 0, classification: 'zero', error: null
+            });
+            cells.forEach(cell => assert.strictEqual(cell.expression, grid[cell.row][cell.column]));
+            assert.deepStrictEqual([...new Set(cells.map(cell => cell.classification))].sort(), ['one', 'zero']);
+        });
+
+        this.test('Invalid and ambiguous cells are flagged', () => {
+            const { problems } = this.fc.decodeDetailed(damage(this.fc.encode('Hi')));
+            assert.deepStrictEqual(problems.map(({ row, column, classification }) => [row, column, classification]),
+                [[0, 1, 'invalid'], [1, 2, 'ambiguous'], [1, 3, 'ambiguous']]);
+            assert.strictEqual(problems[0].value, null);
+            assert.ok(problems[0].error.includes('Unexpected end of expression'));
+            assert.strictEqual(problems[1].error, 'Evaluates to 2, not 0 or 1');
+            assert.strictEqual(problems[2].value, '100001/100000');
+        });
+
+        this.test('Strict mode throws a typed error listing every bad cell', () => {
+            assert.throws(() => this.fc.decodeDetailed(damage(this.fc.encode('Hi')), { strict: true }), error => {
+                assert.ok(error instanceof InvalidCellsError && error instanceof EncodingError);
+                assert.strictEqual(error.code, 'INVALID_CELL');
+                assert.strictEqual(error.cells.length, 3);
+                assert.ok(error.message.startsWith("3 unreadable cells: row 0 column 1 ('√√')"));
+                return true;
+            });
+        });
+
+        this.test('Cells are located through frames and keys', () => {
+            const grid = this.fc.encode('Hi', { framed: true, ecc: 'hamming', key: 'k' });
+            const damaged = grid.map(row => [...row]);
+            damaged[2][3] = '√√';
+            const { text, cells, problems } = this.fc.decodeDetailed(damaged, { key: 'k' });
+            assert.strictEqual(text, 'Hi');
+            assert.strictEqual(cells.length, grid.flat().length);
+            assert.deepStrictEqual(problems.map(({ row, column }) => [row, column]), [[2, 3]]);
+            assert.throws(() => this.fc.decodeDetailed(damaged, { key: 'k', strict: true }), InvalidCellsError);
+        });
+
+        this.test('Base-N grids list all unreadable cells', () => {
+            const grid = this.fc.encode('Hi', { base: 16 });
+            grid[0][0] = 'x';
+            grid[0][2] = '99';
+            assert.throws(() => this.fc.decode(grid), error => error instanceof InvalidCellsError &&
+                error.cells.map(cell => cell.classification).join() === 'invalid,ambiguous');
+            const { cells } = this.fc.decodeDetailed(this.fc.encode('Hi', { base: 16 }));
+            assert.ok(cells.every(cell => cell.classification === 'digit' && cell.digit < 16));
+        });
+    }
+
+    /**
+     * Registered expression sets replace the fraction tables by id
+     */
+    testExpressionSets() {
+        console.log('\n19. Expression Sets');
+        console.log('-'.repeat(40));
+
+        const setFile = path.join(__dirname, '..', 'examples', 'expression-sets', 'pre-algebra.json');
+        this.fc.loadExpressionSet(setFile);
+        this.fc.registerExpressionSet('halves', ['2/2', '(1+1)/2'], { version: '1' });
+        this.fc.registerExpressionSet('halves', ['4/4', '0.5+0.5', '(3-1)/2'], { version: '1.1' });
+
+        this.test('Sets are listed by name and version', () => {
+            assert.deepStrictEqual(this.fc.listExpressionSets(), ['standard', 'advanced', 'pre-algebra@1.0', 'halves@1', 'halves@1.1']);
+            assert.strictEqual(this.fc.getExpressionSet('halves').id, 'halves@1.1');
+            assert.strictEqual(this.fc.getExpressionSet('halves@1').entries.length, 2);
+            assert.strictEqual(this.fc.getExpressionSet('pre-algebra').entries[1].value(), 1);
+        });
+
+        this.test('encode() draws one-cells from a set and pins its version', () => {
+            const grid = this.fc.encode('Set', { set: 'halves' });
+            assert.strictEqual(grid.scheme.set, 'halves@1.1');
+            assert.deepStrictEqual([...new Set(grid.flat())].sort(), ['(3-1)/2', '0', '0.5+0.5', '4/4']);
+            assert.strictEqual(this.fc.decode(grid), 'Set');
+            assert.strictEqual(this.fc.decode(this.fc.encode('Set', { set: 'pre-algebra', framed: true })), 'Set');
+        });
+
+        this.test('decode() reads LaTeX and retyped cells through a set', () => {
+            const grid = this.fc.encode('Ok', { set: 'pre-algebra' });
+            const latex = this.fc.renderLaTeX(grid, { set: 'pre-algebra' });
+            assert.ok(latex.includes('\\frac{5+7}{12}'));
+            assert.strictEqual(this.fc.decodeText(latex, { set: 'pre-algebra' }), 'Ok');
+            const retyped = grid.map(row => row.map(cell => cell.replace('×', 'x')));
+            assert.strictEqual(this.fc.decode(retyped, { set: 'pre-algebra', normalize: true }), 'Ok');
+        });
+
+        this.test('generateIdentitySet() selects a set by id', () => {
+            const identity = this.fc.generateIdentitySet('Alice', 6, { set: 'pre-algebra@1.0' });
+            const expressions = this.fc.getExpressionSet('pre-algebra').entries.map(entry => entry.expr);
+            assert.ok(identity.every(entry => expressions.includes(entry.expr) && entry.value() === 1));
+            assert.deepStrictEqual(this.fc.generateIdentitySet('Alice', 6).map(entry => entry.expr),
+                this.fc.generateIdentitySet('Alice', 6, { set: 'advanced' }).map(entry => entry.expr));
+        });
+
+        this.test('Invalid entries are rejected together', () => {
+            assert.throws(() => this.fc.registerExpressionSet('broken', ['3/3', '2', '3 / 3', '√', 'x+1']), error => {
+                assert.ok(error instanceof InvalidExpressionSetError && error instanceof EncodingError);
+                assert.strictEqual(error.code, 'INVALID_EXPRESSION_SET');
+                assert.deepStrictEqual(error.problems.map(({ index, code }) => [index, code]),
+                    [[1, 'NOT_UNITY'], [2, 'DUPLICATE'], [3, 'UNEXPECTED_END'], [4, 'NOT_CONSTANT']]);
+                return true;
+            });
+            assert.ok(!this.fc.listExpressionSets().some(id => id.startsWith('broken')));
+        });
+
+        this.test('Entries spelled differently are still duplicates', () => {
+            assert.throws(() => this.fc.registerExpressionSet('spellings', ['3-2', '3−2', '6/(2*3)', '6/(2×3)']), error => {
+                assert.deepStrictEqual(error.problems.map(({ index, code }) => [index, code]), [[1, 'DUPLICATE'], [3, 'DUPLICATE']]);
+                return true;
+            });
+        });
+
+        this.test('Unknown, duplicate and built-in ids are refused', () => {
+            const code = expected => error => error instanceof EncodingError && error.code === expected;
+            assert.throws(() => this.fc.encode('A', { set: 'halves@2' }), code('UNKNOWN_EXPRESSION_SET'));
+            assert.throws(() => this.fc.encode('A', { set: 'halves', base: 16 }), code('INVALID_OPTION'));
+            assert.throws(() => this.fc.registerExpressionSet('halves', ['1'], { version: '1' }), code('DUPLICATE_EXPRESSION_SET'));
+            assert.throws(() => this.fc.registerExpressionSet('halves', ['1'], { version: '1.0' }), code('DUPLICATE_EXPRESSION_SET'));
+            assert.throws(() => this.fc.registerExpressionSet('halves', ['1'], { version: '1.1.0' }), code('DUPLICATE_EXPRESSION_SET'));
+            assert.throws(() => this.fc.registerExpressionSet('standard', ['1']), code('DUPLICATE_EXPRESSION_SET'));
+            assert.throws(() => this.fc.loadExpressionSet(__filename), code('INVALID_EXPRESSION_SET'));
+        });
+    }
+
+    /**
+     * Difficulty profiles restrict the library to a grade or difficulty
+     */
+    testDifficultyLevels() {
+        console.log('\n20. Difficulty Levels');
+        console.log('-'.repeat(40));
+
+        this.test('Expressions are profiled by concept, size and grade', () => {
+            assert.deepStrictEqual(this.fc.difficultyProfile('√4/2'), {
+                expression: '√4/2', concepts: ['division', 'roots'], operators: 2, depth: 2, grade: 8, band: 'middle school', difficulty: 5
+            });
+            assert.strictEqual(this.fc.difficultyProfile('2-1').band, 'elementary');
+            assert.deepStrictEqual(this.fc.difficultyProfile('sin²θ + cos²θ').concepts, ['addition', 'exponents', 'trigonometry', 'identities']);
+            assert.strictEqual(this.fc.difficultyProfile('lim(x→1) x').band, 'university');
+            assert.strictEqual(this.fc.difficultyProfile('sin²θ + cos²θ').difficulty, 10);
+        });
+
+        this.test('encode() keeps to a grade', () => {
+            [4, 7, 'university'].forEach(grade => {
+                const grid = this.fc.encode('Class', { grade, advanced: true, zeros: 'expressions' });
+                const limit = grade === 'university' ? 13 : grade;
+                assert.strictEqual(grid.scheme.grade, limit);
+                assert.ok(grid.flat().every(cell => this.fc.difficultyProfile(cell).grade <= limit));
+                assert.strictEqual(this.fc.decode(grid), 'Class');
+            });
+            const grid = this.fc.encode('Class', { grade: 5, base: 16 });
+            assert.ok(grid.flat().every(cell => this.fc.difficultyProfile(cell).grade <= 5));
+            assert.strictEqual(this.fc.decode(grid), 'Class');
+        });
+
+        this.test('encode() keeps to a maximum difficulty', () => {
+            const grid = this.fc.encode('Class', { maxDifficulty: 3, advanced: true, framed: true });
+            assert.strictEqual(grid.scheme.maxDifficulty, 3);
+            assert.ok(grid.flat().every(cell => this.fc.difficultyProfile(cell).difficulty <= 3));
+            assert.strictEqual(this.fc.decode(grid), 'Class');
+        });
+
+        this.test('Impossible levels are refused', () => {
+            const invalid = error => error instanceof EncodingError && error.code === 'INVALID_OPTION';
+            assert.throws(() => this.fc.encode('A', { grade: 0 }), invalid);
+            assert.throws(() => this.fc.encode('A', { grade: 'college' }), invalid);
+            assert.throws(() => this.fc.encode('A', { maxDifficulty: 0.5 }), invalid);
+            assert.throws(() => this.fc.encode('A', { maxDifficulty: 11 }), invalid);
+            assert.throws(() => this.fc.encode('A', { maxDifficulty: Infinity }), invalid);
+            assert.strictEqual(this.fc.encode('A', { maxDifficulty: 10 }).scheme.maxDifficulty, 10);
+            assert.throws(() => this.fc.encode('A', { grade: 1, set: 'halves' }), invalid);
+        });
+
+        this.test('Worksheets report their difficulty mix', () => {
+            const report = this.fc.difficultyReport([['0', '2-1', '√1', '2-1'], ['lim(x→1) x', '1+']]);
+            assert.strictEqual(report.cells, 4);
+            assert.strictEqual(report.unreadable, 1);
+            assert.strictEqual(report.grade, 13);
+            assert.strictEqual(report.band, 'university');
+            assert.deepStrictEqual(report.difficulty, { min: 1, max: 9, mean: 3.75 });
+            assert.deepStrictEqual(report.concepts, { subtraction: 2, roots: 1, limits: 1 });
+            assert.deepStrictEqual(report.bands, { 'elementary': 2, 'middle school': 1, 'high school': 0, 'university': 1 });
+            assert.deepStrictEqual(report.expressions.map(({ expression, count }) => [expression, count]),
+                [['lim(x→1) x', 1], ['√1', 1], ['2-1', 2]]);
+            assert.strictEqual(this.fc.difficultyReport([['0']]).grade, null);
+        });
+    }
+
+    /**
+     * Generic test wrapper
+     */
+    test(description, testFn) {
+        this.testCount++;
+        try {
+            testFn();
+            console.log(`  ✓ ${description}`);
+            this.passCount++;
+        } catch (error) {
+            console.log(`  ✗ ${description}`);
+            console.log(`    Error: ${error.message}`);
+            this.failCount++;
+        }
+    }
+
+    /**
+     * Test wrapper for asynchronous tests
+     */
+    async testAsync(description, testFn) {
+        this.testCount++;
+        try {
+            await testFn();
+            console.log(`  ✓ ${description}`);
+            this.passCount++;
+        } catch (error) {
+            console.log(`  ✗ ${description}`);
+            console.log(`    Error: ${error.message}`);
+            this.failCount++;
+        }
+    }
+
+    /**
+     * Print test results
+     */
+    printResults() {
+        console.log('\n' + '='.repeat(60));
+        console.log(`Total Tests: ${this.testCount}`);
+        console.log(`Passed: ${this.passCount}`);
+        console.log(`Failed: ${this.failCount}`);
+        console.log('='.repeat(60));
+    }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+    const tester = new EncodingTestSuite();
+
+    tester.runAll().then(success => {
+        process.exit(success ? 0 : 1);
+    }).catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = EncodingTestSuite;
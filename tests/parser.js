@@ -0,0 +1,638 @@
+/**
+ * Expression Parser Test Suite
+ * Fractional Core (FC) Framework
+ *
+ * Tests the tokenizer, parser and evaluator behind verify() and decode():
+ * every expression the library emits must parse, and malformed input
+ * must fail with a positioned MathematicalExpressionError.
+ *
+ * Memorial Covenant: Protected under 11 pre-authorized institutions
+ * Created by Lev Goukassian • ORCID: 0009-0006-5966-1243
+ */
+
+const assert = require('assert');
+const FractionalCore = require('../src/fractional-core.js');
+const { MathematicalExpressionError } = require('../src/errors.js');
+const { brailleToExpression } = require('../src/braille.js');
+
+class ParserTestSuite {
+    constructor() {
+        this.fc = new FractionalCore();
+        this.fc.acceptCovenant('Parser-Test-Suite', { humanitarianCommitment: true });
+        this.testCount = 0;
+        this.passCount = 0;
+        this.failCount = 0;
+    }
+
+    /**
+     * Run all parser tests
+     */
+    async runAll() {
+        console.log('=' .repeat(60));
+        console.log('Expression Parser Test Suite');
+        console.log('=' .repeat(60));
+
+        this.testLibraryNotation();
+        this.testPrecedence();
+        this.testSyntaxErrors();
+        this.testVerification();
+        this.testExactMode();
+        this.testExpressionGeneration();
+        this.testNormalization();
+        this.testCalculus();
+        this.testMatrices();
+        this.testComplexNumbers();
+
+        this.printResults();
+        return this.failCount === 0;
+    }
+
+    /**
+     * Every expression in the standard library parses and equals 1
+     */
+    testLibraryNotation() {
+        console.log('\n1. Library Notation');
+        console.log('-'.repeat(40));
+
+        this.fc.getStandardFractions().forEach(fraction => {
+            this.test(`${fraction.expr} evaluates to 1`, () => {
+                assert.strictEqual(this.fc.evaluateExpression(fraction.expr), fraction.value());
+            });
+        });
+
+        const notation = [
+            { expr: '√49/7', value: 1 },
+            { expr: '(10-9)', value: 1 },
+            { expr: '6 × 7', value: 42 },
+            { expr: '84 ÷ 2', value: 42 },
+            { expr: '5 − 3', value: 2 },
+            { expr: '3!', value: 6 },
+            { expr: '10²', value: 100 },
+            { expr: '2^-1', value: 0.5 },
+            { expr: '|2-5|', value: 3 },
+            { expr: '.5*2', value: 1 },
+            { expr: 'sin(0)', value: 0 },
+            { expr: 'ln(1)', value: 0 },
+            { expr: 'cos(0)', value: 1 },
+            { expr: 'log(1000)', value: 3 },
+            { expr: '0·7', value: 0 }
+        ];
+
+        notation.forEach(e => {
+            this.test(`${e.expr} = ${e.value}`, () => {
+                assert.strictEqual(this.fc.evaluateExpression(e.expr), e.value);
+            });
+        });
+    }
+
+    /**
+     * Operator precedence and associativity
+     */
+    testPrecedence() {
+        console.log('\n2. Precedence');
+        console.log('-'.repeat(40));
+
+        const cases = [
+            { expr: '2+3×4', value: 14 },
+            { expr: '-2^2', value: -4 },
+            { expr: '2^3^2', value: 512 },
+            { expr: '√4/2', value: 1 },
+            { expr: '√(4/4)', value: 1 },
+            { expr: '2(3+1)', value: 8 },
+            { expr: '8/4/2', value: 1 },
+            { expr: '3!²', value: 36 }
+        ];
+
+        cases.forEach(e => {
+            this.test(`${e.expr} = ${e.value}`, () => {
+                assert.strictEqual(this.fc.evaluateExpression(e.expr), e.value);
+            });
+        });
+    }
+
+    /**
+     * Malformed expressions report where they went wrong
+     */
+    testSyntaxErrors() {
+        console.log('\n3. Syntax Errors');
+        console.log('-'.repeat(40));
+
+        const invalid = [
+            { expr: '', position: 0 },
+            { expr: '1++', position: 3 },
+            { expr: '(1', position: 2 },
+            { expr: '1)', position: 1 },
+            { expr: '2 3', position: 2 },
+            { expr: 'eval(1)', position: 0 },
+            { expr: '1/0', position: 2 },
+            { expr: '√−1', position: 0 },
+            { expr: '(−2)!', position: 0 }
+        ];
+
+        invalid.forEach(e => {
+            this.test(`Rejects '${e.expr}' at position ${e.position}`, () => {
+                assert.throws(() => this.fc.evaluateExpression(e.expr), error => {
+                    assert(error instanceof MathematicalExpressionError, 'Should be a MathematicalExpressionError');
+                    assert.strictEqual(error.position, e.position);
+                    assert.strictEqual(error.toJSON().position, e.position);
+                    return true;
+                });
+                assert(!this.fc.isValidExpression(e.expr), `${e.expr} should be invalid`);
+            });
+        });
+
+        this.test('Deeply nested and very long expressions are rejected', () => {
+            const rejects = (expr, code) => {
+                assert.throws(() => this.fc.evaluateExpression(expr), error =>
+                    error instanceof MathematicalExpressionError && error.code === code);
+                assert(!this.fc.isValidExpression(expr));
+                assert(!this.fc.verify(expr, 1, { exact: true }));
+                const grid = this.fc.encode('A');
+                grid[0][1] = expr;
+                assert.strictEqual(this.fc.decode(grid), '\u0001');
+                assert.strictEqual(this.fc.decodeDetailed(grid).cells[1].classification, 'invalid');
+            };
+            rejects('('.repeat(900) + '1' + ')'.repeat(900), 'TOO_DEEP');
+            rejects('-'.repeat(900) + '1', 'TOO_DEEP');
+            rejects('√'.repeat(900) + '1', 'TOO_DEEP');
+            rejects('('.repeat(20000) + '1' + ')'.repeat(20000), 'TOO_LONG');
+            rejects('1' + '+0'.repeat(20000), 'TOO_LONG');
+            rejects('1' + '×1'.repeat(20000), 'TOO_LONG');
+            assert(this.fc.verify('('.repeat(90) + '√49/7' + ')'.repeat(90), 1, { exact: true }));
+            assert(this.fc.verify('1' + '+0'.repeat(900), 1, { exact: true }));
+        });
+    }
+
+    /**
+     * verify() and decode() accept unlisted but well-formed expressions
+     */
+    testVerification() {
+        console.log('\n4. Verification');
+        console.log('-'.repeat(40));
+
+        this.test('verify() accepts unlisted unity expressions', () => {
+            assert(this.fc.verify('√49/7'));
+            assert(this.fc.verify('(10-9)'));
+            assert(this.fc.verify('2+2', 4));
+        });
+
+        this.test('verify() rejects wrong and malformed expressions', () => {
+            assert(!this.fc.verify('√1', 0));
+            assert(!this.fc.verify('2×3'));
+            assert(!this.fc.verify('√√'));
+        });
+
+        this.test('decode() accepts any expression equal to 1', () => {
+            const grid = this.fc.encode('LEV').map(row =>
+                row.map(cell => (cell === '0' ? cell : '(√49/7)'))
+            );
+            assert.strictEqual(this.fc.decode(grid), 'LEV');
+        });
+    }
+
+    /**
+     * Exact rational and surd evaluation
+     */
+    testExactMode() {
+        console.log('\n5. Exact Mode');
+        console.log('-'.repeat(40));
+
+        const exact = [
+            { expr: '0.1*10', value: '1' },
+            { expr: '√8', value: '2√2' },
+            { expr: '√2×√2', value: '2' },
+            { expr: '1/(1+√2)', value: '-1 + √2' },
+            { expr: '√(3+2√2)', value: '1 + √2' },
+            { expr: '8^(2/3)', value: '4' },
+            { expr: '2^-3', value: '1/8' },
+            { expr: '25!/24!', value: '25' }
+        ];
+
+        exact.forEach(e => {
+            this.test(`${e.expr} is exactly ${e.value}`, () => {
+                assert.strictEqual(this.fc.evaluateExpression(e.expr, { exact: true }).toString(), e.value);
+            });
+        });
+
+        this.test('Every standard fraction is exactly 1', () => {
+            this.fc.getStandardFractions().forEach(fraction => {
+                assert(this.fc.verify(fraction.expr, 1, { exact: true }), `${fraction.expr} should be exactly 1`);
+            });
+        });
+
+        this.test('Near-misses pass the tolerance check but not the exact one', () => {
+            assert(this.fc.verify('1.00001'));
+            assert(!this.fc.verify('1.00001', 1, { exact: true }));
+            assert(!this.fc.verify('√2×√2×1.000001', 2, { exact: true }));
+        });
+
+        this.test('Expressions without an exact form are rejected in exact mode', () => {
+            assert.throws(() => this.fc.evaluateExpression('2^(1/3)', { exact: true }),
+                error => error.code === 'NOT_EXACT');
+            assert(!this.fc.verify('2^(1/3)', 1.2599210498948732, { exact: true }));
+        });
+
+        this.test('Square roots of radicands beyond the double range are exact', () => {
+            const large = '99999999999999999999999999999999999999999999999999';
+            assert(!this.fc.verify(`√(${large}^40)`, 1, { exact: true }));
+            assert(this.fc.verify(`√(${large}^40)/${large}^20`, 1, { exact: true }));
+            assert.strictEqual(this.fc.evaluateExpression('√(2·10^400)/10^200', { exact: true }).toString(), '√2');
+        });
+
+        this.test('decode() rejects near-miss cells by default', () => {
+            const grid = this.fc.encode('A');
+            const tampered = grid.map(row => row.map(cell => (cell === '0' ? cell : '1.00001')));
+            assert.strictEqual(this.fc.decode(tampered), '\u0000');
+            assert.strictEqual(this.fc.decode(tampered, { exact: false }), 'A');
+        });
+    }
+
+    /**
+     * generateExpressions() output is diverse and verified
+     */
+    testExpressionGeneration() {
+        console.log('\n6. Expression Generation');
+        console.log('-'.repeat(40));
+
+        [1, 0, 42, -100, 2025, 0.2, 3.14159, Number.MAX_SAFE_INTEGER].forEach(value => {
+            this.test(`Generates verified expressions for ${value}`, () => {
+                const expressions = this.fc.generateExpressions(value);
+                assert.strictEqual(expressions.length, 8);
+                assert.strictEqual(new Set(expressions).size, expressions.length, 'Expressions should be unique');
+                expressions.forEach(expr => {
+                    assert(this.fc.verify(expr, value, { exact: true }), `${expr} should equal ${value}`);
+                });
+            });
+        });
+
+        this.test('Generates expressions for rational targets', () => {
+            this.fc.generateExpressions('22/7', { count: 5 }).forEach(expr => {
+                assert(this.fc.verify(expr, '22/7', { exact: true }), `${expr} should equal 22/7`);
+            });
+        });
+
+        this.test('Respects the operator set', () => {
+            const expressions = this.fc.generateExpressions(42, { operators: ['+', '-'], maxDepth: 3 });
+            assert(expressions.length > 0);
+            expressions.forEach(expr => assert(/^[\d+\-()]+$/.test(expr), `${expr} uses other operators`));
+        });
+
+        this.test('Output is reproducible and seedable', () => {
+            assert.deepStrictEqual(this.fc.generateExpressions(7), this.fc.generateExpressions(7));
+            assert.notDeepStrictEqual(this.fc.generateExpressions(7), this.fc.generateExpressions(7, { seed: 'worksheet-2' }));
+        });
+
+        this.test('Rejects unknown operators and irrational targets', () => {
+            assert.throws(() => this.fc.generateExpressions(1, { operators: ['mod'] }), MathematicalExpressionError);
+            assert.throws(() => this.fc.generateExpressions('√2'), MathematicalExpressionError);
+        });
+    }
+
+    /**
+     * normalizeExpression() maps retyped notation onto library notation
+     */
+    testNormalization() {
+        console.log('\n7. Normalization');
+        console.log('-'.repeat(40));
+
+        const normalize = (expr, level) => this.fc.normalizeExpression(expr, { level });
+
+        const lenient = [
+            { expr: 'sqrt(4)/2', normalized: '√4/2', applied: ['ascii-aliases', 'redundant-parentheses'] },
+            { expr: 'sqrt(sqrt(16))/2', normalized: '√√16/2', applied: ['ascii-aliases', 'redundant-parentheses'] },
+            { expr: 'abs(1-sqrt((2+2)))', normalized: '|1-√(2+2)|', applied: ['ascii-aliases', 'redundant-parentheses'] },
+            { expr: '2 - 1', normalized: '2-1', applied: ['whitespace'] },
+            { expr: '|-1|', normalized: '|−1|', applied: ['library-spelling'] },
+            { expr: '7**0', normalized: '7^0', applied: ['ascii-aliases'] },
+            { expr: '0.25 x 4', normalized: '0.25*4', applied: ['whitespace', 'times-letter'] },
+            { expr: '0,1*10', normalized: '0.1*10', applied: ['decimal-comma'] },
+            { expr: '((2+2))/4', normalized: '(2+2)/4', applied: ['redundant-parentheses'] },
+            { expr: 'lim(x->1) x', normalized: 'lim(x→1) x', applied: ['whitespace', 'ascii-aliases', 'library-spelling'] },
+            { expr: '１／１', normalized: '1/1', applied: ['lookalikes'] }
+        ];
+
+        lenient.forEach(e => {
+            this.test(`${e.expr} normalizes to ${e.normalized}`, () => {
+                const result = normalize(e.expr);
+                assert.strictEqual(result.expression, e.normalized);
+                assert.deepStrictEqual(result.applied, e.applied);
+                assert.strictEqual(result.original, e.expr);
+            });
+        });
+
+        this.test('Names joined to a digit by whitespace still get their aliases', () => {
+            const result = normalize('sin^2 theta + cos^2 theta');
+            assert.strictEqual(result.expression, 'sin^2θ+cos^2θ');
+            assert.deepStrictEqual(result.applied, ['whitespace', 'ascii-aliases']);
+            assert.strictEqual(this.fc.evaluateExpression(result.expression, { exact: true }).toString(), '1');
+            assert.strictEqual(normalize('cos(2 pi)').expression, 'cos(2π)');
+            assert.strictEqual(normalize('spin').expression, 'spin');
+        });
+
+        this.test('Library expressions are left alone', () => {
+            this.fc.expressionTables().forEach(({ expr }) => {
+                ['strict', 'lenient', 'ocr'].forEach(level => {
+                    assert.deepStrictEqual(normalize(expr, level), { expression: expr, original: expr, level, applied: [] });
+                });
+            });
+        });
+
+        this.test('Parentheses that change the meaning are kept', () => {
+            ['(2+2)/4', '2(3)', '(−1)^2', 'sin(0)', 'e^(ln1)'].forEach(expr => {
+                assert.strictEqual(normalize(expr).expression, expr);
+            });
+        });
+
+        this.test('Levels enable progressively more rules', () => {
+            assert.strictEqual(normalize('sqrt(4)/2', 'strict').expression, 'sqrt(4)/2');
+            assert.strictEqual(normalize('2–1', 'strict').expression, '2-1');
+            assert.strictEqual(normalize('lO/1O', 'lenient').expression, 'lO/1O');
+            assert.strictEqual(normalize('lO/1O', 'ocr').expression, '10/10');
+            assert.strictEqual(normalize('v16/4', 'ocr').expression, '√16/4');
+            assert.strictEqual(normalize('det(I)', 'ocr').expression, 'det(I)');
+            assert.strictEqual(normalize('log1OOO', 'ocr').expression, 'log1000');
+        });
+
+        this.test('verify() and decode() normalize on request', () => {
+            assert(!this.fc.verify('7**0'));
+            assert(this.fc.verify('7**0', 1, { normalize: 'lenient' }));
+            assert(this.fc.verify('lO/1O', 1, { normalize: 'ocr' }));
+
+            const grid = this.fc.encode('Hi', { zeros: 'expressions' });
+            const retyped = grid.map(row => row.map(cell => cell.replace('√', 'sqrt ').replace('^', '**').replace('·', ' x ')));
+            assert.notStrictEqual(this.fc.decode(retyped, { zeros: 'expressions' }), 'Hi');
+            assert.strictEqual(this.fc.decode(retyped, { zeros: 'expressions', normalize: true }), 'Hi');
+        });
+
+        this.test('Unknown levels are rejected', () => {
+            assert.throws(() => normalize('1', 'fuzzy'), error => error instanceof MathematicalExpressionError && error.code === 'INVALID_OPTION');
+            assert.throws(() => this.fc.verify('1', 1, { normalize: 'fuzzy' }), MathematicalExpressionError);
+        });
+    }
+
+    /**
+     * Integrals, limits, identities in free symbols and determinants are
+     * evaluated, so advanced-mode grids decode
+     */
+    testCalculus() {
+        console.log('\n8. Calculus');
+        console.log('-'.repeat(40));
+
+        const exact = [
+            { expr: '∫(dx)', value: '1' },
+            { expr: '∫(2x dx)', value: '1' },
+            { expr: '∫(x dx, 0, 2)', value: '2' },
+            { expr: '∫(x + 1 dx, -1, 1)', value: '2' },
+            { expr: 'lim(x→1) x', value: '1' },
+            { expr: 'lim(x→0) sin(x)/x', value: '1' },
+            { expr: 'lim(x→2) (x²-4)/(x-2)', value: '4' },
+            { expr: 'sin²θ + cos²θ', value: '1' },
+            { expr: 'e^(ln1)', value: '1' },
+            { expr: 'det(I)', value: '1' },
+            { expr: 'det([[2,1],[1,1]])', value: '1' },
+            { expr: 'det([[0,1],[1,0]])', value: '-1' }
+        ];
+
+        exact.forEach(e => {
+            this.test(`${e.expr} is exactly ${e.value}`, () => {
+                assert.strictEqual(this.fc.evaluateExpression(e.expr, { exact: true }).toString(), e.value);
+            });
+        });
+
+        this.test('Integrals without a closed form are computed in float mode', () => {
+            assert(Math.abs(this.fc.evaluateExpression('∫(sin(x) dx, 0, π)') - 2) < 1e-9);
+            assert(this.fc.verify('∫(cos(θ) dθ, 0, π/2)'));
+            assert.throws(() => this.fc.evaluateExpression('∫(sin(x) dx, 0, π)', { exact: true }),
+                error => error.code === 'NOT_EXACT');
+        });
+
+        this.test('Expressions that depend on a symbol have no value', () => {
+            assert.throws(() => this.fc.evaluateExpression('x'), error => error.code === 'NOT_CONSTANT' && error.position === 0);
+            assert.throws(() => this.fc.evaluateExpression('sin²θ + cos θ'), error => error.code === 'NOT_CONSTANT');
+            assert.throws(() => this.fc.evaluateExpression('∫(x dx, 0, a)'), error => error.code === 'NOT_CONSTANT' && error.position === 11);
+            assert.throws(() => this.fc.evaluateExpression('lim(x→0) 1/x'), error => error.code === 'NO_LIMIT');
+        });
+
+        this.test('Malformed calculus notation is positioned', () => {
+            assert.throws(() => this.fc.evaluateExpression('∫(x)'), error => error.code === 'MISSING_DIFFERENTIAL' && error.position === 2);
+            assert.throws(() => this.fc.evaluateExpression('det([[1,2],[3]])'), error => error.code === 'INVALID_MATRIX');
+            assert.throws(() => this.fc.evaluateExpression('det([[1,2]])'), error => error.code === 'NOT_SQUARE');
+            assert.throws(() => this.fc.evaluateExpression('det(5)'), error => error.code === 'NOT_A_MATRIX' && error.position === 4);
+        });
+
+        this.test('Identities are proven in exact mode, not sampled', () => {
+            ['sin²θ + cos²θ', '(cos θ + i·sin θ)(cos θ - i·sin θ)', 'sin⁴x + 2sin²x·cos²x + cos⁴x', '(x+1)² - x² - 2x'].forEach(expr => {
+                assert.strictEqual(this.fc.evaluateExpression(expr, { exact: true }).toString(), '1', expr);
+            });
+            assert(this.fc.verify('1+x/10^12'));
+            assert(!this.fc.verify('1+x/10^12', 1, { exact: true }));
+            assert.throws(() => this.fc.evaluateExpression('1+x/10^12', { exact: true }), error => error.code === 'NOT_EXACT');
+            assert.throws(() => this.fc.evaluateExpression('tan²x + 1 - 1/cos²x', { exact: true }), error => error.code === 'NOT_EXACT');
+        });
+
+        this.test('Identities hold exactly at numeric angles', () => {
+            assert.strictEqual(this.fc.evaluateExpression('sin²(0.7) + cos²(0.7)', { exact: true }).toString(), '1');
+            assert.strictEqual(this.fc.evaluateExpression('3sin²(2/3) + 3cos²(2/3)', { exact: true }).toString(), '3');
+            assert.throws(() => this.fc.evaluateExpression('sin(0.7)', { exact: true }), error => error.code === 'NOT_EXACT');
+            const grid = this.fc.encode('Hi').map(row => row.map(cell => (cell === '0' ? cell : 'sin²(0.7) + cos²(0.7)')));
+            assert.strictEqual(this.fc.decode(grid), 'Hi');
+        });
+
+        this.test('Every advanced fraction is exactly 1', () => {
+            this.fc.getAdvancedFractions().forEach(fraction => {
+                assert.strictEqual(fraction.value(), 1);
+                assert(this.fc.verify(fraction.expr, 1, { exact: true }), `${fraction.expr} should be exactly 1`);
+            });
+        });
+
+        this.test('Normalization keeps matrix and bound commas', () => {
+            assert.strictEqual(this.fc.normalizeExpression('det([[2, 1], [1, 1]])').expression, 'det([[2,1],[1,1]])');
+            assert.strictEqual(this.fc.evaluateExpression(this.fc.normalizeExpression('∫(x dx, 0, 2)').expression), 2);
+        });
+
+        this.test('Advanced grids round trip', () => {
+            const message = 'Calculus ∫';
+            assert.strictEqual(this.fc.decode(this.fc.encode(message, true)), message);
+            assert.strictEqual(this.fc.decode(this.fc.encode(message, { advanced: true, base: 16 })), message);
+        });
+    }
+
+    /**
+     * Matrix literals and identities with det(), tr(), rank(), inv(),
+     * products and powers, computed exactly
+     */
+    testMatrices() {
+        console.log('\n9. Matrices');
+        console.log('-'.repeat(40));
+
+        const exact = [
+            { expr: 'det([[1/2,1/3],[1/4,1/5]])', value: '1/60' },
+            { expr: 'tr(I₃)', value: '3' },
+            { expr: 'tr(I_4)/4', value: '1' },
+            { expr: 'rank([[1,2],[2,4]])', value: '1' },
+            { expr: 'rank([[1,2,3],[4,5,6],[7,8,10]])', value: '3' },
+            { expr: 'det(inv([[2,1],[5,3]]))', value: '1' },
+            { expr: 'det([[1,2],[3,4]]^-1)', value: '-1/2' },
+            { expr: 'tr([[1,2],[3,4]]·[[0,1],[1,0]])', value: '5' },
+            { expr: 'det(2[[1,0],[0,1]])/4', value: '1' },
+            { expr: 'det([[1,2],[3,4]] - 4I₂)', value: '-6' },
+            { expr: 'det([[√2,1],[1,√2]])', value: '1' }
+        ];
+
+        exact.forEach(e => {
+            this.test(`${e.expr} is exactly ${e.value}`, () => {
+                assert.strictEqual(this.fc.evaluateExpression(e.expr, { exact: true }).toString(), e.value);
+            });
+        });
+
+        this.test('Matrix errors are positioned', () => {
+            const rejects = (expr, code, position) => assert.throws(() => this.fc.evaluateExpression(expr),
+                error => error.code === code && (position === undefined || error.position === position), expr);
+            rejects('[[1]]', 'NOT_A_NUMBER', 0);
+            rejects('I + 1', 'SHAPE_MISMATCH', 0);
+            rejects('det([[1,2],[3,4]]·[[1,2,3]])', 'SHAPE_MISMATCH', 4);
+            rejects('det(inv([[1,2],[2,4]]))', 'SINGULAR', 4);
+            rejects('tr([[1,2,3]])', 'NOT_SQUARE');
+            rejects('tr(I)', 'UNKNOWN_SIZE');
+            rejects('rank(7)', 'NOT_A_MATRIX', 5);
+        });
+
+        this.test('Matrix sizes and powers are limited', () => {
+            const rejects = (expr, code, exact) => assert.throws(() => this.fc.evaluateExpression(expr, { exact }),
+                error => error.code === code, expr);
+            [false, true].forEach(exact => {
+                rejects('det(I_100000)', 'INVALID_MATRIX', exact);
+                rejects('tr(I₁₇)', 'INVALID_MATRIX', exact);
+                rejects('det([[2]]^99999999)', 'OVERFLOW', exact);
+                rejects('det([[1,1],[0,1]]^-99999999)', 'OVERFLOW', exact);
+            });
+            assert.strictEqual(this.fc.evaluateExpression('tr(I₁₆)'), 16);
+            assert.strictEqual(this.fc.evaluateExpression('det([[1,1],[0,1]]^4096)', { exact: true }).toString(), '1');
+            assert.strictEqual(this.fc.evaluateExpression('tr([[1,1],[0,1]]^1000)'), 2);
+        });
+
+        this.test('Hard CAPTCHA determinants verify', () => {
+            [2, 5, 9].forEach(n => {
+                assert(this.fc.verify(`det([[${n}, 0], [0, 1]])`, n, { exact: true }));
+                assert(!this.fc.verify(`det([[${n}, 1], [1, ${n}]])`, n, { exact: true }));
+            });
+        });
+
+        this.test('generateExpressions() writes determinants on request', () => {
+            const expressions = this.fc.generateExpressions(7, { operators: ['det'], count: 5 });
+            assert.strictEqual(expressions.length, 5);
+            expressions.forEach(expr => {
+                assert(expr.startsWith('det('), expr);
+                assert(this.fc.verify(expr, 7, { exact: true }), expr);
+            });
+            assert(this.fc.generateExpressions(7).every(expr => !expr.includes('det')));
+        });
+
+        this.test('Identity matrices read back from Braille', () => {
+            ['nemeth', 'ueb'].forEach(code => {
+                const { braille, speech } = this.fc.describeExpression('tr(I₃)/3', { code });
+                assert.strictEqual(this.fc.evaluateExpression(brailleToExpression(braille, code)), 1);
+                assert.strictEqual(speech, 'the trace of I sub 3 over 3');
+            });
+        });
+    }
+
+    /**
+     * Complex intermediates in expressions whose value is real
+     */
+    testComplexNumbers() {
+        console.log('\n10. Complex Numbers');
+        console.log('-'.repeat(40));
+
+        const unity = ['-e^(iπ)', '|3+4i|/5', 'i^4', 'cos(0)+i·sin(0)', '(1+i)(1-i)/2', 'e^(iπ/3)+e^(-iπ/3)', '(2+i)^-1·(2+i)'];
+
+        unity.forEach(expr => {
+            this.test(`${expr} is exactly 1`, () => {
+                assert.strictEqual(this.fc.evaluateExpression(expr, { exact: true }).toString(), '1');
+                assert(this.fc.verify(expr, 1));
+            });
+        });
+
+        this.test('Exact sines and cosines at multiples of π/4 and π/6', () => {
+            const exact = expr => this.fc.evaluateExpression(expr, { exact: true }).toString();
+            assert.strictEqual(exact('sin(π)'), '0');
+            assert.strictEqual(exact('2cos(π/3)'), '1');
+            assert.strictEqual(exact('2sin(π/4)^2'), '1');
+            assert.strictEqual(exact('tan(-3π/4)'), '1');
+        });
+
+        this.test('Complex values and powers are rejected', () => {
+            const rejects = (expr, code, position) => assert.throws(() => this.fc.evaluateExpression(expr),
+                error => error.code === code && (position === undefined || error.position === position), expr);
+            rejects('1+i', 'NOT_REAL', 0);
+            rejects('2^i', 'DOMAIN_ERROR', 2);
+            rejects('√(i)', 'NOT_REAL', 1);
+            rejects('i^(1/2)', 'DOMAIN_ERROR', 0);
+            rejects('[[i]]', 'NOT_REAL', 2);
+            rejects('cos(x)+i·sin(x)', 'NOT_CONSTANT', 4);
+        });
+
+        this.test('Powers of i reduce and other complex powers are limited', () => {
+            [false, true].forEach(exact => {
+                const value = expr => this.fc.evaluateExpression(expr, { exact }).toString();
+                assert.strictEqual(value('i^100000000000'), '1');
+                assert.strictEqual(value('|i^1000000001|'), '1');
+                assert.strictEqual(value('-i^-2'), '1');
+                assert.strictEqual(value('|(1+i)^1000|/2^500'), '1');
+                assert.throws(() => value('|(1+i)^100000|'), error => error.code === 'OVERFLOW');
+            });
+            assert.strictEqual(this.fc.evaluateExpression('i^(10^20+2)', { exact: true }).toString(), '-1');
+        });
+
+        this.test('generateExpressions() uses i on request', () => {
+            const expressions = this.fc.generateExpressions(3, { operators: ['i'], count: 5 });
+            assert.strictEqual(expressions.length, 5);
+            expressions.forEach(expr => {
+                assert(expr.includes('i'), expr);
+                assert(this.fc.verify(expr, 3, { exact: true }), expr);
+            });
+            assert(this.fc.generateExpressions(3).every(expr => !expr.includes('i')));
+        });
+    }
+
+    /**
+     * Generic test wrapper
+     */
+    test(description, testFn) {
+        this.testCount++;
+        try {
+            testFn();
+            console.log(`  ✓ ${description}`);
+            this.passCount++;
+        } catch (error) {
+            console.log(`  ✗ ${description}`);
+            console.log(`    Error: ${error.message}`);
+            this.failCount++;
+        }
+    }
+
+    /**
+     * Print test results
+     */
+    printResults() {
+        console.log('\n' + '='.repeat(60));
+        console.log(`Total Tests: ${this.testCount}`);
+        console.log(`Passed: ${this.passCount}`);
+        console.log(`Failed: ${this.failCount}`);
+        console.log('='.repeat(60));
+    }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+    const tester = new ParserTestSuite();
+
+    tester.runAll().then(success => {
+        process.exit(success ? 0 : 1);
+    }).catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = ParserTestSuite;